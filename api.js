@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * App Web API
+ * Routes are declared in the "api" section of app.json, every handler
+ * delegates to the app so the logic stays next to the devices
+ *
+ * GET  /sensors                  - Status of every initialized sensor
+ * GET  /sensors/:id              - Status of a sensor
+ * POST /sensors/:id/read         - Re-reads the presence, returns the new status
+ * POST /sensors/:id/reconfigure  - Runs the repair steps, returns the result of every step
+ * GET  /sensors/:id/capture      - Traffic recorded while capture_traffic is enabled, as JSON lines
+ *
+ * Routes for a single sensor fail with a SensorInitializingError until its node is initialized,
+ * reconfigure fails with a SensorEnrollingError while the sensor is enrolling
+ */
+module.exports = {
+  async getSensors({ homey }) {
+    return homey.app.getSensors();
+  },
+
+  async getSensor({ homey, params }) {
+    return homey.app.getSensor(params.id);
+  },
+
+  async readSensor({ homey, params }) {
+    return homey.app.readSensor(params.id);
+  },
+
+  async reconfigureSensor({ homey, params }) {
+    return homey.app.reconfigureSensor(params.id);
+  },
+
+  async getSensorCapture({ homey, params }) {
+    return homey.app.getSensorCapture(params.id);
+  },
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const Homey = require('homey');
+const {
+  SENSOR_DRIVERS,
+  SensorInitializingError,
+  SensorEnrollingError,
+  getSensorId,
+} = require('./lib/sensor-status');
+
+/**
+ * MTD085-ZB Presence Sensor App
+ * Exposes the status of the paired sensors through the app Web API, see api.js
+ *
+ * @class MTD085ZBApp
+ * @extends Homey.App
+ */
+class MTD085ZBApp extends Homey.App {
+  /**
+   * Called when the app is initialized
+   *
+   * @returns {Promise<void>}
+   */
+  async onInit() {
+    this.log('MTD085-ZB app initialized');
+  }
+
+  /**
+   * Gets the status of every paired sensor that is initialized
+   *
+   * @returns {import('./lib/sensor-status').SensorStatus[]} Statuses
+   */
+  getSensors() {
+    return this.getSensorDevices()
+      .filter(device => device.isInitialized())
+      .map(device => device.getStatus());
+  }
+
+  /**
+   * Gets the status of a sensor
+   *
+   * @param {string} id - Sensor id
+   * @returns {import('./lib/sensor-status').SensorStatus} Status
+   * @throws {Error} If no sensor has the id
+   * @throws {SensorInitializingError} If the sensor is not initialized yet
+   */
+  getSensor(id) {
+    return this.findSensorDevice(id).getStatus();
+  }
+
+  /**
+   * Re-reads the presence of a sensor
+   *
+   * @param {string} id - Sensor id
+   * @returns {Promise<import('./lib/sensor-status').SensorStatus>} Status after the read
+   * @throws {Error} If no sensor has the id or the read fails
+   * @throws {SensorInitializingError} If the sensor is not initialized yet
+   */
+  async readSensor(id) {
+    const device = this.findSensorDevice(id);
+    await device.syncPresence();
+    return device.getStatus();
+  }
+
+  /**
+   * Re-configures a sensor by running the repair steps
+   * Not while the sensor is enrolling, the repair would report on an enrollment it did not run
+   *
+   * @param {string} id - Sensor id
+   * @returns {Promise<import('./lib/repair').RepairReport>} Result of every step
+   * @throws {Error} If no sensor has the id
+   * @throws {SensorInitializingError} If the sensor is not initialized yet
+   * @throws {SensorEnrollingError} If the sensor is enrolling
+   */
+  async reconfigureSensor(id) {
+    const device = this.findSensorDevice(id);
+    if (device.isEnrolling()) {
+      throw new SensorEnrollingError(id);
+    }
+    this.log('Re-configuration requested for', device.getName());
+    return device.repair();
+  }
+
+  /**
+   * Gets the traffic recorded for a sensor
+   *
+   * @param {string} id - Sensor id
+   * @returns {string} Capture as JSON lines, see lib/traffic-capture
+   * @throws {Error} If no sensor has the id
+   * @throws {SensorInitializingError} If the sensor is not initialized yet
+   */
+  getSensorCapture(id) {
+    return this.findSensorDevice(id).getCapture();
+  }
+
+  /**
+   * Gets the paired presence sensors of every sensor driver
+   *
+   * @returns {import('./drivers/mtd085zb/device')[]} Devices
+   */
+  getSensorDevices() {
+    return SENSOR_DRIVERS.flatMap(id => this.homey.drivers.getDriver(id).getDevices());
+  }
+
+  /**
+   * Finds an initialized presence sensor by sensor id
+   *
+   * @param {string} id - Sensor id
+   * @returns {import('./drivers/mtd085zb/device')} Device
+   * @throws {Error} If no sensor has the id
+   * @throws {SensorInitializingError} If the sensor is not initialized yet
+   */
+  findSensorDevice(id) {
+    const device = this.getSensorDevices().find(candidate => getSensorId(candidate.getData()) === id);
+    if (!device) {
+      throw new Error(`Sensor not found: ${id}`);
+    }
+    if (!device.isInitialized()) {
+      throw new SensorInitializingError(id);
+    }
+    return device;
+  }
+}
+
+module.exports = MTD085ZBApp;
@@ -1,9 +1,78 @@
 'use strict';
 
 const { ZigBeeDevice } = require('homey-zigbeedriver');
-const { isPresenceDetected } = require('../../lib/zone-status-parser');
-const { withRetry } = require('../../lib/retry');
-const { determineFlowTrigger } = require('../../lib/flow-trigger-logic');
+const { isPresenceDetected, toZoneStatusNumber, ZoneStatusParseError } = require('../../lib/zone-status-parser');
+const { withRetry, NonRetryableError, isRetryableError } = require('../../lib/retry');
+const {
+  determineFlowTrigger,
+  determineLuminanceTrigger,
+  compareLuminance,
+  createPresenceHoldOff,
+} = require('../../lib/flow-trigger-logic');
+const { nextSequenceNumber } = require('../../lib/tuya-datapoint');
+const {
+  validateRadarSettings,
+  filterRadarSettingKeys,
+  settingsToDatapoints,
+  findUnconfirmedDatapoints,
+} = require('../../lib/radar-settings');
+const { fromDatapoint, getDatapointName } = require('../../lib/radar-datapoints');
+const { FINGERPRINTS, findFingerprint, supportsDatapoint } = require('../../lib/fingerprints');
+const {
+  toPresenceState,
+  presenceStateFromAlarm,
+  presenceStateFromRadar,
+  determinePresenceStateTrigger,
+} = require('../../lib/presence-state');
+const {
+  recordPresenceTransition,
+  presenceMinutes,
+  hasBeenClearFor,
+} = require('../../lib/presence-duration');
+const {
+  ZONE_ALARM_CAPABILITIES,
+  mapZoneAlarms,
+  determineZoneAlarmChanges,
+} = require('../../lib/zone-alarms');
+const {
+  EnrollmentTransitionError,
+  transitionEnrollment,
+  enrollmentEventForZoneState,
+  restoreEnrollmentState,
+} = require('../../lib/ias-enrollment');
+const { runRepairSteps } = require('../../lib/repair');
+const { getSensorId, buildSensorStatus } = require('../../lib/sensor-status');
+const { SENSOR_CHANGED_EVENT } = require('../../lib/occupancy-zone');
+const { SETTING_ACTIONS, settingsForAction, validateActionSettings } = require('../../lib/flow-actions');
+const {
+  DEFAULT_PROFILE,
+  PROFILE_KEYS,
+  minuteOfDay,
+  getProfiles,
+  updateProfileState,
+  overrideProfile,
+  getEffectiveSettings,
+  diffProfileKeys,
+  toProfileSettings,
+  validateProfiles,
+} = require('../../lib/profiles');
+const {
+  createOccupancyStats,
+  recordOccupancy,
+  occupiedTodayMinutes,
+  rollOverOccupancy,
+  resetOccupancy,
+} = require('../../lib/occupancy-stats');
+const {
+  REPORT_MAX_INTERVAL,
+  createHeartbeat,
+  recordFrame,
+  checkHeartbeat,
+} = require('../../lib/heartbeat');
+const { LifecycleDisposedError, createLifecycle } = require('../../lib/lifecycle');
+const { createDiagnosticsLog, formatLogArgs, exportDiagnostics } = require('../../lib/diagnostics');
+const { createTrafficCapture, formatCapture } = require('../../lib/traffic-capture');
+require('../../lib/tuya-cluster');
 
 /**
  * MTD085-ZB Presence Sensor Device
@@ -25,6 +94,80 @@ class MTD085ZBDevice extends ZigBeeDevice {
    */
   static RETRY_DELAY = 1000;
 
+  /**
+   * Upper bound for the delay between configuration retry attempts in milliseconds
+   * @type {number}
+   */
+  static RETRY_MAX_DELAY = 10000;
+
+  /**
+   * Retry options for single Zigbee reads and writes
+   * @type {Object}
+   */
+  static ZIGBEE_RETRY_OPTIONS = {
+    maxRetries: 3,
+    delay: 500,
+    maxDelay: 4000,
+    backoff: 'exponential',
+    jitter: 'full',
+    timeout: 10000,
+  };
+
+  /**
+   * Time to wait for the device to confirm written datapoints in milliseconds
+   * @type {number}
+   */
+  static CONFIRM_TIMEOUT = 5000;
+
+  /**
+   * Interval for checking how long presence has lasted in milliseconds
+   * @type {number}
+   */
+  static PRESENCE_TICK_INTERVAL = 60000;
+
+  /**
+   * Interval for checking whether the sensor still reports in milliseconds
+   * @type {number}
+   */
+  static HEARTBEAT_CHECK_INTERVAL = 60000;
+
+  /**
+   * Interval for updating the occupancy statistics and checking for a new day in milliseconds
+   * @type {number}
+   */
+  static OCCUPANCY_TICK_INTERVAL = 60000;
+
+  /**
+   * Time to wait for a zone enroll request after writing the CIE address in milliseconds
+   * @type {number}
+   */
+  static ENROLL_REQUEST_TIMEOUT = 10000;
+
+  /**
+   * Time to wait before verifying the zone state after enrolling in milliseconds
+   * @type {number}
+   */
+  static ENROLL_VERIFY_DELAY = 2000;
+
+  /**
+   * Zone ID assigned to the sensor in the zone enroll response
+   * @type {number}
+   */
+  static IAS_ZONE_ID = 1;
+
+  /**
+   * Capabilities every device must have, added to devices paired with an older version
+   * @type {string[]}
+   */
+  static CAPABILITIES = [
+    'alarm_motion',
+    'measure_luminance',
+    'target_distance',
+    'presence_state',
+    'occupied_today',
+    ...ZONE_ALARM_CAPABILITIES,
+  ];
+
   /**
    * Called when the Zigbee node is initialized and zclNode is available
    * Sets up IAS Zone cluster handling and configures the device
@@ -33,37 +176,152 @@ class MTD085ZBDevice extends ZigBeeDevice {
    */
   async onNodeInit({ zclNode }) {
     this.log('MTD085-ZB device initializing...');
+    this.initialized = false;
 
     // Store zclNode reference
     this.zclNode = zclNode;
 
-    // Configure IAS Zone if not already done
-    const isEnrolled = this.getStoreValue('iasZoneEnrolled');
-    
-    // For this Tuya device, skip formal enrollment and rely on direct zone status monitoring
-    if (!isEnrolled) {
-      this.log('Skipping formal IAS Zone enrollment for Tuya device, using direct monitoring...');
-      
-      // Mark as "enrolled" to skip future attempts, even though formal enrollment failed
-      await this.setStoreValue('iasZoneEnrolled', true);
-      await this.setStoreValue('cieAddressConfigured', true);
+    // Tracks timers, listeners and retries, released again on re-init, uninit and delete
+    this.disposeLifecycle();
+    this.lifecycle = createLifecycle({
+      onError: (error) => this.error('Failed to release device resource:', error.message),
+    });
+
+    // Look up how this model/manufacturer variant behaves
+    this.fingerprint = this.lookupFingerprint();
+
+    // Add capabilities introduced after the device was paired
+    await this.addMissingCapabilities();
+
+    // Restore the active profile, the schedule is checked again once the Tuya handler is registered
+    this.profileState = this.getStoreValue('profileState') ?? {
+      active: DEFAULT_PROFILE,
+      scheduled: DEFAULT_PROFILE,
+      override: null,
+    };
+
+    // Defer cleared presence by the clear delay of the active profile
+    const presenceHoldOff = createPresenceHoldOff({
+      clearDelay: (this.getEffectiveSettings().clear_delay ?? 0) * 1000,
+      initialState: this.getCapabilityValue('alarm_motion'),
+      onCommit: this.commitPresence.bind(this),
+      onError: (error) => this.error('Failed to commit presence:', error.message),
+    });
+    this.presenceHoldOff = presenceHoldOff;
+    this.lifecycle.add(() => presenceHoldOff.dispose());
+
+    // Restore presence timing and resume duration tracking after a restart
+    this.presenceTiming = {
+      presenceStartedAt: this.getStoreValue('presenceStartedAt') ?? null,
+      presenceEndedAt: this.getStoreValue('presenceEndedAt') ?? null,
+    };
+    if (this.getCapabilityValue('alarm_motion') === true) {
+      this.startPresenceTicker();
     }
 
-    // Register IAS Zone cluster for zone status change notifications
-    this.registerIASZoneHandler();
+    // Restore the occupancy statistics and keep occupied_today up to date
+    await this.restoreOccupancyStats();
+    this.startOccupancyTicker();
+
+    // Restore the IAS Zone enrollment state, enrollment itself starts once the device is initialized
+    await this.restoreEnrollment();
+
+    // Watch for the sensor going silent, every received frame counts as a heartbeat
+    this.startHeartbeatWatchdog();
+
+    // Register the handlers for the frames the sensor sends
+    this.registerClusterHandlers();
 
     // Set up attribute reporting for zone status changes
     await this.setupAttributeReporting();
 
-    // Register flow condition handler
+    // Register flow trigger and condition handlers
+    this.registerFlowTriggers();
     this.registerFlowConditions();
+    this.registerFlowActions();
+
+    // Switch to the profile the schedule selects now, it may have changed while the app was stopped
+    await this.updateActiveProfile();
 
     // Read initial zone status
-    await this.readCurrentZoneStatus();
+    await this.readCurrentPresence();
+
+    // Enroll a newly paired sensor, or one whose enrollment did not complete
+    this.startEnrollment();
 
+    this.initialized = true;
     this.log('MTD085-ZB device initialized');
   }
 
+  /**
+   * Whether onNodeInit completed and the device was not uninitialized or deleted since
+   * Homey lists a device before its node is initialized, it cannot talk to the sensor until then
+   *
+   * @returns {boolean} True if the device is initialized
+   */
+  isInitialized() {
+    return this.initialized === true;
+  }
+
+  /**
+   * Whether an IAS Zone enrollment is in progress, in the background or from a repair
+   *
+   * @returns {boolean} True while the enrollment is pending
+   */
+  isEnrolling() {
+    return this.enrollmentState === 'pending';
+  }
+
+  /**
+   * Finds the registry fingerprint for this device from its Zigbee settings
+   * Falls back to the first registered fingerprint if the identifiers are unavailable
+   *
+   * @returns {import('../../lib/fingerprints').Fingerprint} Device fingerprint
+   */
+  lookupFingerprint() {
+    const fingerprint = findFingerprint({
+      modelId: this.getSetting('zb_product_id'),
+      manufacturerName: this.getSetting('zb_manufacturer_name'),
+    });
+
+    if (fingerprint === null) {
+      this.log('No registered fingerprint for this device, using default');
+      return FINGERPRINTS[0];
+    }
+
+    this.log('Matched fingerprint:', fingerprint.modelId);
+    return fingerprint;
+  }
+
+  /**
+   * Adds capabilities from CAPABILITIES that are missing on this device
+   *
+   * @returns {Promise<void>}
+   */
+  async addMissingCapabilities() {
+    for (const capability of this.constructor.CAPABILITIES) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability);
+        this.log('Added missing capability:', capability);
+      }
+    }
+  }
+
+  /**
+   * Registers run listeners for flow triggers with arguments
+   */
+  registerFlowTriggers() {
+    this.homey.flow.getDeviceTriggerCard('presence_state_changed')
+      .registerRunListener(async (args, state) => {
+        return args.state === 'any' || args.state === state.state;
+      });
+    this.homey.flow.getDeviceTriggerCard('presence_lasted')
+      .registerRunListener(async (args, state) => {
+        return args.minutes === state.minutes;
+      });
+    this.log('Flow trigger handlers registered');
+  }
+
   /**
    * Registers flow condition handlers
    */
@@ -72,66 +330,280 @@ class MTD085ZBDevice extends ZigBeeDevice {
       .registerRunListener(async (args) => {
         return args.device.getCapabilityValue('alarm_motion') === true;
       });
+    this.homey.flow.getConditionCard('luminance_compare')
+      .registerRunListener(async (args) => {
+        const luminance = args.device.getCapabilityValue('measure_luminance');
+        return compareLuminance(luminance, args.comparison, args.lux);
+      });
+    this.homey.flow.getConditionCard('presence_state_is')
+      .registerRunListener(async (args) => {
+        return args.device.getCapabilityValue('presence_state') === args.state;
+      });
+    this.homey.flow.getConditionCard('has_been_clear_for')
+      .registerRunListener(async (args) => {
+        const presenceDetected = args.device.getCapabilityValue('alarm_motion');
+        return hasBeenClearFor(args.device.presenceTiming, presenceDetected, args.minutes, Date.now());
+      });
     this.log('Flow condition handlers registered');
   }
 
+  /**
+   * Registers flow action handlers
+   */
+  registerFlowActions() {
+    this.homey.flow.getActionCard('reset_occupancy_statistics')
+      .registerRunListener(async (args) => {
+        await args.device.resetOccupancyStats();
+      });
+
+    // Setting actions go through the same validation and confirmation as the settings page
+    for (const id of Object.keys(SETTING_ACTIONS)) {
+      this.homey.flow.getActionCard(id)
+        .registerRunListener(async (args) => {
+          await args.device.changeSettings(settingsForAction(id, args));
+        });
+    }
+
+    this.homey.flow.getActionCard('switch_profile')
+      .registerRunListener(async (args) => {
+        await args.device.switchProfile(args.profile);
+      });
+
+    this.homey.flow.getActionCard('read_presence')
+      .registerRunListener(async (args) => {
+        await args.device.syncPresence();
+      });
+    this.log('Flow action handlers registered');
+  }
+
   /**
    * Sets up attribute reporting for zone status changes
    */
   async setupAttributeReporting() {
     try {
-      const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
-      
-      if (!iasZoneCluster) {
-        this.log('No IAS Zone cluster for attribute reporting setup');
-        return;
-      }
-
-      this.log('Setting up attribute reporting for zone status...');
-      
-      // Configure reporting for zone status attribute
-      await iasZoneCluster.configureReporting({
-        zoneStatus: {
-          minInterval: 1,     // Minimum 1 second
-          maxInterval: 300,   // Maximum 5 minutes
-          minChange: 1,       // Report any change
-        },
-      });
-      
-      this.log('Zone status attribute reporting configured');
+      await this.configureZoneStatusReporting();
     } catch (error) {
       this.log('Failed to configure attribute reporting (may be normal for some devices):', error.message);
     }
   }
 
+  /**
+   * Configures reporting of the zoneStatus attribute
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the IAS Zone cluster is not available or the device rejects the configuration
+   */
+  async configureZoneStatusReporting() {
+    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
+
+    if (!iasZoneCluster) {
+      throw new NonRetryableError('IAS Zone cluster not available');
+    }
+
+    this.log('Setting up attribute reporting for zone status...');
+
+    // Configure reporting for zone status attribute
+    await this.zigbeeRequest(() => iasZoneCluster.configureReporting({
+      zoneStatus: {
+        minInterval: 1,     // Minimum 1 second
+        maxInterval: REPORT_MAX_INTERVAL, // Maximum 5 minutes, checked by the heartbeat watchdog
+        minChange: 1,       // Report any change
+      },
+    }));
+
+    this.log('Zone status attribute reporting configured');
+  }
+
   /**
    * Called when the device is added to Homey
-   * Configures the IAS Zone cluster with retry logic
+   * Homey may call this before onNodeInit, when the node is not available yet,
+   * so the IAS Zone is enrolled from onNodeInit instead
    * 
    * @returns {Promise<void>}
    */
   async onAdded() {
-    this.log('MTD085-ZB device added, configuring IAS Zone...');
-    
-    try {
-      await this.configureIASZoneWithRetry();
-      this.log('IAS Zone configuration completed successfully');
-    } catch (error) {
-      this.error('Failed to configure IAS Zone after max retries:', error);
-      throw error;
+    this.log('MTD085-ZB device added');
+  }
+
+  /**
+   * Configures the IAS Zone cluster in the background when the sensor is not enrolled
+   * Pending until enrollment ends, available as this.enrollment; disposing the device cancels it
+   */
+  startEnrollment() {
+    if (this.enrollmentState !== 'unenrolled') {
+      this.enrollment = Promise.resolve();
+      return;
     }
+
+    this.log('IAS Zone not enrolled, configuring IAS Zone...');
+    this.enrollment = this.configureIASZoneWithRetry()
+      .then(() => this.log('IAS Zone configuration completed'))
+      .catch((error) => this.error('Failed to configure IAS Zone after max retries:', error.message));
   }
 
   /**
    * Called when the device is deleted from Homey
-   * Performs cleanup operations
+   * Releases every timer, listener and pending retry of the device
    * 
    * @returns {Promise<void>}
    */
   async onDeleted() {
+    this.initialized = false;
+    this.disposeLifecycle();
+    super.onDeleted();
+    this.notifySensorChanged();
     this.log('MTD085-ZB device deleted');
   }
 
+  /**
+   * Tells the occupancy zones that the presence or availability of this sensor changed
+   */
+  notifySensorChanged() {
+    this.homey.app.emit(SENSOR_CHANGED_EVENT, getSensorId(this.getData()));
+  }
+
+  /**
+   * Called when the device is uninitialized, e.g. when the app stops or restarts
+   * Releases every timer, listener and pending retry of the device
+   *
+   * @returns {Promise<void>}
+   */
+  async onUninit() {
+    this.initialized = false;
+    this.disposeLifecycle();
+    this.log('MTD085-ZB device uninitialized');
+  }
+
+  /**
+   * Logs an error and records it in the diagnostics log
+   *
+   * @param {...*} args - Values to log
+   */
+  error(...args) {
+    super.error(...args);
+    this.recordDiagnostic('error', formatLogArgs(args));
+  }
+
+  /**
+   * Records an entry in the diagnostics log
+   * State changes and operation steps are also posted to the timeline when the debug setting is enabled,
+   * frames and errors are not as they can repeat many times a minute
+   *
+   * @param {import('../../lib/diagnostics').DiagnosticType} type - Entry type
+   * @param {string} message - Human readable message
+   * @param {*} [data] - JSON serializable details
+   */
+  recordDiagnostic(type, message, data) {
+    if (!this.diagnostics) {
+      this.diagnostics = createDiagnosticsLog();
+    }
+    this.diagnostics.record(type, message, data);
+
+    if ((type === 'state' || type === 'info') && this.getSetting('debug') === true) {
+      this.homey.notifications.createNotification({ excerpt: `${this.getName()}: ${message}` })
+        .catch((error) => super.error('Failed to create debug notification:', error.message));
+    }
+  }
+
+  /**
+   * Records a step of a longer operation, mirrored to the timeline in debug mode
+   *
+   * @param {string} message - Human readable message
+   * @param {*} [data] - JSON serializable details
+   */
+  debugNotify(message, data) {
+    this.recordDiagnostic('info', message, data);
+  }
+
+  /**
+   * Records a frame received from the sensor in the traffic capture, if the capture_traffic setting is enabled
+   *
+   * @param {import('../../lib/traffic-capture').CaptureFrame} frame - Received frame
+   */
+  captureFrame(frame) {
+    if (this.getSetting('capture_traffic') !== true) {
+      return;
+    }
+    if (!this.capture) {
+      this.capture = createTrafficCapture();
+    }
+    this.capture.record(frame);
+  }
+
+  /**
+   * Exports the traffic capture as JSON lines, for bug reports and replay tests
+   *
+   * @returns {string} Capture, see lib/traffic-capture
+   */
+  getCapture() {
+    const capture = this.capture || createTrafficCapture();
+    return formatCapture({
+      startedAt: capture.startedAt(),
+      device: {
+        modelId: this.getSetting('zb_product_id'),
+        manufacturerName: this.getSetting('zb_manufacturer_name'),
+      },
+      settings: this.getSettings(),
+    }, capture.records());
+  }
+
+  /**
+   * Exports the diagnostics log with the device details, for bug reports
+   *
+   * @returns {string} Pretty printed JSON
+   */
+  getDiagnostics() {
+    return exportDiagnostics(this.diagnostics || createDiagnosticsLog(), {
+      name: this.getName(),
+      modelId: this.getSetting('zb_product_id'),
+      manufacturerName: this.getSetting('zb_manufacturer_name'),
+      available: this.getAvailable(),
+      enrollmentState: this.enrollmentState,
+      capabilities: this.getCapabilityValues(),
+      settings: this.getSettings(),
+    });
+  }
+
+  /**
+   * Gets the current status of the sensor, for the app Web API
+   *
+   * @returns {import('../../lib/sensor-status').SensorStatus} Status
+   */
+  getStatus() {
+    return buildSensorStatus({
+      id: getSensorId(this.getData()),
+      name: this.getName(),
+      available: this.getAvailable(),
+      capabilities: this.getCapabilityValues(),
+      enrollmentState: this.enrollmentState,
+      lastReportAt: this.lastReportAt ?? null,
+      diagnostics: this.diagnostics || createDiagnosticsLog(),
+    });
+  }
+
+  /**
+   * Gets the values of all capabilities of the device
+   *
+   * @returns {Object<string, *>} Capability values by capability id
+   */
+  getCapabilityValues() {
+    const capabilities = {};
+    for (const capability of this.getCapabilities()) {
+      capabilities[capability] = this.getCapabilityValue(capability);
+    }
+    return capabilities;
+  }
+
+  /**
+   * Releases the resources tracked by the current lifecycle
+   * The disposed lifecycle is kept, so anything still running releases what it creates right away
+   */
+  disposeLifecycle() {
+    if (this.lifecycle) {
+      this.lifecycle.dispose();
+    }
+  }
+
   /**
    * Called when the device goes offline
    * Sets the device as unavailable in the Homey interface
@@ -155,191 +627,1265 @@ class MTD085ZBDevice extends ZigBeeDevice {
     // Restore device availability
     await this.setAvailable();
     this.log('Device availability restored');
+    this.notifySensorChanged();
 
     // Re-read current zone status to sync state
-    await this.readCurrentZoneStatus();
+    await this.readCurrentPresence();
+
+    // Re-apply the radar settings of the active profile, the sensor may have lost them while offline
+    try {
+      await this.applyRadarSettings(this.getEffectiveSettings());
+    } catch (error) {
+      this.error('Failed to re-apply radar settings:', error.message);
+    }
   }
 
   /**
-   * Reads the current zone status from the device
-   * Used to sync state after reconnection
-   * 
+   * Called when the user changes device settings
+   * Validates the settings and profiles, and writes the settings that changed
+   * for the active profile to the device. Settings a profile overrides take
+   * effect once the profile is no longer active
+   *
+   * @param {Object} event - Settings event
+   * @param {Object} event.oldSettings - Settings before the change
+   * @param {Object} event.newSettings - Settings after the change
+   * @param {string[]} event.changedKeys - Ids of the changed settings
    * @returns {Promise<void>}
+   * @throws {Error} Localized message if validation or confirmation fails
    */
-  async readCurrentZoneStatus() {
-    try {
-      const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
-      
-      if (!iasZoneCluster) {
-        this.error('IAS Zone cluster not available for status read');
-        return;
-      }
-
-      this.log('Reading current zone status...');
-      const { zoneStatus } = await iasZoneCluster.readAttributes(['zoneStatus']);
-      
-      // Update capability based on current status
-      const presenceDetected = isPresenceDetected(zoneStatus);
-      const currentState = this.getCapabilityValue('alarm_motion');
-      
-      if (currentState !== presenceDetected) {
-        await this.setCapabilityValue('alarm_motion', presenceDetected);
-        this.log('Motion alarm synced to:', presenceDetected);
-      }
-    } catch (error) {
-      this.error('Failed to read zone status:', error.message);
+  async onSettings({ oldSettings, newSettings, changedKeys }) {
+    const errors = [...validateRadarSettings(newSettings), ...validateProfiles(newSettings)];
+    if (errors.length > 0) {
+      throw this.createSettingsError(errors, newSettings);
     }
+
+    // The schedule or the enabled profiles may have changed
+    const previous = this.profileState;
+    const profileState = updateProfileState(previous, newSettings, this.getMinuteOfDay());
+    const before = getEffectiveSettings(oldSettings, previous.active);
+    const after = getEffectiveSettings(newSettings, profileState.active);
+    const keys = [
+      ...changedKeys.filter(key => !PROFILE_KEYS.includes(key)),
+      ...diffProfileKeys(before, after),
+    ];
+
+    await this.applyEffectiveSettings(after, keys);
+    await this.setProfileState(profileState, newSettings);
+
+    this.updateTrafficCapture(newSettings, changedKeys);
   }
 
   /**
-   * Registers the IAS Zone cluster handler for zone status change notifications
+   * Starts a new traffic capture when the capture_traffic setting is turned on
+   * Every recording starts empty, so it only holds the traffic of the problem being reproduced
+   *
+   * @param {Object} newSettings - Settings after the change
+   * @param {string[]} changedKeys - Ids of the changed settings
    */
-  registerIASZoneHandler() {
-    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
-    
-    if (iasZoneCluster) {
-      // Register zone status change notification handler
-      iasZoneCluster.onZoneStatusChangeNotification = this.onZoneStatusChange.bind(this);
-      this.log('IAS Zone status change handler registered');
-
-      // Register zone enroll request handler - device will send this after CIE address is written
-      iasZoneCluster.onZoneEnrollRequest = async (payload) => {
-        this.log('Zone enroll request received:', payload);
-        try {
-          // Respond with enrollment success
-          await iasZoneCluster.zoneEnrollResponse({
-            enrollResponseCode: 0, // Success
-            zoneId: 1,
-          });
-          this.log('Zone enroll response sent');
-          await this.setStoreValue('iasZoneEnrolled', true);
-        } catch (error) {
-          this.error('Failed to send zone enroll response:', error.message);
-        }
-      };
-      this.log('IAS Zone enroll request handler registered');
-    } else {
-      this.error('IAS Zone cluster not found on endpoint 1');
+  updateTrafficCapture(newSettings, changedKeys) {
+    if (changedKeys.includes('capture_traffic') && newSettings.capture_traffic === true) {
+      this.capture = createTrafficCapture();
+      this.log('Traffic capture started');
     }
   }
 
   /**
-   * Handles zone status change notifications from the IAS Zone cluster
-   * Updates the alarm_motion capability based on presence detection
-   * 
-   * @param {Object} payload - Zone status change payload
-   * @param {number} payload.zoneStatus - 16-bit zone status bitmap
+   * Applies settings in effect to the hold-off and the device
+   *
+   * @param {Object} settings - Effective settings
+   * @param {string[]} keys - Ids of the settings to apply
    * @returns {Promise<void>}
+   * @throws {Error} Localized message if the device does not confirm the radar settings
    */
-  async onZoneStatusChange(payload) {
-    const { zoneStatus } = payload;
-    this.log('Zone status change received:', zoneStatus);
+  async applyEffectiveSettings(settings, keys) {
+    if (keys.includes('clear_delay') && this.presenceHoldOff) {
+      this.presenceHoldOff.setClearDelay(settings.clear_delay * 1000);
+      this.log('Clear delay set to:', settings.clear_delay);
+    }
 
-    const presenceDetected = isPresenceDetected(zoneStatus);
-    const currentState = this.getCapabilityValue('alarm_motion');
+    const radarKeys = filterRadarSettingKeys(keys);
+    if (radarKeys.length > 0) {
+      await this.applyRadarSettings(settings, radarKeys);
+    }
+  }
 
-    // Determine which flow card to trigger based on state transition
-    const triggerType = determineFlowTrigger(currentState, presenceDetected);
+  /**
+   * Gets the settings in effect, with the values of the active profile applied
+   *
+   * @param {Object} [settings=this.getSettings()] - Device settings
+   * @returns {Object} Effective settings
+   */
+  getEffectiveSettings(settings = this.getSettings()) {
+    return getEffectiveSettings(settings, this.profileState.active);
+  }
 
-    if (triggerType !== null) {
-      await this.setCapabilityValue('alarm_motion', presenceDetected);
-      this.log('Motion alarm updated:', presenceDetected);
+  /**
+   * Gets the minutes after midnight in the Homey time zone, for the profile schedules
+   *
+   * @returns {number} Minutes after midnight
+   */
+  getMinuteOfDay() {
+    return minuteOfDay(Date.now(), this.homey.clock.getTimezone());
+  }
 
-      // Trigger appropriate flow card
-      try {
-        await this.homey.flow.getDeviceTriggerCard(triggerType).trigger(this);
-        this.log('Flow card triggered:', triggerType);
-      } catch (error) {
-        this.error('Failed to trigger flow card:', error.message);
-      }
+  /**
+   * Gets the name of a profile
+   *
+   * @param {string} profile - Profile id
+   * @param {Object} [settings=this.getSettings()] - Device settings
+   * @returns {string} Name chosen by the user, localized for the default profile
+   */
+  getProfileName(profile, settings = this.getSettings()) {
+    if (profile === DEFAULT_PROFILE) {
+      return this.homey.__('profiles.default');
     }
+    return getProfiles(settings).find(({ id }) => id === profile).name;
   }
 
   /**
-   * Configures the IAS Zone cluster with retry logic
-   * Retries up to MAX_RETRIES times on failure
-   * 
+   * Switches to the profile the schedule selects now, called every minute by the driver
+   * Writes the settings of the new profile to the device; if the device does not confirm
+   * them they are written again when it comes back online
+   *
    * @returns {Promise<void>}
-   * @throws {Error} If configuration fails after max retries
    */
-  async configureIASZoneWithRetry() {
-    const result = await withRetry(
-      () => this.configureIASZone(),
-      {
-        maxRetries: MTD085ZBDevice.MAX_RETRIES,
-        delay: MTD085ZBDevice.RETRY_DELAY,
-        onRetry: (attempt, error) => {
-          this.error(`Configuration attempt ${attempt} failed:`, error.message);
-          this.log(`Retrying in ${MTD085ZBDevice.RETRY_DELAY}ms...`);
-        },
-      }
-    );
+  async updateActiveProfile() {
+    const settings = this.getSettings();
+    const previous = this.profileState;
+    const profileState = updateProfileState(previous, settings, this.getMinuteOfDay());
 
-    if (!result.success) {
-      throw new Error(`IAS Zone configuration failed after ${MTD085ZBDevice.MAX_RETRIES} attempts: ${result.error.message}`);
+    if (profileState.active === previous.active && profileState.scheduled === previous.scheduled) {
+      return;
     }
+
+    await this.activateProfile(profileState, settings);
   }
 
   /**
-   * Configures the IAS Zone cluster
-   * - Attempts automatic enrollment without manual CIE address write
-   * - Sends proactive enroll response for Tuya devices
-   * 
+   * Activates a profile from a flow until the schedule selects another profile
+   *
+   * @param {string} profile - Profile id
    * @returns {Promise<void>}
+   * @throws {Error} Localized message if the profile is not enabled
    */
-  async configureIASZone() {
-    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
+  async switchProfile(profile) {
+    const settings = this.getSettings();
 
-    if (!iasZoneCluster) {
-      throw new Error('IAS Zone cluster not available');
+    let profileState;
+    try {
+      profileState = overrideProfile(this.profileState, settings, profile);
+    } catch (error) {
+      throw new Error(this.homey.__('profiles.not_enabled'));
     }
 
-    // Check current zone state
-    const { zoneState } = await iasZoneCluster.readAttributes(['zoneState']);
-    this.log('Current zone state:', zoneState);
-    this.debugNotify(`Zone state: ${zoneState}`);
+    await this.activateProfile(profileState, settings);
+  }
+
+  /**
+   * Stores a new profile state and writes the settings that differ from the previous profile
+   *
+   * @param {import('../../lib/profiles').ProfileState} profileState - New profile state
+   * @param {Object} settings - Device settings
+   * @returns {Promise<void>}
+   */
+  async activateProfile(profileState, settings) {
+    const before = this.getEffectiveSettings(settings);
+    await this.setProfileState(profileState, settings);
+    const after = this.getEffectiveSettings(settings);
+
+    try {
+      await this.applyEffectiveSettings(after, diffProfileKeys(before, after));
+    } catch (error) {
+      this.error('Failed to apply profile:', error.message);
+    }
+  }
+
+  /**
+   * Stores the profile state and triggers the profile_changed flow card when the active profile changed
+   *
+   * @param {import('../../lib/profiles').ProfileState} profileState - New profile state
+   * @param {Object} settings - Device settings
+   * @returns {Promise<void>}
+   */
+  async setProfileState(profileState, settings) {
+    const previous = this.profileState;
+    this.profileState = profileState;
+    await this.setStoreValue('profileState', profileState);
 
-    if (zoneState === 'enrolled') {
-      this.log('Device already enrolled');
-      this.debugNotify('Device already enrolled');
-      await this.setStoreValue('iasZoneEnrolled', true);
+    if (previous.active === profileState.active) {
       return;
     }
 
-    // For Tuya devices, try sending proactive enroll response
-    // Some devices expect this without explicit CIE address configuration
-    this.log('Attempting proactive zone enrollment for Tuya device...');
-    this.debugNotify('Sending proactive enroll response...');
+    const tokens = {
+      profile: this.getProfileName(profileState.active, settings),
+      previous_profile: this.getProfileName(previous.active, settings),
+    };
+    this.log('Active profile changed:', tokens.profile);
+    this.recordDiagnostic('state', `Profile ${tokens.profile} active`);
+
+    try {
+      await this.homey.flow.getDeviceTriggerCard('profile_changed').trigger(this, tokens);
+      this.log('Flow card triggered:', 'profile_changed');
+    } catch (error) {
+      this.error('Failed to trigger flow card:', error.message);
+    }
+  }
+
+  /**
+   * Changes device settings from a flow action
+   * Applies them like settings changed by the user and stores them once the device confirmed them.
+   * Settings the active profile overrides are changed in that profile, so they take effect
+   *
+   * @param {Object<string, number|boolean>} values - Settings to change
+   * @returns {Promise<void>}
+   * @throws {Error} Localized message if validation or confirmation fails
+   */
+  async changeSettings(values) {
+    const changes = toProfileSettings(values, this.profileState.active);
+    const oldSettings = this.getSettings();
+    const newSettings = { ...oldSettings, ...changes };
+
+    const errors = validateActionSettings(newSettings);
+    if (errors.length > 0) {
+      throw this.createSettingsError(errors);
+    }
+
+    const changedKeys = Object.keys(changes).filter(key => oldSettings[key] !== changes[key]);
+    if (changedKeys.length === 0) {
+      return;
+    }
+
+    await this.onSettings({ oldSettings, newSettings, changedKeys });
+    await this.setSettings(changes);
+    this.log('Settings changed from flow:', changes);
+  }
+
+  /**
+   * Creates the localized error for the first settings validation error
+   * Errors of a profile setting are prefixed with the profile name
+   *
+   * @param {Array<import('../../lib/radar-settings').RadarSettingError|import('../../lib/profiles').ProfileSettingError>} errors - Validation errors
+   * @param {Object} [settings] - Device settings, for the profile name
+   * @returns {Error} Error with a localized message
+   */
+  createSettingsError([{ key, code, profile }], settings) {
+    let setting = this.homey.__(`settings.${key}`);
+    if (profile) {
+      setting = `${this.getProfileName(profile, settings)}: ${setting}`;
+    }
+    return new Error(this.homey.__(`settings.errors.${code}`, { setting }));
+  }
+
+  /**
+   * Writes radar settings to the device and waits for the device to confirm them
+   *
+   * @param {Object} settings - Device settings
+   * @param {string[]} [keys] - Setting ids to apply, defaults to all radar settings
+   * @returns {Promise<void>}
+   * @throws {Error} Localized message if the device does not confirm the settings
+   */
+  async applyRadarSettings(settings, keys) {
+    const datapoints = settingsToDatapoints(settings, keys)
+      .filter(({ dp }) => supportsDatapoint(this.fingerprint, getDatapointName(dp)));
+
+    if (datapoints.length === 0) {
+      return;
+    }
+
+    try {
+      await this.writeDatapointsAndConfirm(datapoints);
+      this.log('Radar settings applied');
+    } catch (error) {
+      this.error('Failed to apply radar settings:', error.message);
+      throw new Error(this.homey.__('settings.errors.not_confirmed'));
+    }
+  }
+
+  /**
+   * Reads the current presence from the device
+   * Used to sync state after reconnection
+   * 
+   * @returns {Promise<void>}
+   */
+  async readCurrentPresence() {
+    try {
+      await this.syncPresence();
+    } catch (error) {
+      this.error('Failed to read presence:', error.message);
+    }
+  }
+
+  /**
+   * Reads the current presence and alarms from the device, from the zone status
+   * Drivers for sensors on other clusters override this
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the read fails
+   */
+  async syncPresence() {
+    await this.syncZoneStatus();
+  }
+
+  /**
+   * Reads the zone status and updates presence and the zone alarms from it
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the IAS Zone cluster is not available or the read fails
+   */
+  async syncZoneStatus() {
+    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
+
+    if (!iasZoneCluster) {
+      throw new NonRetryableError('IAS Zone cluster not available');
+    }
+
+    this.log('Reading current zone status...');
+    const { zoneStatus } = await this.readClusterAttributes('iasZone', ['zoneStatus']);
+    await this.recordHeartbeat();
+
+    // Update capability based on current status, honouring the clear delay
+    const presenceDetected = isPresenceDetected(zoneStatus, this.getZoneStatusOptions());
+    await this.presenceHoldOff.report(presenceDetected);
+    await this.updateZoneAlarms(zoneStatus);
+  }
+
+  /**
+   * Runs a guided repair, see getRepairSteps
+   * The device, its capabilities and its flows are kept
+   *
+   * @param {Function} [onStep] - Async callback receiving each step result
+   * @returns {Promise<import('../../lib/repair').RepairReport>} Result of every step
+   */
+  async repair(onStep) {
+    this.log('Repair started');
+
+    const report = await runRepairSteps(this.getRepairSteps(), onStep);
+
+    this.log('Repair finished:', report.results.map(({ id, status }) => `${id} ${status}`).join(', '));
+    return report;
+  }
+
+  /**
+   * Gets the steps of a guided repair: re-enrolls the IAS Zone, re-attaches the
+   * cluster 1280 handlers, re-applies reporting and reads the current zone status
+   * The repair view lists the steps by id before they run
+   *
+   * @returns {import('../../lib/repair').RepairStep[]} Steps in the order they run
+   */
+  getRepairSteps() {
+    return [
+      {
+        id: 'enrollment',
+        run: async () => {
+          // An enrollment still running in the background would reject this one
+          await this.enrollment;
+          await this.configureIASZoneWithRetry();
+          return this.enrollmentState;
+        },
+      },
+      {
+        // The Zigbee binding itself is made by Homey from the manifest, this
+        // re-attaches the handlers for the commands it delivers
+        id: 'handlers',
+        run: async () => {
+          if (!this.zclNode.endpoints[1].clusters.iasZone) {
+            throw new NonRetryableError('IAS Zone cluster not available');
+          }
+          this.registerIASZoneHandler();
+        },
+      },
+      {
+        id: 'reporting',
+        run: () => this.configureZoneStatusReporting(),
+      },
+      {
+        id: 'zone_status',
+        run: () => this.syncZoneStatus(),
+      },
+    ];
+  }
+
+  /**
+   * Registers the handlers for the IAS Zone and Tuya clusters
+   */
+  registerClusterHandlers() {
+    this.registerIASZoneHandler();
+    this.registerTuyaHandler();
+  }
+
+  /**
+   * Registers the IAS Zone cluster handler for zone status change notifications
+   */
+  registerIASZoneHandler() {
+    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
     
+    if (iasZoneCluster) {
+      // Release the handlers of an earlier registration, e.g. when repairing
+      if (this.releaseIASZoneHandlers) {
+        this.releaseIASZoneHandlers();
+      }
+
+      const releases = [
+        // Register zone status change notification handler
+        this.lifecycle.assign(iasZoneCluster, 'onZoneStatusChangeNotification', (payload) => {
+          this.captureFrame({ cluster: 'iasZone', command: 'zoneStatusChangeNotification', payload });
+          return this.onZoneStatusChange(payload);
+        }),
+        // Handle the periodic zone status reports
+        this.lifecycle.listen(iasZoneCluster, 'attr.zoneStatus', (zoneStatus) => {
+          this.captureFrame({ cluster: 'iasZone', attribute: 'zoneStatus', payload: { zoneStatus } });
+          return this.onZoneStatusChange({ zoneStatus });
+        }),
+        // Register zone enroll request handler - device will send this after CIE address is written
+        this.lifecycle.assign(iasZoneCluster, 'onZoneEnrollRequest', this.onZoneEnrollRequest.bind(this)),
+      ];
+      this.releaseIASZoneHandlers = () => releases.forEach(release => release());
+      this.log('IAS Zone status change and enroll request handlers registered');
+    } else {
+      this.error('IAS Zone cluster not found on endpoint 1');
+    }
+  }
+
+  /**
+   * Registers the Tuya cluster handler for datapoint reports and responses
+   */
+  registerTuyaHandler() {
+    const tuyaCluster = this.zclNode.endpoints[1].clusters.tuya;
+
+    if (!tuyaCluster) {
+      this.log('No Tuya cluster on endpoint 1, datapoints unavailable');
+      return;
+    }
+
+    this.tuyaSequence = 0;
+    this.lifecycle.listen(tuyaCluster, 'datapoints', this.onTuyaDatapoints.bind(this));
+    this.lifecycle.listen(tuyaCluster, 'datapointError', (error) => {
+      this.error('Failed to decode Tuya datapoints:', error.message);
+    });
+    this.log('Tuya datapoint handler registered');
+  }
+
+  /**
+   * Handles datapoints reported by the Tuya cluster
+   *
+   * @param {import('../../lib/tuya-datapoint').Datapoint[]} datapoints - Decoded datapoints
+   * @param {Object} meta - Frame metadata
+   * @param {number} meta.seq - Sequence number of the frame
+   * @param {string} meta.command - dataReport or dataResponse
+   * @returns {Promise<void>}
+   */
+  async onTuyaDatapoints(datapoints, { seq, command }) {
+    this.recordDiagnostic('frame', `Tuya ${command} #${seq}`, {
+      datapoints: datapoints.map(({ dp, type, value }) => ({ dp, type, value })),
+    });
+    this.captureFrame({
+      cluster: 'tuya',
+      command,
+      payload: { seq, datapoints: datapoints.map(({ dp, type, value }) => ({ dp, type, value })) },
+    });
+    await this.recordHeartbeat();
+
+    for (const datapoint of datapoints) {
+      this.log(`Tuya ${command} #${seq}: dp ${datapoint.dp} (${datapoint.type}) =`, datapoint.value);
+
+      const radarValue = fromDatapoint(datapoint);
+      if (radarValue !== null) {
+        await this.onRadarValue(radarValue);
+      }
+    }
+
+    // Hand the datapoints to anyone waiting for a confirmation
+    for (const waiter of this.datapointWaiters || []) {
+      waiter(datapoints);
+    }
+  }
+
+  /**
+   * Handles a named value reported by the radar
+   *
+   * @param {Object} radarValue - Named value from lib/radar-datapoints
+   * @param {string} radarValue.name - Datapoint name
+   * @param {*} radarValue.value - Converted value
+   * @returns {Promise<void>}
+   */
+  async onRadarValue({ name, value }) {
+    switch (name) {
+      case 'illuminance':
+        await this.updateLuminance(value);
+        break;
+      case 'targetDistance':
+        await this.setCapabilityValue('target_distance', value);
+        break;
+      case 'presenceState': {
+        // "none" waits for the hold-off to commit the clear
+        const presenceState = presenceStateFromRadar(toPresenceState(value), this.getCapabilityValue('alarm_motion'));
+        if (presenceState !== null) {
+          await this.updatePresenceState(presenceState);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Updates the measure_luminance capability and triggers the luminance_changed flow card
+   *
+   * @param {number} luminance - Illuminance in lux
+   * @returns {Promise<void>}
+   */
+  async updateLuminance(luminance) {
+    const currentLuminance = this.getCapabilityValue('measure_luminance');
+    const triggerType = determineLuminanceTrigger(currentLuminance, luminance);
+
+    if (triggerType === null) {
+      return;
+    }
+
+    await this.setCapabilityValue('measure_luminance', luminance);
+    this.log('Luminance updated:', luminance);
+
     try {
-      await iasZoneCluster.zoneEnrollResponse({
-        enrollResponseCode: 0, // Success
-        zoneId: 1,
+      await this.homey.flow.getDeviceTriggerCard(triggerType).trigger(this, { luminance });
+      this.log('Flow card triggered:', triggerType);
+    } catch (error) {
+      this.error('Failed to trigger flow card:', error.message);
+    }
+  }
+
+  /**
+   * Starts the ticker that triggers presence_lasted every whole minute of presence
+   */
+  startPresenceTicker() {
+    this.stopPresenceTicker();
+    this.presenceTicker = this.lifecycle.setInterval(async () => {
+      const minutes = presenceMinutes(this.presenceTiming, Date.now());
+      try {
+        await this.homey.flow.getDeviceTriggerCard('presence_lasted').trigger(this, { minutes }, { minutes });
+      } catch (error) {
+        this.error('Failed to trigger flow card:', error.message);
+      }
+    }, MTD085ZBDevice.PRESENCE_TICK_INTERVAL);
+  }
+
+  /**
+   * Stops the presence_lasted ticker
+   */
+  stopPresenceTicker() {
+    if (this.presenceTicker) {
+      this.lifecycle.clearInterval(this.presenceTicker);
+      this.presenceTicker = null;
+    }
+  }
+
+  /**
+   * Restores the occupancy statistics from the store
+   * A presence that is already detected starts a session, e.g. after updating from a version without statistics
+   *
+   * @returns {Promise<void>}
+   */
+  async restoreOccupancyStats() {
+    const stats = this.getStoreValue('occupancyStats') ?? createOccupancyStats();
+    const presenceDetected = this.getCapabilityValue('alarm_motion') === true;
+
+    if (presenceDetected && stats.session === null) {
+      await this.saveOccupancyStats(recordOccupancy(stats, true, Date.now(), this.getOccupancyOptions()));
+    } else {
+      this.occupancyStats = stats;
+    }
+  }
+
+  /**
+   * Gets the options for the occupancy statistics, days and hours follow the Homey time zone
+   *
+   * @returns {import('../../lib/occupancy-stats').OccupancyOptions} Options
+   */
+  getOccupancyOptions() {
+    return { timeZone: this.homey.clock.getTimezone() };
+  }
+
+  /**
+   * Stores the occupancy statistics and updates the occupied_today capability
+   *
+   * @param {import('../../lib/occupancy-stats').OccupancyStats} stats - New statistics
+   * @returns {Promise<void>}
+   */
+  async saveOccupancyStats(stats) {
+    this.occupancyStats = stats;
+    await this.setStoreValue('occupancyStats', stats);
+    await this.updateOccupiedToday();
+  }
+
+  /**
+   * Updates the occupied_today capability, including the ongoing presence
+   *
+   * @returns {Promise<void>}
+   */
+  async updateOccupiedToday() {
+    const minutes = occupiedTodayMinutes(this.occupancyStats, Date.now(), this.getOccupancyOptions());
+
+    if (this.getCapabilityValue('occupied_today') !== minutes) {
+      await this.setCapabilityValue('occupied_today', minutes);
+    }
+  }
+
+  /**
+   * Starts the ticker that keeps occupied_today up to date and sends the daily summary
+   */
+  startOccupancyTicker() {
+    this.occupancyTicker = this.lifecycle.setInterval(() => {
+      this.tickOccupancy().catch((error) => {
+        this.error('Occupancy statistics update failed:', error.message);
+      });
+    }, MTD085ZBDevice.OCCUPANCY_TICK_INTERVAL);
+  }
+
+  /**
+   * Moves the occupancy statistics to a new day and triggers the daily summary
+   * flow card for the day that ended
+   *
+   * @returns {Promise<void>}
+   */
+  async tickOccupancy() {
+    const { stats, summary } = rollOverOccupancy(this.occupancyStats, Date.now(), this.getOccupancyOptions());
+
+    if (stats === this.occupancyStats) {
+      await this.updateOccupiedToday();
+      return;
+    }
+
+    await this.saveOccupancyStats(stats);
+
+    if (summary !== null) {
+      this.log('Occupancy summary:', summary);
+      try {
+        await this.homey.flow.getDeviceTriggerCard('occupancy_daily_summary').trigger(this, summary);
+        this.log('Flow card triggered:', 'occupancy_daily_summary');
+      } catch (error) {
+        this.error('Failed to trigger flow card:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Resets the occupancy statistics, an ongoing presence continues as a new session
+   *
+   * @returns {Promise<void>}
+   */
+  async resetOccupancyStats() {
+    const presenceDetected = this.getCapabilityValue('alarm_motion') === true;
+    await this.saveOccupancyStats(resetOccupancy(presenceDetected, Date.now(), this.getOccupancyOptions()));
+    this.log('Occupancy statistics reset');
+    this.recordDiagnostic('state', 'Occupancy statistics reset');
+  }
+
+  /**
+   * Updates the presence_state capability and triggers the presence_state_changed flow card
+   *
+   * @param {import('../../lib/presence-state').PresenceState} presenceState - New presence state
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.trigger=true] - Whether to trigger the flow card, false while initializing
+   * @returns {Promise<void>}
+   */
+  async updatePresenceState(presenceState, { trigger = true } = {}) {
+    const currentState = this.getCapabilityValue('presence_state');
+    const triggerType = determinePresenceStateTrigger(currentState, presenceState);
+
+    if (triggerType === null) {
+      return;
+    }
+
+    await this.setCapabilityValue('presence_state', presenceState);
+    this.log('Presence state updated:', presenceState);
+
+    if (!trigger) {
+      return;
+    }
+
+    try {
+      await this.homey.flow.getDeviceTriggerCard(triggerType).trigger(this, { state: presenceState }, { state: presenceState });
+      this.log('Flow card triggered:', triggerType);
+    } catch (error) {
+      this.error('Failed to trigger flow card:', error.message);
+    }
+  }
+
+  /**
+   * Starts the watchdog that checks whether the sensor still reports
+   */
+  startHeartbeatWatchdog() {
+    this.stopHeartbeatWatchdog();
+    this.heartbeat = createHeartbeat(Date.now());
+    this.heartbeatWatchdog = this.lifecycle.setInterval(() => {
+      this.checkHeartbeatWatchdog().catch((error) => {
+        this.error('Heartbeat check failed:', error.message);
       });
-      this.log('Proactive zone enroll response sent successfully');
-      this.debugNotify('Proactive enroll response sent');
-      
-      // Wait a moment and check if enrollment succeeded
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      const { zoneState: newZoneState } = await iasZoneCluster.readAttributes(['zoneState']);
-      this.log('Zone state after enrollment attempt:', newZoneState);
-      
-      if (newZoneState === 'enrolled') {
-        await this.setStoreValue('iasZoneEnrolled', true);
-        this.log('IAS Zone enrollment successful');
-        this.debugNotify('Enrollment successful');
+    }, MTD085ZBDevice.HEARTBEAT_CHECK_INTERVAL);
+  }
+
+  /**
+   * Stops the heartbeat watchdog
+   */
+  stopHeartbeatWatchdog() {
+    if (this.heartbeatWatchdog) {
+      this.lifecycle.clearInterval(this.heartbeatWatchdog);
+      this.heartbeatWatchdog = null;
+    }
+  }
+
+  /**
+   * Records a frame received from the sensor
+   * Restores availability if the sensor had stopped reporting
+   *
+   * @returns {Promise<void>}
+   */
+  async recordHeartbeat() {
+    this.lastReportAt = Date.now();
+
+    if (!this.heartbeat) {
+      return;
+    }
+
+    const { heartbeat, recovered } = recordFrame(this.heartbeat, Date.now());
+    this.heartbeat = heartbeat;
+
+    if (recovered) {
+      this.log('Sensor started reporting again');
+      this.recordDiagnostic('state', 'Sensor started reporting again');
+      await this.setAvailable();
+      this.notifySensorChanged();
+    }
+  }
+
+  /**
+   * Checks the heartbeat, polls a silent sensor once and marks it unavailable
+   * if it still does not respond
+   *
+   * @returns {Promise<void>}
+   */
+  async checkHeartbeatWatchdog() {
+    const maxMissed = this.getSetting('missed_reports') ?? 3;
+    const { heartbeat, action } = checkHeartbeat(this.heartbeat, Date.now(), {
+      interval: REPORT_MAX_INTERVAL * 1000,
+      maxMissed,
+    });
+    this.heartbeat = heartbeat;
+
+    if (action === 'poll') {
+      this.log(`No reports for ${maxMissed} intervals, polling presence...`);
+      await this.readCurrentPresence();
+    } else if (action === 'stop') {
+      await this.onStoppedReporting();
+    }
+  }
+
+  /**
+   * Marks the device unavailable and triggers the sensor_stopped_reporting flow card
+   *
+   * @returns {Promise<void>}
+   */
+  async onStoppedReporting() {
+    const minutes = Math.round((Date.now() - this.heartbeat.lastFrameAt) / 60000);
+    this.error(`Sensor stopped reporting, no frames for ${minutes} minutes`);
+    this.recordDiagnostic('state', 'Sensor stopped reporting', { minutes });
+
+    await this.setUnavailable(this.homey.__('device.not_reporting', { minutes }));
+    this.notifySensorChanged();
+
+    try {
+      await this.homey.flow.getTriggerCard('sensor_stopped_reporting').trigger({
+        device: this.getName(),
+        minutes,
+      });
+      this.log('Flow card triggered:', 'sensor_stopped_reporting');
+    } catch (error) {
+      this.error('Failed to trigger flow card:', error.message);
+    }
+  }
+
+  /**
+   * Waits until the device reports all given datapoints with the same values
+   *
+   * @param {import('../../lib/tuya-datapoint').Datapoint[]} expected - Datapoints to wait for
+   * @returns {Promise<void>}
+   * @throws {Error} If not all datapoints are confirmed within CONFIRM_TIMEOUT
+   */
+  waitForDatapoints(expected) {
+    this.datapointWaiters = this.datapointWaiters || new Set();
+
+    return new Promise((resolve, reject) => {
+      let unconfirmed = expected;
+      let timeout = null;
+      let untrack = () => {};
+
+      const settle = (error) => {
+        this.lifecycle.clearTimeout(timeout);
+        untrack();
+        this.datapointWaiters.delete(waiter);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const waiter = (datapoints) => {
+        unconfirmed = findUnconfirmedDatapoints(unconfirmed, datapoints);
+        if (unconfirmed.length === 0) {
+          settle(null);
+        }
+      };
+
+      this.datapointWaiters.add(waiter);
+      timeout = this.lifecycle.setTimeout(() => {
+        const dps = unconfirmed.map(({ dp }) => dp).join(', ');
+        settle(new Error(`Datapoints not confirmed by device: ${dps}`));
+      }, MTD085ZBDevice.CONFIRM_TIMEOUT);
+      untrack = this.lifecycle.add(() => settle(new LifecycleDisposedError()));
+    });
+  }
+
+  /**
+   * Writes datapoints, reads them back and waits until the device confirms them
+   *
+   * @param {import('../../lib/tuya-datapoint').Datapoint[]} datapoints - Datapoints to write
+   * @returns {Promise<void>}
+   * @throws {Error} If writing fails or the device does not confirm the values
+   */
+  async writeDatapointsAndConfirm(datapoints) {
+    const confirmation = this.waitForDatapoints(datapoints);
+
+    try {
+      await this.writeDatapoints(datapoints);
+      await this.zigbeeRequest(() => this.zclNode.endpoints[1].clusters.tuya.queryDatapoints());
+    } catch (error) {
+      confirmation.catch(() => {});
+      throw error;
+    }
+
+    await confirmation;
+  }
+
+  /**
+   * Sends datapoints to the device through the Tuya cluster
+   *
+   * @param {import('../../lib/tuya-datapoint').Datapoint[]} datapoints - Datapoints to send
+   * @returns {Promise<void>}
+   * @throws {Error} If the Tuya cluster is not available
+   */
+  async writeDatapoints(datapoints) {
+    const tuyaCluster = this.zclNode.endpoints[1].clusters.tuya;
+
+    if (!tuyaCluster) {
+      throw new NonRetryableError('Tuya cluster not available');
+    }
+
+    this.tuyaSequence = nextSequenceNumber(this.tuyaSequence || 0);
+    const seq = this.tuyaSequence;
+    await this.zigbeeRequest(() => tuyaCluster.writeDatapoints(seq, datapoints));
+    this.log('Tuya datapoints written:', datapoints.map(({ dp }) => dp).join(', '));
+  }
+
+  /**
+   * Handles zone status change notifications from the IAS Zone cluster
+   * Reports presence to the hold-off, which commits it to alarm_motion,
+   * and updates the tamper, trouble and battery alarms
+   * 
+   * @param {Object} payload - Zone status change payload
+   * @param {number} payload.zoneStatus - 16-bit zone status bitmap
+   * @returns {Promise<void>}
+   */
+  async onZoneStatusChange(payload) {
+    const { zoneStatus } = payload;
+    this.log('Zone status change received:', zoneStatus);
+    this.recordDiagnostic('frame', 'Zone status change', { zoneStatus: toZoneStatusNumber(zoneStatus) });
+    await this.recordHeartbeat();
+
+    let presenceDetected;
+    try {
+      presenceDetected = isPresenceDetected(zoneStatus, this.getZoneStatusOptions());
+    } catch (error) {
+      if (error instanceof ZoneStatusParseError) {
+        this.error('Ignoring malformed zone status:', error.message);
+        return;
+      }
+      throw error;
+    }
+
+    await this.presenceHoldOff.report(presenceDetected);
+    await this.updateZoneAlarms(zoneStatus);
+  }
+
+  /**
+   * Returns the zone status parse options for this device
+   * Reports are parsed strictly so malformed frames are never read as "no presence"
+   *
+   * @returns {import('../../lib/zone-status-parser').ZoneStatusOptions} Parse options
+   */
+  getZoneStatusOptions() {
+    const presenceBit = this.getSetting('presence_bit');
+    return {
+      strict: true,
+      presenceBit: presenceBit && presenceBit !== 'auto' ? presenceBit : this.fingerprint.presenceBit,
+    };
+  }
+
+  /**
+   * Updates the tamper, trouble and battery alarm capabilities from a zone status
+   * Triggers the matching flow card when an alarm turns on
+   *
+   * @param {number|Buffer|Object} zoneStatus - Zone status value
+   * @returns {Promise<void>}
+   */
+  async updateZoneAlarms(zoneStatus) {
+    const currentAlarms = {};
+    for (const capability of ZONE_ALARM_CAPABILITIES) {
+      currentAlarms[capability] = this.getCapabilityValue(capability);
+    }
+
+    const newAlarms = mapZoneAlarms(zoneStatus, this.getZoneStatusOptions());
+    const changes = determineZoneAlarmChanges(currentAlarms, newAlarms);
+
+    for (const { capability, value, trigger } of changes) {
+      await this.setCapabilityValue(capability, value);
+      this.log(`${capability} updated:`, value);
+
+      if (trigger !== null) {
+        try {
+          await this.homey.flow.getDeviceTriggerCard(trigger).trigger(this);
+          this.log('Flow card triggered:', trigger);
+        } catch (error) {
+          this.error('Failed to trigger flow card:', error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Commits a presence value after the hold-off
+   * Updates the alarm_motion capability and triggers the matching flow card.
+   * The first presence of a new device, e.g. from the initial read, only
+   * initializes the capabilities: nothing changed, so no flow card is triggered
+   *
+   * @param {boolean} presenceDetected - Presence to commit
+   * @returns {Promise<void>}
+   */
+  async commitPresence(presenceDetected) {
+    const currentState = this.getCapabilityValue('alarm_motion');
+    const initializing = currentState === null;
+
+    // Determine which flow card to trigger based on state transition
+    const triggerType = determineFlowTrigger(currentState, presenceDetected);
+
+    if (triggerType !== null) {
+      await this.setCapabilityValue('alarm_motion', presenceDetected);
+      this.log('Motion alarm updated:', presenceDetected);
+      this.recordDiagnostic('state', `Presence ${presenceDetected ? 'detected' : 'cleared'}`);
+      this.notifySensorChanged();
+
+      // Record when presence began or ended for the duration tokens
+      const { timing, tokens } = recordPresenceTransition(this.presenceTiming, presenceDetected, Date.now());
+      this.presenceTiming = timing;
+      await this.setStoreValue('presenceStartedAt', timing.presenceStartedAt);
+      await this.setStoreValue('presenceEndedAt', timing.presenceEndedAt);
+
+      await this.saveOccupancyStats(
+        recordOccupancy(this.occupancyStats, presenceDetected, Date.now(), this.getOccupancyOptions())
+      );
+
+      if (presenceDetected) {
+        this.startPresenceTicker();
       } else {
-        throw new Error(`Enrollment failed, zone state is still: ${newZoneState}`);
+        this.stopPresenceTicker();
+      }
+
+      // Trigger appropriate flow card
+      if (!initializing) {
+        try {
+          await this.homey.flow.getDeviceTriggerCard(triggerType).trigger(this, tokens);
+          this.log('Flow card triggered:', triggerType);
+        } catch (error) {
+          this.error('Failed to trigger flow card:', error.message);
+        }
+      }
+    }
+
+    if (this.hasCapability('presence_state')) {
+      await this.updatePresenceState(
+        presenceStateFromAlarm(this.getCapabilityValue('presence_state'), presenceDetected),
+        { trigger: !initializing }
+      );
+    }
+  }
+
+  /**
+   * Restores the IAS Zone enrollment state from the store
+   * Migrates devices paired before the state was stored
+   *
+   * @returns {Promise<void>}
+   */
+  async restoreEnrollment() {
+    const storedState = this.getStoreValue('enrollmentState');
+    this.enrollmentState = restoreEnrollmentState({
+      enrollmentState: storedState,
+      iasZoneEnrolled: this.getStoreValue('iasZoneEnrolled'),
+    });
+
+    if (this.enrollmentState !== storedState) {
+      await this.setStoreValue('enrollmentState', this.enrollmentState);
+    }
+    this.log('IAS Zone enrollment state:', this.enrollmentState);
+  }
+
+  /**
+   * Applies an enrollment event and persists the new state
+   *
+   * @param {import('../../lib/ias-enrollment').EnrollmentEvent} event - Event to apply
+   * @returns {Promise<void>}
+   * @throws {import('../../lib/ias-enrollment').EnrollmentTransitionError} If the event is not allowed
+   */
+  async setEnrollmentState(event) {
+    const newState = transitionEnrollment(this.enrollmentState, event);
+    this.enrollmentState = newState;
+    await this.setStoreValue('enrollmentState', newState);
+    this.log(`IAS Zone enrollment ${event}:`, newState);
+    this.recordDiagnostic('state', `IAS Zone enrollment ${event}: ${newState}`);
+  }
+
+  /**
+   * Handles a zone enroll request from the device
+   * Always accepts the request and hands it to a pending enrollment attempt
+   *
+   * @param {Object} payload - Zone enroll request payload
+   * @returns {Promise<void>}
+   */
+  async onZoneEnrollRequest(payload) {
+    this.log('Zone enroll request received:', payload);
+    this.recordDiagnostic('frame', 'Zone enroll request', payload);
+    this.captureFrame({ cluster: 'iasZone', command: 'zoneEnrollRequest', payload });
+
+    try {
+      await this.sendZoneEnrollResponse();
+      this.log('Zone enroll response sent');
+    } catch (error) {
+      this.error('Failed to send zone enroll response:', error.message);
+    }
+
+    if (this.enrollRequestWaiter) {
+      this.enrollRequestWaiter(true);
+    }
+  }
+
+  /**
+   * Sends a successful zone enroll response with the Homey zone ID
+   *
+   * @returns {Promise<void>}
+   */
+  async sendZoneEnrollResponse() {
+    await this.zigbeeRequest(() => this.zclNode.endpoints[1].clusters.iasZone.zoneEnrollResponse({
+      enrollResponseCode: 'success',
+      zoneId: MTD085ZBDevice.IAS_ZONE_ID,
+    }));
+  }
+
+  /**
+   * Waits for the device to send a zone enroll request
+   * The wait can be ended early by calling enrollRequestWaiter(false), and ends
+   * without a request when the device is disposed
+   *
+   * @returns {Promise<boolean>} True if a request was received, false on timeout
+   */
+  waitForEnrollRequest() {
+    return new Promise((resolve) => {
+      let timeout = null;
+      let untrack = () => {};
+
+      const settle = (received) => {
+        this.lifecycle.clearTimeout(timeout);
+        untrack();
+        this.enrollRequestWaiter = null;
+        resolve(received);
+      };
+
+      this.enrollRequestWaiter = settle;
+      timeout = this.lifecycle.setTimeout(() => settle(false), MTD085ZBDevice.ENROLL_REQUEST_TIMEOUT);
+      untrack = this.lifecycle.add(() => settle(false));
+    });
+  }
+
+  /**
+   * Returns the IEEE address of Homey, the CIE the sensor enrolls with
+   *
+   * @returns {Promise<string>} IEEE address of the Homey Zigbee coordinator
+   * @throws {Error} If Homey does not expose its IEEE address
+   */
+  async getCIEAddress() {
+    const network = await this.homey.zigbee.getNetwork();
+
+    if (!network || !network.ieeeAddress) {
+      throw new Error('Homey IEEE address not available');
+    }
+
+    return network.ieeeAddress;
+  }
+
+  /**
+   * Reads attributes of a cluster on endpoint 1 with retries and records the response in the traffic capture
+   *
+   * @param {string} clusterName - Cluster name, e.g. iasZone
+   * @param {string[]} names - Attribute names
+   * @returns {Promise<Object<string, *>>} Attribute values by name
+   * @throws {Error} Error of the last attempt
+   */
+  async readClusterAttributes(clusterName, names) {
+    const cluster = this.zclNode.endpoints[1].clusters[clusterName];
+    const attributes = await this.zigbeeRequest(() => cluster.readAttributes(names));
+    this.captureFrame({ cluster: clusterName, command: 'readAttributes', payload: attributes });
+    return attributes;
+  }
+
+  /**
+   * Runs a Zigbee read or write with retries
+   * Gives up right away on non-retryable errors and when the device is deleted
+   *
+   * @param {Function} operation - Async Zigbee operation
+   * @returns {Promise<*>} Result of the operation
+   * @throws {Error} Error of the last attempt
+   */
+  async zigbeeRequest(operation) {
+    const result = await withRetry(operation, {
+      ...MTD085ZBDevice.ZIGBEE_RETRY_OPTIONS,
+      signal: this.lifecycle?.signal,
+    });
+
+    if (!result.success) {
+      throw result.error;
+    }
+    return result.result;
+  }
+
+  /**
+   * Configures the IAS Zone cluster with retry logic
+   * Retries up to MAX_RETRIES times with exponential backoff. Devices with the
+   * directMonitoring quirk fall back to direct zone status monitoring instead of failing.
+   * Attempts have no overall timeout, every step of configureIASZone has its own
+   * 
+   * @returns {Promise<void>}
+   * @throws {Error} If configuration fails after max retries
+   * @throws {import('../../lib/ias-enrollment').EnrollmentTransitionError} If another enrollment is in progress
+   */
+  async configureIASZoneWithRetry() {
+    const result = await withRetry(
+      () => this.configureIASZone(),
+      {
+        maxRetries: MTD085ZBDevice.MAX_RETRIES,
+        delay: MTD085ZBDevice.RETRY_DELAY,
+        maxDelay: MTD085ZBDevice.RETRY_MAX_DELAY,
+        backoff: 'exponential',
+        jitter: 'full',
+        signal: this.lifecycle?.signal,
+        // An attempt already in progress or a missing cluster will not go away by retrying
+        shouldRetry: (error) => isRetryableError(error) && !(error instanceof EnrollmentTransitionError),
+        onRetry: (attempt, error, delay) => {
+          this.error(`Configuration attempt ${attempt} failed:`, error.message);
+          this.log(`Retrying in ${Math.round(delay)}ms...`);
+        },
+      }
+    );
+
+    if (result.success) {
+      return;
+    }
+
+    if (result.aborted) {
+      this.log('IAS Zone configuration cancelled');
+      return;
+    }
+
+    // Another enrollment is in progress, it enrolls or falls back by itself
+    if (result.error instanceof EnrollmentTransitionError) {
+      throw result.error;
+    }
+
+    if (this.fingerprint.quirks.directMonitoring) {
+      this.log('IAS Zone enrollment failed, falling back to direct monitoring:', result.error.message);
+      await this.setEnrollmentState('fallback');
+      return;
+    }
+
+    throw new Error(`IAS Zone configuration failed after ${result.attempts} attempts: ${result.error.message}`);
+  }
+
+  /**
+   * Configures the IAS Zone cluster
+   * - Writes the Homey IEEE address to iasCIEAddress
+   * - Waits for the zone enroll request and answers it
+   * - Sends a proactive enroll response if no request arrives in time
+   * - Verifies the zoneState attribute
+   * 
+   * @returns {Promise<void>}
+   * @throws {Error} If the device is not enrolled afterwards
+   */
+  async configureIASZone() {
+    const iasZoneCluster = this.zclNode.endpoints[1].clusters.iasZone;
+
+    if (!iasZoneCluster) {
+      throw new NonRetryableError('IAS Zone cluster not available');
+    }
+
+    await this.setEnrollmentState('start');
+
+    try {
+      // Check current zone state
+      let { zoneState } = await this.readClusterAttributes('iasZone', ['zoneState']);
+      this.log('Current zone state:', zoneState);
+      this.debugNotify(`Zone state: ${zoneState}`);
+
+      if (zoneState !== 'enrolled') {
+        // The device sends a zone enroll request once it knows its CIE
+        const enrollRequest = this.waitForEnrollRequest();
+
+        try {
+          const cieAddress = await this.getCIEAddress();
+          await this.zigbeeRequest(() => iasZoneCluster.writeAttributes({ iasCIEAddress: cieAddress }));
+          this.log('CIE address written:', cieAddress);
+          this.debugNotify('CIE address written');
+        } catch (error) {
+          this.error('Failed to write CIE address:', error.message);
+          // The waiter is gone if the device was disposed meanwhile
+          if (this.enrollRequestWaiter) {
+            this.enrollRequestWaiter(false);
+          }
+        }
+
+        if (await enrollRequest) {
+          this.log('Device requested enrollment');
+          this.debugNotify('Device requested enrollment');
+        } else {
+          // Some Tuya firmware never sends a request but accepts an unsolicited response
+          this.log('No zone enroll request received, sending proactive enroll response...');
+          this.debugNotify('Sending proactive enroll response...');
+          await this.sendZoneEnrollResponse();
+        }
+
+        // Wait a moment and check if enrollment succeeded
+        await this.lifecycle.sleep(MTD085ZBDevice.ENROLL_VERIFY_DELAY);
+        ({ zoneState } = await this.readClusterAttributes('iasZone', ['zoneState']));
+        this.log('Zone state after enrollment attempt:', zoneState);
+        this.debugNotify(`Zone state after enrollment attempt: ${zoneState}`);
+      }
+
+      if (enrollmentEventForZoneState(zoneState) !== 'enrolled') {
+        throw new Error(`Enrollment failed, zone state is still: ${zoneState}`);
       }
     } catch (error) {
-      this.error('Proactive enrollment failed:', error.message);
-      this.debugNotify(`Enrollment failed: ${error.message}`);
+      this.error('IAS Zone enrollment failed:', error.message);
+      await this.setEnrollmentState('failed');
       throw error;
     }
 
-    // Store configuration state
-    await this.setStoreValue('cieAddressConfigured', true);
+    await this.setEnrollmentState('enrolled');
   }
 }
 
@@ -10,14 +10,73 @@ const { ZigBeeDriver } = require('homey-zigbeedriver');
  * @extends ZigBeeDriver
  */
 class MTD085ZBDriver extends ZigBeeDriver {
+  /**
+   * Interval for checking the profile schedules of the devices in milliseconds
+   * @type {number}
+   */
+  static PROFILE_CHECK_INTERVAL = 60000;
+
   /**
    * Called when the driver is initialized
+   * Starts evaluating the profile schedules of all devices
    * 
    * @returns {Promise<void>}
    */
   async onInit() {
+    this.homey.setInterval(() => this.updateProfiles(), MTD085ZBDriver.PROFILE_CHECK_INTERVAL);
     this.log('MTD085-ZB driver initialized');
   }
+
+  /**
+   * Switches every initialized device to the profile its schedule selects now
+   */
+  updateProfiles() {
+    for (const device of this.getDevices()) {
+      if (!device.profileState) {
+        continue;
+      }
+
+      device.updateActiveProfile().catch((error) => {
+        this.error('Failed to update profile of', device.getName(), error.message);
+      });
+    }
+  }
+
+  /**
+   * Called when the user starts a repair session for a device
+   * The repair view emits "steps" to list the repair steps of the device, "run"
+   * and receives a "step" event for every step, and emits "diagnostics" to show
+   * the diagnostics log for bug reports
+   *
+   * @param {Object} session - Repair session
+   * @param {import('./device')} device - Device being repaired
+   * @returns {Promise<void>}
+   */
+  async onRepair(session, device) {
+    this.log('Repair session started for', device.getName());
+
+    session.setHandler('steps', async () => {
+      return device.getRepairSteps().map(({ id }) => id);
+    });
+
+    session.setHandler('run', async () => {
+      return device.repair(async (step) => {
+        try {
+          await session.emit('step', step);
+        } catch (error) {
+          this.error('Failed to send repair step to view:', error.message);
+        }
+      });
+    });
+
+    session.setHandler('diagnostics', async () => {
+      return device.getDiagnostics();
+    });
+
+    session.setHandler('capture', async () => {
+      return device.getCapture();
+    });
+  }
 }
 
 module.exports = MTD085ZBDriver;
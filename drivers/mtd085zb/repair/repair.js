@@ -0,0 +1,80 @@
+/**
+ * Repair view, shared by the sensor drivers
+ * The steps are listed by the device being repaired, see getRepairSteps
+ */
+(() => {
+  const stepsElement = document.getElementById('steps');
+  const summaryElement = document.getElementById('summary');
+  const startButton = document.getElementById('start');
+  const diagnosticsButton = document.getElementById('show-diagnostics');
+  const diagnosticsElement = document.getElementById('diagnostics');
+  const captureButton = document.getElementById('show-capture');
+  const captureElement = document.getElementById('capture');
+
+  Homey.setTitle(Homey.__('repair.title'));
+
+  // One row per step of the device, filled in as "step" events arrive
+  startButton.disabled = true;
+  Homey.emit('steps').then((steps) => {
+    for (const id of steps) {
+      const row = document.createElement('li');
+      row.className = 'repair-step';
+      row.innerHTML = `
+        <span>${Homey.__(`repair.steps.${id}`)}<span class="repair-step-detail"></span></span>
+        <span class="repair-step-status"></span>
+      `;
+      row.id = `step-${id}`;
+      stepsElement.appendChild(row);
+    }
+    startButton.disabled = false;
+  }).catch(error => Homey.alert(error.message, 'error'));
+
+  Homey.on('step', ({ id, status, detail }) => {
+    const row = document.getElementById(`step-${id}`);
+    if (!row) {
+      return;
+    }
+
+    const statusElement = row.querySelector('.repair-step-status');
+    statusElement.dataset.status = status;
+    statusElement.textContent = Homey.__(`repair.status.${status}`);
+    row.querySelector('.repair-step-detail').textContent = detail || '';
+  });
+
+  startButton.addEventListener('click', async () => {
+    startButton.disabled = true;
+    summaryElement.textContent = '';
+
+    try {
+      const report = await Homey.emit('run');
+      summaryElement.textContent = Homey.__(report.success ? 'repair.succeeded' : 'repair.failed');
+      startButton.textContent = Homey.__('repair.retry');
+    } catch (error) {
+      Homey.alert(error.message, 'error');
+    }
+
+    startButton.disabled = false;
+  });
+
+  diagnosticsButton.addEventListener('click', async () => {
+    try {
+      diagnosticsElement.value = await Homey.emit('diagnostics');
+      diagnosticsElement.style.display = 'block';
+      document.getElementById('diagnostics-hint').hidden = false;
+      diagnosticsElement.select();
+    } catch (error) {
+      Homey.alert(error.message, 'error');
+    }
+  });
+
+  captureButton.addEventListener('click', async () => {
+    try {
+      captureElement.value = await Homey.emit('capture');
+      captureElement.style.display = 'block';
+      document.getElementById('capture-hint').hidden = false;
+      captureElement.select();
+    } catch (error) {
+      Homey.alert(error.message, 'error');
+    }
+  });
+})();
@@ -0,0 +1,392 @@
+'use strict';
+
+const MTD085ZBDevice = require('../mtd085zb/device');
+const { NonRetryableError } = require('../../lib/retry');
+const { REPORT_MAX_INTERVAL } = require('../../lib/heartbeat');
+const {
+  OccupancyParseError,
+  isOccupied,
+  validateOccupancySettings,
+  filterOccupancySettingKeys,
+  settingsToAttributes,
+  findUnconfirmedAttributes,
+  toLux,
+} = require('../../lib/occupancy-sensing');
+
+/**
+ * Fingerprint of the Occupancy Sensing sensors, which are not in the MTD085-ZB registry
+ * They have no radar datapoints and do not fall back from IAS Zone enrollment
+ * @type {import('../../lib/fingerprints').Fingerprint}
+ */
+const OCCUPANCY_FINGERPRINT = Object.freeze({
+  modelId: 'MTD085-ZB',
+  manufacturerNames: ['LeapMMW', 'Wenzhi'],
+  presenceBit: 'alarm1',
+  datapoints: [],
+  quirks: {
+    directMonitoring: false,
+  },
+});
+
+/**
+ * Occupancy Sensing Presence Sensor Device
+ * Handles the mains-powered Wenzhi/LeapMMW ceiling radars that report presence
+ * through the standard Occupancy Sensing cluster (0x0406) instead of IAS Zone.
+ * Presence hold-off, flow cards, occupancy statistics, heartbeat and diagnostics
+ * are shared with the MTD085-ZB device; this class only sources the state from
+ * the occupancy and illuminance reports and writes the occupancy settings
+ *
+ * @class OccupancySensorDevice
+ * @extends MTD085ZBDevice
+ */
+class OccupancySensorDevice extends MTD085ZBDevice {
+  /**
+   * Capabilities every device must have, added to devices paired with an older version
+   * @type {string[]}
+   */
+  static CAPABILITIES = [
+    'alarm_motion',
+    'measure_luminance',
+    'occupied_today',
+  ];
+
+  /**
+   * Occupancy Sensing devices are not in the MTD085-ZB fingerprint registry
+   * Their own fingerprint keeps the inherited IAS Zone and Tuya code paths working
+   *
+   * @returns {import('../../lib/fingerprints').Fingerprint} Occupancy Sensing fingerprint
+   */
+  lookupFingerprint() {
+    return OCCUPANCY_FINGERPRINT;
+  }
+
+  /**
+   * Occupancy Sensing needs no IAS Zone enrollment
+   *
+   * @returns {Promise<void>}
+   */
+  async restoreEnrollment() {
+    this.enrollmentState = null;
+  }
+
+  /**
+   * Called when the Zigbee node is initialized and zclNode is available
+   * Writes the occupancy settings to a newly paired sensor, a sensor that does
+   * not confirm them is configured again when it comes back online
+   *
+   * @returns {Promise<void>}
+   */
+  async onNodeInit({ zclNode }) {
+    await super.onNodeInit({ zclNode });
+
+    if (!this.isFirstInit()) {
+      return;
+    }
+
+    this.log('Occupancy sensor paired, applying occupancy settings...');
+    try {
+      await this.applyOccupancySettings(this.getSettings());
+    } catch (error) {
+      this.error('Failed to apply occupancy settings:', error.message);
+    }
+  }
+
+  /**
+   * Called when the device comes back online
+   * Restores availability, re-reads the occupancy and re-applies the occupancy settings
+   *
+   * @returns {Promise<void>}
+   */
+  async onOnline() {
+    this.log('Occupancy sensor came back online');
+
+    await this.setAvailable();
+    this.notifySensorChanged();
+
+    await this.readCurrentPresence();
+
+    // The sensor may have lost its settings while offline
+    try {
+      await this.applyOccupancySettings(this.getSettings());
+    } catch (error) {
+      this.error('Failed to re-apply occupancy settings:', error.message);
+    }
+  }
+
+  /**
+   * Called when the user changes device settings
+   * Validates the occupancy settings and writes the changed ones to the device
+   *
+   * @param {Object} event - Settings event
+   * @param {Object} event.oldSettings - Settings before the change
+   * @param {Object} event.newSettings - Settings after the change
+   * @param {string[]} event.changedKeys - Ids of the changed settings
+   * @returns {Promise<void>}
+   * @throws {Error} Localized message if validation or confirmation fails
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    const errors = validateOccupancySettings(newSettings);
+    if (errors.length > 0) {
+      throw this.createSettingsError(errors, newSettings);
+    }
+
+    await this.applyEffectiveSettings(newSettings, changedKeys);
+    this.updateTrafficCapture(newSettings, changedKeys);
+  }
+
+  /**
+   * Applies changed settings to the hold-off and the device
+   *
+   * @param {Object} settings - Device settings
+   * @param {string[]} keys - Ids of the settings to apply
+   * @returns {Promise<void>}
+   * @throws {Error} Localized message if the device does not confirm the occupancy settings
+   */
+  async applyEffectiveSettings(settings, keys) {
+    if (keys.includes('clear_delay') && this.presenceHoldOff) {
+      this.presenceHoldOff.setClearDelay(settings.clear_delay * 1000);
+      this.log('Clear delay set to:', settings.clear_delay);
+    }
+
+    const occupancyKeys = filterOccupancySettingKeys(keys);
+    if (occupancyKeys.length > 0) {
+      await this.applyOccupancySettings(settings, occupancyKeys);
+    }
+  }
+
+  /**
+   * Writes occupancy settings to the device and reads them back to confirm them
+   * Only the attributes of the sensing technologies the sensor has are written
+   *
+   * @param {Object} settings - Device settings
+   * @param {string[]} [keys] - Setting ids to apply, defaults to all occupancy settings
+   * @returns {Promise<void>}
+   * @throws {Error} Localized message if the device does not confirm the settings
+   */
+  async applyOccupancySettings(settings, keys) {
+    try {
+      const cluster = this.getOccupancySensingCluster();
+      const attributes = settingsToAttributes(settings, keys, await this.getSensorType());
+      const names = Object.keys(attributes);
+
+      if (names.length === 0) {
+        return;
+      }
+
+      await this.zigbeeRequest(() => cluster.writeAttributes(attributes));
+      const unconfirmed = findUnconfirmedAttributes(
+        attributes,
+        await this.readClusterAttributes('occupancySensing', names)
+      );
+      if (unconfirmed.length > 0) {
+        throw new Error(`Attributes not confirmed by device: ${unconfirmed.join(', ')}`);
+      }
+      this.log('Occupancy settings applied:', names.join(', '));
+    } catch (error) {
+      this.error('Failed to apply occupancy settings:', error.message);
+      throw new Error(this.homey.__('settings.errors.not_confirmed'));
+    }
+  }
+
+  /**
+   * Gets the sensor type, read from the device once and kept in the store
+   *
+   * @returns {Promise<string|null>} occupancySensorType, or null if it cannot be read
+   */
+  async getSensorType() {
+    let sensorType = this.getStoreValue('occupancySensorType') ?? null;
+
+    if (sensorType === null) {
+      try {
+        ({ occupancySensorType: sensorType } = await this.readClusterAttributes('occupancySensing', ['occupancySensorType']));
+        await this.setStoreValue('occupancySensorType', sensorType);
+        this.log('Occupancy sensor type:', sensorType);
+      } catch (error) {
+        this.error('Failed to read occupancy sensor type:', error.message);
+      }
+    }
+
+    return sensorType ?? null;
+  }
+
+  /**
+   * Gets the Occupancy Sensing cluster on endpoint 1
+   *
+   * @returns {Object} Cluster
+   * @throws {NonRetryableError} If the cluster is not available
+   */
+  getOccupancySensingCluster() {
+    const cluster = this.zclNode.endpoints[1].clusters.occupancySensing;
+
+    if (!cluster) {
+      throw new NonRetryableError('Occupancy Sensing cluster not available');
+    }
+    return cluster;
+  }
+
+  /**
+   * Registers the handlers for the occupancy and illuminance reports
+   */
+  registerClusterHandlers() {
+    const { occupancySensing, illuminanceMeasurement } = this.zclNode.endpoints[1].clusters;
+
+    // Release the handlers of an earlier registration, e.g. when repairing
+    if (this.releaseClusterHandlers) {
+      this.releaseClusterHandlers();
+    }
+
+    const releases = [];
+    if (occupancySensing) {
+      releases.push(this.lifecycle.listen(occupancySensing, 'attr.occupancy', (occupancy) => {
+        this.captureFrame({ cluster: 'occupancySensing', attribute: 'occupancy', payload: { occupancy } });
+        return this.onOccupancy(occupancy);
+      }));
+      this.log('Occupancy report handler registered');
+    } else {
+      this.error('Occupancy Sensing cluster not found on endpoint 1');
+    }
+
+    if (illuminanceMeasurement) {
+      releases.push(this.lifecycle.listen(illuminanceMeasurement, 'attr.measuredValue', (measuredValue) => {
+        this.captureFrame({ cluster: 'illuminanceMeasurement', attribute: 'measuredValue', payload: { measuredValue } });
+        return this.onMeasuredValue(measuredValue);
+      }));
+      this.log('Illuminance report handler registered');
+    }
+
+    this.releaseClusterHandlers = () => releases.forEach(release => release());
+  }
+
+  /**
+   * Sets up attribute reporting for occupancy and illuminance
+   */
+  async setupAttributeReporting() {
+    try {
+      await this.configureOccupancyReporting();
+    } catch (error) {
+      this.log('Failed to configure attribute reporting (may be normal for some devices):', error.message);
+    }
+  }
+
+  /**
+   * Configures reporting of the occupancy attribute, and of the illuminance if the sensor measures it
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the Occupancy Sensing cluster is not available or the device rejects the configuration
+   */
+  async configureOccupancyReporting() {
+    const cluster = this.getOccupancySensingCluster();
+
+    this.log('Setting up attribute reporting for occupancy...');
+
+    await this.zigbeeRequest(() => cluster.configureReporting({
+      occupancy: {
+        minInterval: 0,
+        maxInterval: REPORT_MAX_INTERVAL, // Maximum 5 minutes, checked by the heartbeat watchdog
+      },
+    }));
+
+    const { illuminanceMeasurement } = this.zclNode.endpoints[1].clusters;
+    if (illuminanceMeasurement) {
+      await this.zigbeeRequest(() => illuminanceMeasurement.configureReporting({
+        measuredValue: {
+          minInterval: 10,
+          maxInterval: REPORT_MAX_INTERVAL,
+          minChange: 1000,
+        },
+      }));
+    }
+
+    this.log('Occupancy attribute reporting configured');
+  }
+
+  /**
+   * Handles an occupancy report
+   * Reports presence to the hold-off, which commits it to alarm_motion
+   *
+   * @param {number|Object} occupancy - Occupancy bitmap
+   * @returns {Promise<void>}
+   */
+  async onOccupancy(occupancy) {
+    this.log('Occupancy received:', occupancy);
+    await this.recordHeartbeat();
+
+    let presenceDetected;
+    try {
+      presenceDetected = isOccupied(occupancy);
+    } catch (error) {
+      if (error instanceof OccupancyParseError) {
+        this.error('Ignoring malformed occupancy:', error.message);
+        return;
+      }
+      throw error;
+    }
+
+    this.recordDiagnostic('frame', 'Occupancy', { occupied: presenceDetected });
+    await this.presenceHoldOff.report(presenceDetected);
+  }
+
+  /**
+   * Handles an illuminance report
+   *
+   * @param {number} measuredValue - Illuminance Measurement measuredValue
+   * @returns {Promise<void>}
+   */
+  async onMeasuredValue(measuredValue) {
+    this.recordDiagnostic('frame', 'Illuminance', { measuredValue });
+    await this.recordHeartbeat();
+
+    const luminance = toLux(measuredValue);
+    if (luminance !== null) {
+      await this.updateLuminance(luminance);
+    }
+  }
+
+  /**
+   * Reads the occupancy and reports it to the hold-off
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If the Occupancy Sensing cluster is not available or the read fails
+   */
+  async syncPresence() {
+    this.getOccupancySensingCluster();
+
+    this.log('Reading current occupancy...');
+    const { occupancy } = await this.readClusterAttributes('occupancySensing', ['occupancy']);
+    await this.recordHeartbeat();
+
+    await this.presenceHoldOff.report(isOccupied(occupancy));
+  }
+
+  /**
+   * Gets the steps of a guided repair: re-attaches the report handlers, re-applies
+   * reporting and the occupancy settings and reads the current occupancy
+   *
+   * @returns {import('../../lib/repair').RepairStep[]} Steps in the order they run
+   */
+  getRepairSteps() {
+    return [
+      {
+        id: 'occupancy_handlers',
+        run: async () => {
+          this.getOccupancySensingCluster();
+          this.registerClusterHandlers();
+        },
+      },
+      {
+        id: 'occupancy_reporting',
+        run: () => this.configureOccupancyReporting(),
+      },
+      {
+        id: 'occupancy_settings',
+        run: () => this.applyOccupancySettings(this.getSettings()),
+      },
+      {
+        id: 'occupancy',
+        run: () => this.syncPresence(),
+      },
+    ];
+  }
+}
+
+module.exports = OccupancySensorDevice;
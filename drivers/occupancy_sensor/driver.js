@@ -0,0 +1,25 @@
+'use strict';
+
+const MTD085ZBDriver = require('../mtd085zb/driver');
+
+/**
+ * Occupancy Sensing Presence Sensor Driver
+ * Driver entry point for the presence sensors that report through the
+ * Occupancy Sensing cluster. Repair sessions are shared with the MTD085-ZB driver
+ *
+ * @class OccupancySensorDriver
+ * @extends MTD085ZBDriver
+ */
+class OccupancySensorDriver extends MTD085ZBDriver {
+  /**
+   * Called when the driver is initialized
+   * These sensors have no configuration profiles, so no schedule is evaluated
+   *
+   * @returns {Promise<void>}
+   */
+  async onInit() {
+    this.log('Occupancy sensor driver initialized');
+  }
+}
+
+module.exports = OccupancySensorDriver;
@@ -0,0 +1,186 @@
+'use strict';
+
+const Homey = require('homey');
+const { determineFlowTrigger, createPresenceHoldOff } = require('../../lib/flow-trigger-logic');
+const { SENSOR_CHANGED_EVENT, combinePresence } = require('../../lib/occupancy-zone');
+const { SENSOR_DRIVERS, getSensorId } = require('../../lib/sensor-status');
+const { createLifecycle } = require('../../lib/lifecycle');
+
+/**
+ * Occupancy Zone Device
+ * Virtual device whose presence combines the presence of several MTD085-ZB
+ * sensors, for rooms that need more than one sensor
+ *
+ * @class OccupancyZoneDevice
+ * @extends Homey.Device
+ */
+class OccupancyZoneDevice extends Homey.Device {
+  /**
+   * Flow cards triggered for the committed zone presence
+   * @type {Object<string, string>}
+   */
+  static FLOW_TRIGGERS = {
+    motion_detected: 'zone_motion_detected',
+    motion_cleared: 'zone_motion_cleared',
+  };
+
+  /**
+   * Called when the device is initialized
+   * Listens for changes of the member sensors and evaluates the zone once
+   *
+   * @returns {Promise<void>}
+   */
+  async onInit() {
+    this.log('Occupancy zone initializing...');
+
+    this.lifecycle = createLifecycle({
+      onError: (error) => this.error('Failed to release zone resource:', error.message),
+    });
+
+    // Defer a cleared zone by the shared clear delay
+    const presenceHoldOff = createPresenceHoldOff({
+      clearDelay: (this.getSetting('clear_delay') ?? 0) * 1000,
+      initialState: this.getCapabilityValue('alarm_motion'),
+      onCommit: this.commitPresence.bind(this),
+      onError: (error) => this.error('Failed to commit zone presence:', error.message),
+    });
+    this.presenceHoldOff = presenceHoldOff;
+    this.lifecycle.add(() => presenceHoldOff.dispose());
+
+    this.lifecycle.listen(this.homey.app, SENSOR_CHANGED_EVENT, (id) => {
+      if (this.getMemberIds().includes(id)) {
+        this.evaluate().catch((error) => this.error('Failed to evaluate zone:', error.message));
+      }
+    });
+
+    // The sensors may still be initializing when the app starts
+    await Promise.all(SENSOR_DRIVERS.map(id => this.homey.drivers.getDriver(id).ready()));
+    await this.evaluate();
+
+    this.log('Occupancy zone initialized');
+  }
+
+  /**
+   * Called when the device is deleted from Homey
+   *
+   * @returns {Promise<void>}
+   */
+  async onDeleted() {
+    this.lifecycle.dispose();
+    this.log('Occupancy zone deleted');
+  }
+
+  /**
+   * Called when the device is uninitialized, e.g. when the app stops or restarts
+   *
+   * @returns {Promise<void>}
+   */
+  async onUninit() {
+    this.lifecycle.dispose();
+    this.log('Occupancy zone uninitialized');
+  }
+
+  /**
+   * Called when the user changes device settings
+   * Applies the clear delay and re-evaluates the zone with the new logic
+   *
+   * @param {Object} event - Settings event
+   * @param {Object} event.newSettings - Settings after the change
+   * @param {string[]} event.changedKeys - Ids of the changed settings
+   * @returns {Promise<void>}
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    if (changedKeys.includes('clear_delay')) {
+      this.presenceHoldOff.setClearDelay(newSettings.clear_delay * 1000);
+      this.log('Clear delay set to:', newSettings.clear_delay);
+    }
+
+    if (changedKeys.includes('logic')) {
+      this.log('Zone logic set to:', newSettings.logic);
+      await this.evaluate(newSettings.logic);
+    }
+  }
+
+  /**
+   * Gets the ids of the sensors in the zone
+   *
+   * @returns {string[]} Sensor ids
+   */
+  getMemberIds() {
+    return this.getStoreValue('sensors') ?? [];
+  }
+
+  /**
+   * Replaces the sensors in the zone and re-evaluates it
+   *
+   * @param {string[]} ids - Sensor ids
+   * @returns {Promise<void>}
+   */
+  async setMemberIds(ids) {
+    await this.setStoreValue('sensors', ids);
+    this.log('Zone sensors set to:', ids);
+    await this.evaluate();
+  }
+
+  /**
+   * Combines the presence of the available member sensors and reports it to the hold-off
+   * Marks the zone unavailable while none of its sensors is available
+   *
+   * @param {import('../../lib/occupancy-zone').ZoneLogic} [logic] - Logic to use, the logic setting if omitted
+   * @returns {Promise<void>}
+   */
+  async evaluate(logic = this.getSetting('logic') ?? 'any') {
+    const ids = this.getMemberIds();
+    const values = this.homey.app.getSensorDevices()
+      .filter(device => ids.includes(getSensorId(device.getData())))
+      .map(device => (device.getAvailable() ? device.getCapabilityValue('alarm_motion') : null));
+
+    const presenceDetected = combinePresence(values, logic);
+
+    if (presenceDetected === null) {
+      await this.setUnavailable(this.homey.__('zone.no_sensors'));
+      return;
+    }
+
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.presenceHoldOff.report(presenceDetected);
+  }
+
+  /**
+   * Commits the zone presence after the hold-off
+   * Updates the alarm_motion capability and triggers the matching flow card.
+   * The first presence of a new zone only initializes the capability: nothing
+   * changed, so no flow card is triggered
+   *
+   * @param {boolean} presenceDetected - Presence to commit
+   * @returns {Promise<void>}
+   */
+  async commitPresence(presenceDetected) {
+    const currentState = this.getCapabilityValue('alarm_motion');
+    const initializing = currentState === null;
+    const triggerType = determineFlowTrigger(currentState, presenceDetected);
+
+    if (triggerType === null) {
+      return;
+    }
+
+    await this.setCapabilityValue('alarm_motion', presenceDetected);
+    this.log('Zone presence updated:', presenceDetected);
+
+    if (initializing) {
+      return;
+    }
+
+    const card = OccupancyZoneDevice.FLOW_TRIGGERS[triggerType];
+    try {
+      await this.homey.flow.getDeviceTriggerCard(card).trigger(this);
+      this.log('Flow card triggered:', card);
+    } catch (error) {
+      this.error('Failed to trigger flow card:', error.message);
+    }
+  }
+}
+
+module.exports = OccupancyZoneDevice;
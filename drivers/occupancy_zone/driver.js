@@ -0,0 +1,99 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+const Homey = require('homey');
+const { getSensorId } = require('../../lib/sensor-status');
+const { isValidSensorSelection } = require('../../lib/occupancy-zone');
+
+/**
+ * Occupancy Zone Driver
+ * Virtual devices combining the presence of several MTD085-ZB sensors
+ *
+ * @class OccupancyZoneDriver
+ * @extends Homey.Driver
+ */
+class OccupancyZoneDriver extends Homey.Driver {
+  /**
+   * Called when the driver is initialized
+   *
+   * @returns {Promise<void>}
+   */
+  async onInit() {
+    this.log('Occupancy zone driver initialized');
+  }
+
+  /**
+   * Called when the user adds a zone
+   * The select_sensors view emits "get_sensors" to list the sensors and
+   * "set_sensors" with the chosen sensor ids, list_devices then offers the zone
+   *
+   * @param {Object} session - Pair session
+   * @returns {Promise<void>}
+   */
+  async onPair(session) {
+    let sensors = [];
+
+    session.setHandler('get_sensors', async () => {
+      return this.listSensors([]);
+    });
+
+    session.setHandler('set_sensors', async (ids) => {
+      this.checkSensorSelection(ids);
+      sensors = ids;
+    });
+
+    session.setHandler('list_devices', async () => {
+      return [{
+        name: this.homey.__('zone.default_name'),
+        data: { id: randomUUID() },
+        store: { sensors },
+      }];
+    });
+  }
+
+  /**
+   * Called when the user starts a repair session for a zone
+   * Lets the user choose the sensors of the zone again, its flows are kept
+   *
+   * @param {Object} session - Repair session
+   * @param {import('./device')} device - Zone being repaired
+   * @returns {Promise<void>}
+   */
+  async onRepair(session, device) {
+    session.setHandler('get_sensors', async () => {
+      return this.listSensors(device.getMemberIds());
+    });
+
+    session.setHandler('set_sensors', async (ids) => {
+      this.checkSensorSelection(ids);
+      await device.setMemberIds(ids);
+    });
+  }
+
+  /**
+   * Checks the sensors chosen in the select_sensors view
+   *
+   * @param {*} ids - Sensor ids sent by the view
+   * @throws {Error} Localized message if no sensor was chosen
+   */
+  checkSensorSelection(ids) {
+    if (!isValidSensorSelection(ids)) {
+      throw new Error(this.homey.__('zone.select.required'));
+    }
+  }
+
+  /**
+   * Lists the paired presence sensors for the select_sensors view
+   *
+   * @param {string[]} selected - Ids of the sensors that are already in the zone
+   * @returns {Array<{id: string, name: string, selected: boolean}>} Sensors
+   */
+  listSensors(selected) {
+    return this.homey.app.getSensorDevices().map((device) => {
+      const id = getSensorId(device.getData());
+      return { id, name: device.getName(), selected: selected.includes(id) };
+    });
+  }
+}
+
+module.exports = OccupancyZoneDriver;
@@ -0,0 +1,54 @@
+/**
+ * Select sensors view, shared by the pair and the repair session of a zone
+ * The view loading this script sets data-next on the script element to the view
+ * to show once the sensors are set; without it the session is done
+ */
+(() => {
+  const { next } = document.currentScript.dataset;
+  const sensorsElement = document.getElementById('sensors');
+  const requiredElement = document.getElementById('required');
+  const submitButton = document.getElementById('submit');
+
+  Homey.setTitle(Homey.__('zone.select.title'));
+
+  // Ids of the checked sensors
+  const checked = () => [...sensorsElement.querySelectorAll('input:checked')].map(input => input.value);
+
+  // A zone needs at least one sensor, the driver rejects an empty selection as well
+  const updateSubmit = () => {
+    const none = checked().length === 0;
+    submitButton.disabled = none;
+    requiredElement.hidden = !none || sensorsElement.children.length === 0;
+  };
+
+  Homey.emit('get_sensors').then((sensors) => {
+    document.getElementById('empty').hidden = sensors.length > 0;
+
+    for (const { id, name, selected } of sensors) {
+      const row = document.createElement('li');
+      row.className = 'zone-sensor';
+      row.innerHTML = '<label><input type="checkbox"> <span></span></label>';
+      row.querySelector('input').value = id;
+      row.querySelector('input').checked = selected;
+      row.querySelector('span').textContent = name;
+      sensorsElement.appendChild(row);
+    }
+
+    updateSubmit();
+  }).catch(error => Homey.alert(error.message, 'error'));
+
+  sensorsElement.addEventListener('change', updateSubmit);
+
+  submitButton.addEventListener('click', async () => {
+    try {
+      await Homey.emit('set_sensors', checked());
+      if (next) {
+        Homey.showView(next);
+      } else {
+        Homey.done();
+      }
+    } catch (error) {
+      Homey.alert(error.message, 'error');
+    }
+  });
+})();
@@ -1,18 +1,15 @@
 'use strict';
 
+const { findFingerprint } = require('./fingerprints');
+
 /**
  * Device Matcher for MTD085-ZB presence sensor
- * Identifies the Wenzhi/LeapMMW MTD085-ZB device by modelId and manufacturerName
- * 
+ * Identifies MTD085-ZB compatible devices by modelId and manufacturerName,
+ * using the fingerprint registry in lib/fingerprints
+ *
  * @module lib/device-matcher
  */
 
-/**
- * Expected device identifiers for MTD085-ZB
- */
-const EXPECTED_MODEL_ID = 'TS0225';
-const EXPECTED_MANUFACTURER_NAME = '_TZ321C_fkzihax8';
-
 /**
  * @typedef {Object} ZigbeeDeviceInfo
  * @property {string} modelId - The Zigbee model identifier
@@ -20,24 +17,15 @@ const EXPECTED_MANUFACTURER_NAME = '_TZ321C_fkzihax8';
  */
 
 /**
- * Checks if a Zigbee device matches the MTD085-ZB presence sensor
- * 
+ * Checks if a Zigbee device matches a registered MTD085-ZB fingerprint
+ *
  * @param {ZigbeeDeviceInfo} device - Device info containing modelId and manufacturerName
- * @returns {boolean} True if device matches MTD085-ZB identifiers
+ * @returns {boolean} True if device matches a registered fingerprint
  */
 function isMatchingDevice(device) {
-  if (!device || typeof device !== 'object') {
-    return false;
-  }
-  
-  return (
-    device.modelId === EXPECTED_MODEL_ID &&
-    device.manufacturerName === EXPECTED_MANUFACTURER_NAME
-  );
+  return findFingerprint(device) !== null;
 }
 
 module.exports = {
   isMatchingDevice,
-  EXPECTED_MODEL_ID,
-  EXPECTED_MANUFACTURER_NAME,
 };
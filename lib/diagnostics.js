@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Diagnostics log
+ * Keeps a bounded ring buffer of recent Zigbee frames, state transitions and
+ * errors per device, for debug notifications and bug report exports
+ *
+ * @module lib/diagnostics
+ */
+
+/**
+ * Default number of entries kept per device
+ * @type {number}
+ */
+const DIAGNOSTICS_CAPACITY = 200;
+
+/**
+ * Diagnostic entry types
+ * - frame: a frame received from the sensor
+ * - state: a state transition, e.g. presence, enrollment or availability
+ * - info: a step of a longer operation, e.g. enrollment
+ * - error: an error logged by the device
+ * @typedef {'frame' | 'state' | 'info' | 'error'} DiagnosticType
+ */
+
+/**
+ * All diagnostic entry types
+ * @type {DiagnosticType[]}
+ */
+const DIAGNOSTIC_TYPES = ['frame', 'state', 'info', 'error'];
+
+/**
+ * @typedef {Object} DiagnosticEntry
+ * @property {number} time - Time in ms the entry was recorded
+ * @property {DiagnosticType} type - Entry type
+ * @property {string} message - Human readable message
+ * @property {*} [data] - JSON serializable details
+ */
+
+/**
+ * @typedef {Object} DiagnosticsLog
+ * @property {function(DiagnosticType, string, *=): DiagnosticEntry} record - Records an entry, dropping the oldest when full
+ * @property {function(): DiagnosticEntry[]} entries - Entries, oldest first
+ * @property {function(): number} size - Number of entries
+ * @property {function(): Object<DiagnosticType, number>} counts - Entries recorded per type, including dropped ones
+ * @property {function(): void} clear - Removes all entries and resets the counts
+ */
+
+/**
+ * Creates a zeroed count per diagnostic type
+ *
+ * @returns {Object<DiagnosticType, number>} Counts
+ */
+function emptyCounts() {
+  return Object.fromEntries(DIAGNOSTIC_TYPES.map(type => [type, 0]));
+}
+
+/**
+ * Creates a diagnostics log backed by a ring buffer
+ *
+ * @param {Object} [options] - Log options
+ * @param {number} [options.capacity=DIAGNOSTICS_CAPACITY] - Maximum number of entries
+ * @param {Function} [options.now=Date.now] - Clock returning the current time in ms
+ * @returns {DiagnosticsLog} Diagnostics log
+ * @throws {RangeError} If the capacity is not a positive integer
+ */
+function createDiagnosticsLog({ capacity = DIAGNOSTICS_CAPACITY, now = Date.now } = {}) {
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new RangeError(`Diagnostics capacity must be a positive integer, got ${capacity}`);
+  }
+
+  const buffer = new Array(capacity);
+  let start = 0;
+  let count = 0;
+  let totals = emptyCounts();
+
+  return {
+    record(type, message, data) {
+      if (!DIAGNOSTIC_TYPES.includes(type)) {
+        throw new TypeError(`Unknown diagnostic type: ${type}`);
+      }
+
+      const entry = { time: now(), type, message };
+      if (data !== undefined) {
+        entry.data = data;
+      }
+
+      totals[type] += 1;
+      buffer[(start + count) % capacity] = entry;
+      if (count < capacity) {
+        count += 1;
+      } else {
+        start = (start + 1) % capacity;
+      }
+      return entry;
+    },
+
+    entries() {
+      const entries = [];
+      for (let i = 0; i < count; i++) {
+        entries.push(buffer[(start + i) % capacity]);
+      }
+      return entries;
+    },
+
+    size() {
+      return count;
+    },
+
+    counts() {
+      return { ...totals };
+    },
+
+    clear() {
+      buffer.fill(undefined);
+      start = 0;
+      count = 0;
+      totals = emptyCounts();
+    },
+  };
+}
+
+/**
+ * Formats log arguments as a single message, the way they would be printed
+ * Errors are reduced to their message, other objects are serialized as JSON
+ *
+ * @param {Array} args - Arguments passed to log or error
+ * @returns {string} Message
+ */
+function formatLogArgs(args) {
+  return args.map((arg) => {
+    if (typeof arg === 'string') {
+      return arg;
+    }
+    if (arg instanceof Error) {
+      return arg.message;
+    }
+    try {
+      return JSON.stringify(arg) ?? String(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }).join(' ');
+}
+
+/**
+ * Builds the JSON export of a diagnostics log
+ *
+ * @param {DiagnosticsLog} log - Diagnostics log
+ * @param {Object} device - Device details to include, e.g. model and enrollment state
+ * @param {number} [exportedAt=Date.now()] - Export time in ms
+ * @returns {string} Pretty printed JSON
+ */
+function exportDiagnostics(log, device, exportedAt = Date.now()) {
+  return JSON.stringify({
+    exportedAt: new Date(exportedAt).toISOString(),
+    device,
+    entries: log.entries().map(entry => ({
+      ...entry,
+      time: new Date(entry.time).toISOString(),
+    })),
+  }, null, 2);
+}
+
+module.exports = {
+  DIAGNOSTICS_CAPACITY,
+  DIAGNOSTIC_TYPES,
+  createDiagnosticsLog,
+  formatLogArgs,
+  exportDiagnostics,
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const { RADAR_DATAPOINTS } = require('./radar-datapoints');
+
+/**
+ * Fingerprint Registry for MTD085-ZB compatible presence sensors
+ * Single source of truth for the Zigbee identifiers the driver supports and
+ * how each variant behaves. The device matcher and the zigbee section of the
+ * app manifest are both generated from this registry
+ *
+ * @module lib/fingerprints
+ */
+
+/**
+ * @typedef {Object} FingerprintQuirks
+ * @property {boolean} directMonitoring - Fall back to zone status reports when formal IAS Zone enrollment fails
+ */
+
+/**
+ * @typedef {Object} Fingerprint
+ * @property {string} modelId - Zigbee model identifier
+ * @property {string[]} manufacturerNames - Zigbee manufacturer names sharing this behaviour
+ * @property {'alarm1' | 'alarm2'} presenceBit - Zone status bit that indicates presence
+ * @property {string[]} datapoints - Names of the supported radar datapoints (see lib/radar-datapoints)
+ * @property {FingerprintQuirks} quirks - Firmware quirks
+ */
+
+/**
+ * Registered fingerprints
+ * @type {Fingerprint[]}
+ */
+const FINGERPRINTS = [
+  {
+    modelId: 'TS0225',
+    manufacturerNames: ['_TZ321C_fkzihax8'],
+    presenceBit: 'alarm1',
+    datapoints: Object.keys(RADAR_DATAPOINTS),
+    quirks: {
+      directMonitoring: true,
+    },
+  },
+];
+
+/**
+ * Finds the fingerprint matching a Zigbee device
+ *
+ * @param {import('./device-matcher').ZigbeeDeviceInfo} device - Device info containing modelId and manufacturerName
+ * @returns {Fingerprint|null} Matching fingerprint, or null if the device is not supported
+ */
+function findFingerprint(device) {
+  if (!device || typeof device !== 'object') {
+    return null;
+  }
+
+  const fingerprint = FINGERPRINTS.find(candidate => (
+    candidate.modelId === device.modelId &&
+    candidate.manufacturerNames.includes(device.manufacturerName)
+  ));
+
+  return fingerprint ?? null;
+}
+
+/**
+ * Returns all model identifiers, for the manifest's zigbee.productId
+ *
+ * @returns {string[]} Unique model identifiers in registry order
+ */
+function getModelIds() {
+  return [...new Set(FINGERPRINTS.map(({ modelId }) => modelId))];
+}
+
+/**
+ * Returns all manufacturer names, for the manifest's zigbee.manufacturerName
+ *
+ * @returns {string[]} Unique manufacturer names in registry order
+ */
+function getManufacturerNames() {
+  return [...new Set(FINGERPRINTS.flatMap(({ manufacturerNames }) => manufacturerNames))];
+}
+
+/**
+ * Checks whether a fingerprint supports a radar datapoint
+ * Unknown devices are assumed to support every datapoint
+ *
+ * @param {Fingerprint|null} fingerprint - Device fingerprint
+ * @param {string} name - Radar datapoint name
+ * @returns {boolean} True if the datapoint is supported
+ */
+function supportsDatapoint(fingerprint, name) {
+  if (!fingerprint) {
+    return true;
+  }
+  return fingerprint.datapoints.includes(name);
+}
+
+module.exports = {
+  FINGERPRINTS,
+  findFingerprint,
+  getModelIds,
+  getManufacturerNames,
+  supportsDatapoint,
+};
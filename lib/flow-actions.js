@@ -0,0 +1,82 @@
+'use strict';
+
+const { validateRadarSettings } = require('./radar-settings');
+
+/**
+ * Flow actions for the MTD085-ZB presence sensor
+ * Maps the arguments of the setting action cards to device settings, which
+ * the device then applies like settings changed by the user
+ *
+ * @module lib/flow-actions
+ */
+
+/**
+ * Range of the clear_delay setting in seconds, as in the app manifest
+ * @type {{min: number, max: number}}
+ */
+const CLEAR_DELAY_RANGE = { min: 0, max: 3600 };
+
+/**
+ * Device settings changed by each setting action card, keyed by card id
+ *
+ * @type {Object<string, function(Object): Object<string, number|boolean>>}
+ */
+const SETTING_ACTIONS = {
+  set_sensitivity: ({ target, sensitivity }) => {
+    const settings = {};
+    if (target === 'motion' || target === 'both') {
+      settings.motion_sensitivity = sensitivity;
+    }
+    if (target === 'static' || target === 'both') {
+      settings.static_sensitivity = sensitivity;
+    }
+    return settings;
+  },
+  set_detection_range: ({ min_distance, max_distance }) => ({ min_distance, max_distance }),
+  set_clear_delay: ({ seconds }) => ({ clear_delay: seconds }),
+  set_indicator: ({ state }) => ({ indicator: state === 'on' }),
+};
+
+/**
+ * Gets the device settings a setting action card changes
+ *
+ * @param {string} id - Action card id
+ * @param {Object} args - Card arguments
+ * @returns {Object<string, number|boolean>} Settings to change
+ * @throws {Error} If the card is not a setting action
+ */
+function settingsForAction(id, args) {
+  if (!Object.hasOwn(SETTING_ACTIONS, id)) {
+    throw new Error(`Unknown setting action: ${id}`);
+  }
+  return SETTING_ACTIONS[id](args);
+}
+
+/**
+ * Validates the settings a device would have after an action
+ * Checks the radar settings and the clear delay
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @returns {import('./radar-settings').RadarSettingError[]} Validation errors, empty when valid
+ */
+function validateActionSettings(settings) {
+  const errors = validateRadarSettings(settings);
+
+  if ('clear_delay' in settings) {
+    const value = settings.clear_delay;
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push({ key: 'clear_delay', code: 'invalid_number' });
+    } else if (value < CLEAR_DELAY_RANGE.min || value > CLEAR_DELAY_RANGE.max) {
+      errors.push({ key: 'clear_delay', code: 'out_of_range' });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  CLEAR_DELAY_RANGE,
+  SETTING_ACTIONS,
+  settingsForAction,
+  validateActionSettings,
+};
@@ -31,6 +31,217 @@ function determineFlowTrigger(previousState, newState) {
   return null;
 }
 
+/**
+ * Determines whether the luminance_changed flow card should be triggered
+ *
+ * @param {number|null} previousLuminance - Previous measure_luminance value (null if unknown)
+ * @param {number} newLuminance - New measure_luminance value
+ * @returns {'luminance_changed' | null} The flow card to trigger, or null if no trigger needed
+ */
+function determineLuminanceTrigger(previousLuminance, newLuminance) {
+  if (typeof newLuminance !== 'number' || previousLuminance === newLuminance) {
+    return null;
+  }
+
+  return 'luminance_changed';
+}
+
+/**
+ * Compares a luminance value against a threshold for the luminance condition card
+ *
+ * @param {number|null} luminance - Current measure_luminance value
+ * @param {'above' | 'below'} comparison - Comparison selected on the card
+ * @param {number} threshold - Threshold in lux
+ * @returns {boolean} True if the luminance is above/below the threshold
+ */
+function compareLuminance(luminance, comparison, threshold) {
+  if (typeof luminance !== 'number') {
+    return false;
+  }
+
+  if (comparison === 'above') {
+    return luminance > threshold;
+  }
+
+  if (comparison === 'below') {
+    return luminance < threshold;
+  }
+
+  return false;
+}
+
+/**
+ * Presence hold-off state
+ * A cleared presence is only committed after the clear delay has elapsed
+ * without a new detection
+ *
+ * @typedef {Object} HoldOffState
+ * @property {boolean|null} committed - Committed presence (null if unknown)
+ * @property {number|null} pendingClearAt - Time in ms at which a pending clear commits, null if none
+ */
+
+/**
+ * Result of a hold-off transition
+ *
+ * @typedef {Object} HoldOffTransition
+ * @property {HoldOffState} state - New hold-off state
+ * @property {boolean|null} commit - Presence value to commit now, or null if nothing changes
+ */
+
+/**
+ * Creates the initial hold-off state
+ *
+ * @param {boolean|null} [committed=null] - Currently committed presence
+ * @returns {HoldOffState} Initial state without a pending clear
+ */
+function createHoldOffState(committed = null) {
+  return {
+    committed: typeof committed === 'boolean' ? committed : null,
+    pendingClearAt: null,
+  };
+}
+
+/**
+ * Advances the hold-off state machine with a presence report
+ * - A detection commits immediately and cancels any pending clear
+ * - A clear of a committed detection is deferred by clearDelay; repeated
+ *   clears do not extend an already pending clear
+ * - A clear without a committed detection commits immediately
+ *
+ * @param {HoldOffState} state - Current hold-off state
+ * @param {boolean} presenceDetected - Reported presence
+ * @param {number} now - Current time in ms
+ * @param {number} clearDelay - Clear delay in ms
+ * @returns {HoldOffTransition} New state and the presence to commit
+ */
+function reportPresence(state, presenceDetected, now, clearDelay) {
+  if (presenceDetected) {
+    return {
+      state: { committed: true, pendingClearAt: null },
+      commit: state.committed === true ? null : true,
+    };
+  }
+
+  if (state.committed !== true) {
+    return {
+      state: { committed: false, pendingClearAt: null },
+      commit: state.committed === false ? null : false,
+    };
+  }
+
+  if (clearDelay <= 0) {
+    return {
+      state: { committed: false, pendingClearAt: null },
+      commit: false,
+    };
+  }
+
+  return {
+    state: {
+      committed: true,
+      pendingClearAt: state.pendingClearAt ?? now + clearDelay,
+    },
+    commit: null,
+  };
+}
+
+/**
+ * Advances the hold-off state machine with the passing of time
+ * Commits a pending clear once its deadline has been reached
+ *
+ * @param {HoldOffState} state - Current hold-off state
+ * @param {number} now - Current time in ms
+ * @returns {HoldOffTransition} New state and the presence to commit
+ */
+function tickPresence(state, now) {
+  if (state.pendingClearAt === null || now < state.pendingClearAt) {
+    return { state, commit: null };
+  }
+
+  return {
+    state: { committed: false, pendingClearAt: null },
+    commit: false,
+  };
+}
+
+/**
+ * Creates a timer driven presence hold-off around reportPresence/tickPresence
+ * Uses the global setTimeout and Date.now, so it can be driven with fake timers
+ *
+ * @param {Object} options - Hold-off options
+ * @param {number} [options.clearDelay=0] - Clear delay in ms
+ * @param {boolean|null} [options.initialState=null] - Currently committed presence
+ * @param {Function} options.onCommit - Called with the presence value to commit
+ * @param {Function} [options.onError] - Called when a timer driven commit fails
+ * @returns {Object} Hold-off with report, setClearDelay, getState and dispose methods
+ */
+function createPresenceHoldOff(options) {
+  const onCommit = options.onCommit;
+  const onError = options.onError ?? (() => {});
+  let clearDelay = options.clearDelay ?? 0;
+  let state = createHoldOffState(options.initialState);
+  let timer = null;
+
+  async function apply(transition) {
+    state = transition.state;
+
+    if (timer !== null && state.pendingClearAt === null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    if (timer === null && state.pendingClearAt !== null) {
+      timer = setTimeout(() => {
+        timer = null;
+        apply(tickPresence(state, Date.now())).catch(onError);
+      }, Math.max(0, state.pendingClearAt - Date.now()));
+    }
+
+    if (transition.commit !== null) {
+      await onCommit(transition.commit);
+    }
+  }
+
+  return {
+    /**
+     * @param {boolean} presenceDetected - Reported presence
+     * @returns {Promise<void>}
+     */
+    report(presenceDetected) {
+      return apply(reportPresence(state, presenceDetected, Date.now(), clearDelay));
+    },
+
+    /**
+     * @param {number} delay - New clear delay in ms, applies to the next clear
+     */
+    setClearDelay(delay) {
+      clearDelay = delay;
+    },
+
+    /**
+     * @returns {HoldOffState} Current hold-off state
+     */
+    getState() {
+      return state;
+    },
+
+    /**
+     * Cancels a pending clear without committing it
+     */
+    dispose() {
+      clearTimeout(timer);
+      timer = null;
+      state = { ...state, pendingClearAt: null };
+    },
+  };
+}
+
 module.exports = {
   determineFlowTrigger,
+  determineLuminanceTrigger,
+  compareLuminance,
+  createHoldOffState,
+  reportPresence,
+  tickPresence,
+  createPresenceHoldOff,
 };
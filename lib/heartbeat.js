@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Heartbeat watchdog for silent sensors
+ * Tracks when the sensor last sent a frame and decides when to poll it and
+ * when to consider it stopped, based on the zone status reporting interval
+ *
+ * @module lib/heartbeat
+ */
+
+/**
+ * Maximum zone status reporting interval requested from the device in seconds
+ * @type {number}
+ */
+const REPORT_MAX_INTERVAL = 300;
+
+/**
+ * @typedef {Object} Heartbeat
+ * @property {number} lastFrameAt - Time in ms the last frame was received
+ * @property {boolean} polled - Whether the sensor was polled since the last frame
+ * @property {boolean} stopped - Whether the sensor is considered to have stopped reporting
+ */
+
+/**
+ * @typedef {Object} HeartbeatOptions
+ * @property {number} interval - Expected reporting interval in ms
+ * @property {number} maxMissed - Number of missed intervals before the sensor is polled and then stopped
+ */
+
+/**
+ * Creates a heartbeat that counts from the given time
+ *
+ * @param {number} now - Current time in ms
+ * @returns {Heartbeat} New heartbeat
+ */
+function createHeartbeat(now) {
+  return {
+    lastFrameAt: now,
+    polled: false,
+    stopped: false,
+  };
+}
+
+/**
+ * Records a frame received from the sensor
+ *
+ * @param {Heartbeat} heartbeat - Current heartbeat
+ * @param {number} now - Time in ms the frame was received
+ * @returns {{heartbeat: Heartbeat, recovered: boolean}} New heartbeat, and whether a stopped sensor started reporting again
+ */
+function recordFrame(heartbeat, now) {
+  return {
+    heartbeat: createHeartbeat(now),
+    recovered: heartbeat.stopped,
+  };
+}
+
+/**
+ * Returns the number of whole reporting intervals without a frame
+ *
+ * @param {Heartbeat} heartbeat - Current heartbeat
+ * @param {number} now - Current time in ms
+ * @param {number} interval - Expected reporting interval in ms
+ * @returns {number} Missed intervals
+ */
+function missedIntervals(heartbeat, now, interval) {
+  if (now <= heartbeat.lastFrameAt) {
+    return 0;
+  }
+  return Math.floor((now - heartbeat.lastFrameAt) / interval);
+}
+
+/**
+ * Checks the heartbeat
+ * Once maxMissed intervals passed without a frame the sensor is polled once;
+ * if the next check still finds no frame, it is considered stopped
+ *
+ * @param {Heartbeat} heartbeat - Current heartbeat
+ * @param {number} now - Current time in ms
+ * @param {HeartbeatOptions} options - Watchdog options
+ * @returns {{heartbeat: Heartbeat, action: 'poll' | 'stop' | null}} New heartbeat and the action to take
+ */
+function checkHeartbeat(heartbeat, now, { interval, maxMissed }) {
+  if (heartbeat.stopped || missedIntervals(heartbeat, now, interval) < maxMissed) {
+    return { heartbeat, action: null };
+  }
+
+  if (!heartbeat.polled) {
+    return { heartbeat: { ...heartbeat, polled: true }, action: 'poll' };
+  }
+
+  return { heartbeat: { ...heartbeat, stopped: true }, action: 'stop' };
+}
+
+module.exports = {
+  REPORT_MAX_INTERVAL,
+  createHeartbeat,
+  recordFrame,
+  missedIntervals,
+  checkHeartbeat,
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * IAS Zone Enrollment state machine
+ * Tracks whether the sensor is enrolled with Homey as its CIE, independent of
+ * Homey so the transitions can be tested on their own
+ *
+ * @module lib/ias-enrollment
+ */
+
+/**
+ * Enrollment state values
+ * @typedef {'unenrolled' | 'pending' | 'enrolled' | 'direct-monitoring'} EnrollmentState
+ */
+
+/**
+ * Enrollment events
+ * - start: an enrollment attempt begins
+ * - enrolled: the device reported zoneState "enrolled"
+ * - failed: the attempt ended without the device being enrolled
+ * - fallback: enrollment is given up and zone status reports are used directly
+ * - reset: the enrollment is forgotten, e.g. after the device left the network
+ * @typedef {'start' | 'enrolled' | 'failed' | 'fallback' | 'reset'} EnrollmentEvent
+ */
+
+/**
+ * All enrollment states
+ * @type {EnrollmentState[]}
+ */
+const ENROLLMENT_STATES = ['unenrolled', 'pending', 'enrolled', 'direct-monitoring'];
+
+/**
+ * All enrollment events
+ * @type {EnrollmentEvent[]}
+ */
+const ENROLLMENT_EVENTS = ['start', 'enrolled', 'failed', 'fallback', 'reset'];
+
+/**
+ * Allowed transitions, keyed by state and then by event
+ */
+const ENROLLMENT_TRANSITIONS = {
+  unenrolled: {
+    start: 'pending',
+    fallback: 'direct-monitoring',
+  },
+  pending: {
+    enrolled: 'enrolled',
+    failed: 'unenrolled',
+    fallback: 'direct-monitoring',
+    reset: 'unenrolled',
+  },
+  enrolled: {
+    start: 'pending',
+    reset: 'unenrolled',
+  },
+  'direct-monitoring': {
+    start: 'pending',
+    reset: 'unenrolled',
+  },
+};
+
+/**
+ * Error thrown when an event is not allowed in the current enrollment state
+ *
+ * @class EnrollmentTransitionError
+ * @extends Error
+ */
+class EnrollmentTransitionError extends Error {
+  /**
+   * @param {*} state - Current state
+   * @param {*} event - Rejected event
+   */
+  constructor(state, event) {
+    super(`Enrollment event "${event}" is not allowed in state "${state}"`);
+    this.name = 'EnrollmentTransitionError';
+    this.state = state;
+    this.event = event;
+  }
+}
+
+/**
+ * Returns the enrollment state after an event
+ *
+ * @param {EnrollmentState} state - Current state
+ * @param {EnrollmentEvent} event - Event to apply
+ * @returns {EnrollmentState} New state
+ * @throws {EnrollmentTransitionError} If the event is not allowed in the current state
+ */
+function transitionEnrollment(state, event) {
+  if (!canTransitionEnrollment(state, event)) {
+    throw new EnrollmentTransitionError(state, event);
+  }
+  return ENROLLMENT_TRANSITIONS[state][event];
+}
+
+/**
+ * Checks whether an event is allowed in the current enrollment state
+ *
+ * @param {EnrollmentState} state - Current state
+ * @param {EnrollmentEvent} event - Event to check
+ * @returns {boolean} True if transitionEnrollment would accept the event
+ */
+function canTransitionEnrollment(state, event) {
+  return Object.hasOwn(ENROLLMENT_TRANSITIONS, state) &&
+    Object.hasOwn(ENROLLMENT_TRANSITIONS[state], event);
+}
+
+/**
+ * Returns the event that ends an enrollment attempt for a zoneState read from the device
+ *
+ * @param {string} zoneState - zoneState attribute ("enrolled" or "notEnrolled")
+ * @returns {'enrolled' | 'failed'} Event to apply
+ */
+function enrollmentEventForZoneState(zoneState) {
+  return zoneState === 'enrolled' ? 'enrolled' : 'failed';
+}
+
+/**
+ * Restores the enrollment state from the device store
+ * An attempt interrupted by a restart counts as unenrolled. Devices paired before
+ * the state was stored only carry the iasZoneEnrolled flag, which was set without
+ * enrolling, so they are restored as direct-monitoring
+ *
+ * @param {Object} store - Stored values
+ * @param {*} [store.enrollmentState] - Stored enrollment state
+ * @param {*} [store.iasZoneEnrolled] - Legacy enrollment flag
+ * @returns {EnrollmentState} Restored state
+ */
+function restoreEnrollmentState({ enrollmentState, iasZoneEnrolled } = {}) {
+  if (enrollmentState === 'pending') {
+    return 'unenrolled';
+  }
+  if (ENROLLMENT_STATES.includes(enrollmentState)) {
+    return enrollmentState;
+  }
+  return iasZoneEnrolled === true ? 'direct-monitoring' : 'unenrolled';
+}
+
+module.exports = {
+  ENROLLMENT_STATES,
+  ENROLLMENT_EVENTS,
+  EnrollmentTransitionError,
+  transitionEnrollment,
+  canTransitionEnrollment,
+  enrollmentEventForZoneState,
+  restoreEnrollmentState,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Device lifecycle resources
+ * Tracks the timers, listeners, handler assignments and pending retries a
+ * device creates, so all of them can be released at once when the device is
+ * deleted or re-initialized
+ *
+ * @module lib/lifecycle
+ */
+
+/**
+ * Error used to abort pending retries and reject pending waits on dispose
+ *
+ * @class LifecycleDisposedError
+ * @extends Error
+ */
+class LifecycleDisposedError extends Error {
+  constructor() {
+    super('Device lifecycle was disposed');
+    this.name = 'LifecycleDisposedError';
+  }
+}
+
+/**
+ * @typedef {Object} Lifecycle
+ * @property {AbortSignal} signal - Aborted on dispose, pass it to withRetry to stop pending retries
+ * @property {function(Function): Function} add - Tracks a disposer, returns a function that stops tracking it
+ * @property {function(Function, number): *} setTimeout - Tracked setTimeout
+ * @property {function(*): void} clearTimeout - Clears a tracked timeout
+ * @property {function(Function, number): *} setInterval - Tracked setInterval
+ * @property {function(*): void} clearInterval - Clears a tracked interval
+ * @property {function(number): Promise<void>} sleep - Waits, rejecting with LifecycleDisposedError on dispose
+ * @property {function(Object, string, Function): Function} listen - Tracked emitter.on, returns a function that removes the listener
+ * @property {function(Object, string, *): Function} assign - Tracked property assignment, returns a function that restores the previous value
+ * @property {function(): boolean} isDisposed - Whether dispose was called
+ * @property {function(): void} dispose - Releases everything, most recent first
+ */
+
+/**
+ * Creates a lifecycle
+ * Resources created after dispose are released right away, so callbacks of
+ * operations that were still running cannot start new work
+ *
+ * @param {Object} [options] - Lifecycle options
+ * @param {Function} [options.onError] - Called with errors thrown by disposers
+ * @returns {Lifecycle} Lifecycle
+ */
+function createLifecycle({ onError = () => {} } = {}) {
+  const controller = new AbortController();
+  const disposers = new Set();
+  const timers = new Map();
+  let disposed = false;
+
+  const run = (disposer) => {
+    try {
+      disposer();
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const add = (disposer) => {
+    if (disposed) {
+      run(disposer);
+      return () => {};
+    }
+
+    const entry = { disposer };
+    disposers.add(entry);
+    return () => {
+      disposers.delete(entry);
+    };
+  };
+
+  const release = (disposer) => {
+    const untrack = add(disposer);
+    return () => {
+      untrack();
+      run(disposer);
+    };
+  };
+
+  const clearTimer = (handle) => {
+    const releaseTimer = timers.get(handle);
+    if (releaseTimer) {
+      timers.delete(handle);
+      releaseTimer();
+    }
+  };
+
+  return {
+    signal: controller.signal,
+
+    add,
+
+    setTimeout(callback, ms) {
+      const handle = setTimeout(() => {
+        timers.delete(handle);
+        untrack();
+        callback();
+      }, ms);
+      const untrack = add(() => clearTimeout(handle));
+      if (!disposed) {
+        timers.set(handle, () => {
+          untrack();
+          clearTimeout(handle);
+        });
+      }
+      return handle;
+    },
+
+    clearTimeout: clearTimer,
+
+    setInterval(callback, ms) {
+      const handle = setInterval(callback, ms);
+      const untrack = add(() => clearInterval(handle));
+      if (!disposed) {
+        timers.set(handle, () => {
+          untrack();
+          clearInterval(handle);
+        });
+      }
+      return handle;
+    },
+
+    clearInterval: clearTimer,
+
+    sleep(ms) {
+      return new Promise((resolve, reject) => {
+        const handle = setTimeout(() => {
+          untrack();
+          resolve();
+        }, ms);
+        const untrack = add(() => {
+          clearTimeout(handle);
+          reject(new LifecycleDisposedError());
+        });
+      });
+    },
+
+    listen(emitter, event, listener) {
+      emitter.on(event, listener);
+      return release(() => emitter.removeListener(event, listener));
+    },
+
+    assign(target, property, value) {
+      const hadProperty = Object.prototype.hasOwnProperty.call(target, property);
+      const previous = target[property];
+      target[property] = value;
+
+      return release(() => {
+        // Leave the property alone if something else replaced the value since
+        if (target[property] !== value) {
+          return;
+        }
+        if (hadProperty) {
+          target[property] = previous;
+        } else {
+          delete target[property];
+        }
+      });
+    },
+
+    isDisposed() {
+      return disposed;
+    },
+
+    dispose() {
+      if (disposed) {
+        return;
+      }
+      disposed = true;
+      controller.abort(new LifecycleDisposedError());
+
+      const entries = [...disposers].reverse();
+      disposers.clear();
+      timers.clear();
+      for (const { disposer } of entries) {
+        run(disposer);
+      }
+    },
+  };
+}
+
+module.exports = {
+  LifecycleDisposedError,
+  createLifecycle,
+};
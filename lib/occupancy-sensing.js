@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * Occupancy Sensing for presence sensors on the standard cluster (0x0406)
+ * Parses the occupancy bitmap, validates the occupancy device settings and
+ * converts them to the PIR and ultrasonic configuration attributes the
+ * sensor supports
+ *
+ * @module lib/occupancy-sensing
+ */
+
+/**
+ * Number of sensitivity steps above 0, like the radar sensitivity settings
+ * @type {number}
+ */
+const SENSITIVITY_LEVELS = 10;
+
+/**
+ * Sensing technologies per occupancySensorType
+ * Radars report themselves as PIR or ultrasonic, depending on the firmware
+ *
+ * @type {Object<string, Array<'pir' | 'ultrasonic'>>}
+ */
+const SENSOR_TECHNOLOGIES = {
+  pir: ['pir'],
+  ultrasonic: ['ultrasonic'],
+  pirAndUltrasonic: ['pir', 'ultrasonic'],
+  physicalContact: [],
+};
+
+/**
+ * @typedef {Object} OccupancySettingDefinition
+ * @property {number} min - Minimum allowed value
+ * @property {number} max - Maximum allowed value
+ * @property {Object<string, string>} attributes - Attribute written per sensing technology
+ * @property {function(number): number} [toAttribute] - Converts the setting value to the attribute value
+ */
+
+/**
+ * Converts a sensitivity to the number of movements needed before the sensor
+ * reports occupancy: 10 (most sensitive) needs 1, 0 (least sensitive) needs 11
+ *
+ * @param {number} sensitivity - Sensitivity from 0 to SENSITIVITY_LEVELS
+ * @returns {number} UnoccupiedToOccupiedThreshold value
+ */
+function sensitivityToThreshold(sensitivity) {
+  return SENSITIVITY_LEVELS + 1 - sensitivity;
+}
+
+/**
+ * Occupancy settings keyed by device setting id
+ *
+ * @type {Object<string, OccupancySettingDefinition>}
+ */
+const OCCUPANCY_SETTINGS = {
+  occupied_to_unoccupied_delay: {
+    min: 0,
+    max: 3600,
+    attributes: { pir: 'pirOccupiedToUnoccupiedDelay', ultrasonic: 'ultrasonicOccupiedToUnoccupiedDelay' },
+  },
+  pir_sensitivity: {
+    min: 0,
+    max: SENSITIVITY_LEVELS,
+    attributes: { pir: 'pirUnoccupiedToOccupiedThreshold' },
+    toAttribute: sensitivityToThreshold,
+  },
+  ultrasonic_sensitivity: {
+    min: 0,
+    max: SENSITIVITY_LEVELS,
+    attributes: { ultrasonic: 'ultrasonicUnoccupiedToOccupiedThreshold' },
+    toAttribute: sensitivityToThreshold,
+  },
+};
+
+/**
+ * All occupancy setting ids
+ */
+const OCCUPANCY_SETTING_KEYS = Object.keys(OCCUPANCY_SETTINGS);
+
+/**
+ * Error thrown when an occupancy value cannot be parsed
+ *
+ * @class OccupancyParseError
+ * @extends Error
+ */
+class OccupancyParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {*} occupancy - The input that could not be parsed
+   */
+  constructor(message, occupancy) {
+    super(message);
+    this.name = 'OccupancyParseError';
+    this.occupancy = occupancy;
+  }
+}
+
+/**
+ * Reads the occupied bit of an occupancy value
+ * Accepts the Bitmap of zigbee-clusters, a number, a Buffer or its JSON form
+ *
+ * @param {number|Buffer|Object} occupancy - Occupancy attribute value
+ * @returns {boolean} True if the sensor reports occupancy
+ * @throws {OccupancyParseError} If the value cannot be parsed
+ */
+function isOccupied(occupancy) {
+  if (typeof occupancy === 'number') {
+    if (!Number.isInteger(occupancy) || occupancy < 0 || occupancy > 0xFF) {
+      throw new OccupancyParseError(`Occupancy must be an 8-bit unsigned integer, got ${occupancy}`, occupancy);
+    }
+    return (occupancy & 0x01) !== 0;
+  }
+
+  let bytes = null;
+  if (Buffer.isBuffer(occupancy)) {
+    bytes = occupancy;
+  } else if (occupancy && occupancy.type === 'Buffer' && Array.isArray(occupancy.data)) {
+    bytes = Buffer.from(occupancy.data);
+  } else if (occupancy && typeof occupancy.occupied === 'boolean') {
+    return occupancy.occupied;
+  }
+
+  if (bytes === null || bytes.length === 0) {
+    throw new OccupancyParseError(`Cannot parse occupancy: ${JSON.stringify(occupancy)}`, occupancy);
+  }
+  return (bytes[0] & 0x01) !== 0;
+}
+
+/**
+ * Gets the sensing technologies of a sensor type
+ * Unknown types, e.g. when the type could not be read, are treated as both
+ *
+ * @param {string} [sensorType] - occupancySensorType attribute value
+ * @returns {Array<'pir' | 'ultrasonic'>} Technologies
+ */
+function getSensorTechnologies(sensorType) {
+  return SENSOR_TECHNOLOGIES[sensorType] ?? SENSOR_TECHNOLOGIES.pirAndUltrasonic;
+}
+
+/**
+ * @typedef {Object} OccupancySettingError
+ * @property {string} key - Setting id the error applies to
+ * @property {'invalid_number' | 'out_of_range'} code - Error code, used as localization key
+ */
+
+/**
+ * Validates occupancy settings
+ * Only keys present in the settings object are checked
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @returns {OccupancySettingError[]} Validation errors, empty when valid
+ */
+function validateOccupancySettings(settings) {
+  const errors = [];
+
+  for (const key of OCCUPANCY_SETTING_KEYS) {
+    if (!(key in settings)) {
+      continue;
+    }
+
+    const value = settings[key];
+    const { min, max } = OCCUPANCY_SETTINGS[key];
+
+    if (typeof value !== 'number' || !Number.isInteger(value)) {
+      errors.push({ key, code: 'invalid_number' });
+    } else if (value < min || value > max) {
+      errors.push({ key, code: 'out_of_range' });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the occupancy setting ids contained in a list of setting ids
+ *
+ * @param {string[]} keys - Setting ids, e.g. changedKeys from onSettings
+ * @returns {string[]} Occupancy setting ids
+ */
+function filterOccupancySettingKeys(keys) {
+  return keys.filter(key => OCCUPANCY_SETTING_KEYS.includes(key));
+}
+
+/**
+ * Converts occupancy settings to the attributes that apply them
+ * Attributes of technologies the sensor does not have are left out
+ *
+ * @param {Object<string, number>} settings - Device settings
+ * @param {string[]} [keys=OCCUPANCY_SETTING_KEYS] - Setting ids to convert
+ * @param {string} [sensorType] - occupancySensorType attribute value
+ * @returns {Object<string, number>} Attribute values by attribute name
+ */
+function settingsToAttributes(settings, keys = OCCUPANCY_SETTING_KEYS, sensorType) {
+  const technologies = getSensorTechnologies(sensorType);
+  const attributes = {};
+
+  for (const key of filterOccupancySettingKeys(keys)) {
+    if (typeof settings[key] !== 'number') {
+      continue;
+    }
+
+    const { attributes: names, toAttribute } = OCCUPANCY_SETTINGS[key];
+    const value = toAttribute ? toAttribute(settings[key]) : settings[key];
+    for (const technology of technologies) {
+      if (names[technology]) {
+        attributes[names[technology]] = value;
+      }
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Returns the names of written attributes the sensor did not read back with the same value
+ *
+ * @param {Object<string, number>} expected - Attributes that were written
+ * @param {Object<string, *>} actual - Attributes read back from the sensor
+ * @returns {string[]} Unconfirmed attribute names
+ */
+function findUnconfirmedAttributes(expected, actual) {
+  return Object.keys(expected).filter(name => actual[name] !== expected[name]);
+}
+
+/**
+ * Converts an Illuminance Measurement measuredValue to lux
+ * The cluster reports 10000 * log10(lux) + 1; 0 means too dark to measure
+ *
+ * @param {number} measuredValue - measuredValue attribute value
+ * @returns {number|null} Illuminance in lux, or null for the invalid value 0xFFFF
+ */
+function toLux(measuredValue) {
+  if (typeof measuredValue !== 'number' || measuredValue < 0 || measuredValue >= 0xFFFF) {
+    return null;
+  }
+  if (measuredValue === 0) {
+    return 0;
+  }
+  return Math.round(10 ** ((measuredValue - 1) / 10000));
+}
+
+module.exports = {
+  SENSITIVITY_LEVELS,
+  OCCUPANCY_SETTINGS,
+  OCCUPANCY_SETTING_KEYS,
+  OccupancyParseError,
+  isOccupied,
+  getSensorTechnologies,
+  sensitivityToThreshold,
+  validateOccupancySettings,
+  filterOccupancySettingKeys,
+  settingsToAttributes,
+  findUnconfirmedAttributes,
+  toLux,
+};
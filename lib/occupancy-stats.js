@@ -0,0 +1,355 @@
+'use strict';
+
+/**
+ * Occupancy statistics
+ * Accumulates occupied time per local hour and day, the number of entries
+ * and the longest session, for room utilisation. The statistics are plain
+ * JSON so the device can keep them in its store
+ *
+ * @module lib/occupancy-stats
+ */
+
+/**
+ * Number of days of statistics kept, including today
+ * @type {number}
+ */
+const OCCUPANCY_RETENTION_DAYS = 14;
+
+/**
+ * Number of days included in the weekly total of a summary
+ * @type {number}
+ */
+const WEEK_DAYS = 7;
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * @typedef {Object} OccupancyDay
+ * @property {number} occupied - Occupied time in ms
+ * @property {number} entries - Number of times presence began
+ * @property {number} longestSession - Longest uninterrupted presence within the day in ms
+ */
+
+/**
+ * @typedef {Object} OccupancySession
+ * @property {number} startedAt - Time in ms the presence began
+ * @property {number} accountedUntil - Time in ms up to which the session was added to the buckets
+ * @property {string} day - Local date the session was last accounted on
+ * @property {number} dayMs - Part of the session on that day in ms
+ */
+
+/**
+ * @typedef {Object} OccupancyStats
+ * @property {Object<string, OccupancyDay>} days - Statistics per local date (YYYY-MM-DD)
+ * @property {Object<string, number>} hours - Occupied time in ms per local hour (YYYY-MM-DDTHH)
+ * @property {OccupancySession|null} session - Ongoing presence, null if clear
+ * @property {string|null} currentDate - Local date of the last roll-over, null before the first
+ */
+
+/**
+ * @typedef {Object} OccupancySummary
+ * @property {string} date - Local date (YYYY-MM-DD)
+ * @property {number} occupied_minutes - Occupied time in whole minutes
+ * @property {number} entries - Number of times presence began
+ * @property {number} longest_session_minutes - Longest uninterrupted presence in whole minutes
+ * @property {number} week_occupied_minutes - Occupied time of the week ending on the date in whole minutes
+ */
+
+/**
+ * @typedef {Object} OccupancyOptions
+ * @property {string} [timeZone] - IANA time zone of the local hours and days, the system zone if omitted
+ * @property {number} [retentionDays=OCCUPANCY_RETENTION_DAYS] - Number of days kept on roll-over
+ */
+
+const formatters = new Map();
+
+/**
+ * Splits a time into its local date, hour, minute and second
+ *
+ * @param {number} time - Time in ms
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {{date: string, hour: string, minute: number, second: number}} Local parts
+ */
+function localParts(time, timeZone) {
+  const key = timeZone ?? '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(key).formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parts.hour,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+  };
+}
+
+/**
+ * Gets the local date of a time
+ *
+ * @param {number} time - Time in ms
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} Local date (YYYY-MM-DD)
+ */
+function localDate(time, timeZone) {
+  return localParts(time, timeZone).date;
+}
+
+/**
+ * Shifts a date by a number of days
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} Shifted date (YYYY-MM-DD)
+ */
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the statistics of a day, zeroed if none were recorded
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {OccupancyDay} Day statistics
+ */
+function getDay(stats, date) {
+  return stats.days[date] ?? { occupied: 0, entries: 0, longestSession: 0 };
+}
+
+/**
+ * Creates empty statistics
+ *
+ * @returns {OccupancyStats} Statistics without any presence
+ */
+function createOccupancyStats() {
+  return {
+    days: {},
+    hours: {},
+    session: null,
+    currentDate: null,
+  };
+}
+
+/**
+ * Adds the ongoing session up to now to the hour and day buckets
+ * The session is split at local hour boundaries, so a session spanning
+ * midnight counts towards both days
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {number} now - Current time in ms
+ * @param {OccupancyOptions} [options] - Options
+ * @returns {OccupancyStats} New statistics
+ */
+function accountOccupancy(stats, now, { timeZone } = {}) {
+  const { session } = stats;
+  if (session === null || now <= session.accountedUntil) {
+    return stats;
+  }
+
+  const days = { ...stats.days };
+  const hours = { ...stats.hours };
+  let { day, dayMs } = session;
+  let time = session.accountedUntil;
+
+  while (time < now) {
+    const { date, hour, minute, second } = localParts(time, timeZone);
+    const hourStart = time - (minute * 60 + second) * 1000 - (time % 1000);
+    const end = Math.min(now, hourStart + HOUR);
+    const span = end - time;
+
+    hours[`${date}T${hour}`] = (hours[`${date}T${hour}`] ?? 0) + span;
+
+    if (day !== date) {
+      day = date;
+      dayMs = 0;
+    }
+    dayMs += span;
+
+    const record = getDay({ days }, date);
+    days[date] = {
+      ...record,
+      occupied: record.occupied + span,
+      longestSession: Math.max(record.longestSession, dayMs),
+    };
+
+    time = end;
+  }
+
+  return { ...stats, days, hours, session: { ...session, accountedUntil: now, day, dayMs } };
+}
+
+/**
+ * Records a committed presence value
+ * Detection starts a session and counts an entry, clearing ends the session
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {boolean} presenceDetected - Committed presence
+ * @param {number} now - Current time in ms
+ * @param {OccupancyOptions} [options] - Options
+ * @returns {OccupancyStats} New statistics
+ */
+function recordOccupancy(stats, presenceDetected, now, options = {}) {
+  const accounted = accountOccupancy(stats, now, options);
+
+  if (presenceDetected && accounted.session === null) {
+    const date = localDate(now, options.timeZone);
+    const record = getDay(accounted, date);
+    return {
+      ...accounted,
+      days: { ...accounted.days, [date]: { ...record, entries: record.entries + 1 } },
+      session: { startedAt: now, accountedUntil: now, day: date, dayMs: 0 },
+    };
+  }
+
+  if (!presenceDetected && accounted.session !== null) {
+    return { ...accounted, session: null };
+  }
+
+  return accounted;
+}
+
+/**
+ * Drops the days and hours that fall outside the retention window
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {string} today - Local date of today (YYYY-MM-DD)
+ * @param {number} [retentionDays=OCCUPANCY_RETENTION_DAYS] - Number of days kept, including today
+ * @returns {OccupancyStats} New statistics
+ */
+function pruneOccupancy(stats, today, retentionDays = OCCUPANCY_RETENTION_DAYS) {
+  const oldest = shiftDate(today, 1 - retentionDays);
+  const keep = ([key]) => key.slice(0, 10) >= oldest;
+
+  return {
+    ...stats,
+    days: Object.fromEntries(Object.entries(stats.days).filter(keep)),
+    hours: Object.fromEntries(Object.entries(stats.hours).filter(keep)),
+  };
+}
+
+/**
+ * Summarizes a day, with the occupied time of the week ending on it
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {OccupancySummary} Summary, usable as flow tokens
+ */
+function summarizeDay(stats, date) {
+  const { occupied, entries, longestSession } = getDay(stats, date);
+
+  let weekOccupied = 0;
+  for (let i = 0; i < WEEK_DAYS; i++) {
+    weekOccupied += getDay(stats, shiftDate(date, -i)).occupied;
+  }
+
+  return {
+    date,
+    occupied_minutes: Math.round(occupied / MINUTE),
+    entries,
+    longest_session_minutes: Math.round(longestSession / MINUTE),
+    week_occupied_minutes: Math.round(weekOccupied / MINUTE),
+  };
+}
+
+/**
+ * Gets the occupied minutes of every local hour of a day
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {number[]} 24 values in whole minutes, index 0 is 00:00-01:00
+ */
+function getHourlyOccupancy(stats, date) {
+  return Array.from({ length: 24 }, (_, hour) => {
+    const occupied = stats.hours[`${date}T${String(hour).padStart(2, '0')}`] ?? 0;
+    return Math.round(occupied / MINUTE);
+  });
+}
+
+/**
+ * Gets the occupied minutes of today, including the ongoing session
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {number} now - Current time in ms
+ * @param {OccupancyOptions} [options] - Options
+ * @returns {number} Occupied time today in whole minutes
+ */
+function occupiedTodayMinutes(stats, now, options = {}) {
+  const accounted = accountOccupancy(stats, now, options);
+  return Math.round(getDay(accounted, localDate(now, options.timeZone)).occupied / MINUTE);
+}
+
+/**
+ * Moves the statistics to a new local day
+ * Accounts the ongoing session up to now, summarizes the day that ended and
+ * drops the days outside the retention window
+ *
+ * @param {OccupancyStats} stats - Statistics
+ * @param {number} now - Current time in ms
+ * @param {OccupancyOptions} [options] - Options
+ * @returns {{stats: OccupancyStats, summary: OccupancySummary|null}} New statistics, and the summary
+ *   of the day that ended or null if the day did not change
+ */
+function rollOverOccupancy(stats, now, options = {}) {
+  const today = localDate(now, options.timeZone);
+  if (stats.currentDate === today) {
+    return { stats, summary: null };
+  }
+
+  const accounted = accountOccupancy(stats, now, options);
+  const summary = stats.currentDate === null ? null : summarizeDay(accounted, stats.currentDate);
+
+  return {
+    stats: pruneOccupancy({ ...accounted, currentDate: today }, today, options.retentionDays),
+    summary,
+  };
+}
+
+/**
+ * Creates statistics for a reset, keeping an ongoing presence as a new session
+ *
+ * @param {boolean} presenceDetected - Current presence
+ * @param {number} now - Current time in ms
+ * @param {OccupancyOptions} [options] - Options
+ * @returns {OccupancyStats} New statistics
+ */
+function resetOccupancy(presenceDetected, now, options = {}) {
+  const stats = {
+    ...createOccupancyStats(),
+    currentDate: localDate(now, options.timeZone),
+  };
+  return recordOccupancy(stats, presenceDetected, now, options);
+}
+
+module.exports = {
+  OCCUPANCY_RETENTION_DAYS,
+  WEEK_DAYS,
+  localParts,
+  localDate,
+  shiftDate,
+  createOccupancyStats,
+  accountOccupancy,
+  recordOccupancy,
+  pruneOccupancy,
+  summarizeDay,
+  getHourlyOccupancy,
+  occupiedTodayMinutes,
+  rollOverOccupancy,
+  resetOccupancy,
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Occupancy zone logic
+ * Combines the presence of several sensors into the presence of a virtual zone
+ *
+ * @module lib/occupancy-zone
+ */
+
+/**
+ * How the presence of the sensors in a zone is combined
+ * - any: presence if at least one sensor detects presence
+ * - all: presence if every sensor detects presence
+ * - majority: presence if more than half of the sensors detect presence
+ * @typedef {'any' | 'all' | 'majority'} ZoneLogic
+ */
+
+/**
+ * All zone logic options
+ * @type {ZoneLogic[]}
+ */
+const ZONE_LOGIC = ['any', 'all', 'majority'];
+
+/**
+ * Event emitted on the app when the presence or availability of a sensor changes,
+ * with the sensor id as argument
+ * @type {string}
+ */
+const SENSOR_CHANGED_EVENT = 'sensor_changed';
+
+/**
+ * Combines the presence of the sensors in a zone
+ * Sensors with an unknown presence, e.g. unavailable ones, are left out
+ *
+ * @param {Array<boolean|null>} values - Presence per sensor, null if unknown
+ * @param {ZoneLogic} logic - How to combine the values
+ * @returns {boolean|null} Zone presence, null if no sensor has a known presence
+ * @throws {TypeError} If the logic is unknown
+ */
+function combinePresence(values, logic) {
+  if (!ZONE_LOGIC.includes(logic)) {
+    throw new TypeError(`Unknown zone logic: ${logic}`);
+  }
+
+  const known = values.filter(value => typeof value === 'boolean');
+  if (known.length === 0) {
+    return null;
+  }
+
+  const present = known.filter(value => value).length;
+
+  if (logic === 'any') {
+    return present > 0;
+  }
+  if (logic === 'all') {
+    return present === known.length;
+  }
+  return present * 2 > known.length;
+}
+
+/**
+ * Checks the sensors chosen for a zone, a zone needs at least one sensor
+ *
+ * @param {*} ids - Sensor ids sent by the select_sensors view
+ * @returns {boolean} True if ids is a non-empty array of sensor ids
+ */
+function isValidSensorSelection(ids) {
+  return Array.isArray(ids) && ids.length > 0 && ids.every(id => typeof id === 'string' && id !== '');
+}
+
+module.exports = {
+  ZONE_LOGIC,
+  SENSOR_CHANGED_EVENT,
+  combinePresence,
+  isValidSensorSelection,
+};
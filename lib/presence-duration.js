@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Presence Duration tracking
+ * Keeps track of when presence began and ended and derives the duration
+ * tokens for the motion_detected/motion_cleared flow cards
+ *
+ * @module lib/presence-duration
+ */
+
+/**
+ * @typedef {Object} PresenceTiming
+ * @property {number|null} presenceStartedAt - Time in ms the last presence began (null if unknown)
+ * @property {number|null} presenceEndedAt - Time in ms the last presence ended (null if unknown)
+ */
+
+/**
+ * @typedef {Object} PresenceDurationTokens
+ * @property {number} duration - Seconds the state that just ended lasted
+ * @property {number} previous_state_duration - Seconds the state before that lasted
+ */
+
+/**
+ * Converts a span between two timestamps to whole seconds, 0 if unknown
+ *
+ * @param {number|null} from - Start time in ms
+ * @param {number|null} to - End time in ms
+ * @returns {number} Span in seconds
+ */
+function spanSeconds(from, to) {
+  if (typeof from !== 'number' || typeof to !== 'number' || to < from) {
+    return 0;
+  }
+  return Math.round((to - from) / 1000);
+}
+
+/**
+ * Creates an empty presence timing
+ *
+ * @returns {PresenceTiming} Timing without known transitions
+ */
+function createPresenceTiming() {
+  return {
+    presenceStartedAt: null,
+    presenceEndedAt: null,
+  };
+}
+
+/**
+ * Records a committed presence transition
+ * On detection, duration is how long it was clear and previous_state_duration
+ * how long the presence before that lasted; on clear, duration is how long the
+ * presence lasted and previous_state_duration how long it was clear before it
+ *
+ * @param {PresenceTiming} timing - Current timing
+ * @param {boolean} presenceDetected - Committed presence
+ * @param {number} now - Current time in ms
+ * @returns {{ timing: PresenceTiming, tokens: PresenceDurationTokens }} New timing and flow tokens
+ */
+function recordPresenceTransition(timing, presenceDetected, now) {
+  const { presenceStartedAt, presenceEndedAt } = timing;
+
+  if (presenceDetected) {
+    return {
+      timing: { presenceStartedAt: now, presenceEndedAt },
+      tokens: {
+        duration: spanSeconds(presenceEndedAt, now),
+        previous_state_duration: spanSeconds(presenceStartedAt, presenceEndedAt),
+      },
+    };
+  }
+
+  return {
+    timing: { presenceStartedAt, presenceEndedAt: now },
+    tokens: {
+      duration: spanSeconds(presenceStartedAt, now),
+      previous_state_duration: spanSeconds(presenceEndedAt, presenceStartedAt),
+    },
+  };
+}
+
+/**
+ * Returns the whole minutes presence has lasted so far
+ *
+ * @param {PresenceTiming} timing - Current timing
+ * @param {number} now - Current time in ms
+ * @returns {number} Elapsed minutes, 0 if presence start is unknown
+ */
+function presenceMinutes(timing, now) {
+  return Math.floor(spanSeconds(timing.presenceStartedAt, now) / 60);
+}
+
+/**
+ * Checks whether presence has been clear for at least the given minutes
+ * A sensor that never reported an end of presence counts as clear for any duration
+ *
+ * @param {PresenceTiming} timing - Current timing
+ * @param {boolean|null} presenceDetected - Current alarm_motion value
+ * @param {number} minutes - Minimum clear duration in minutes
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if clear for at least the given minutes
+ */
+function hasBeenClearFor(timing, presenceDetected, minutes, now) {
+  if (presenceDetected === true) {
+    return false;
+  }
+  if (typeof timing.presenceEndedAt !== 'number') {
+    return true;
+  }
+  return now - timing.presenceEndedAt >= minutes * 60000;
+}
+
+module.exports = {
+  createPresenceTiming,
+  recordPresenceTransition,
+  presenceMinutes,
+  hasBeenClearFor,
+};
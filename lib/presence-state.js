@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Presence State for mmWave radar sensors
+ * Maps the radar's movement state and the IAS Zone presence bit to the
+ * presence_state capability (none / moving / stationary)
+ *
+ * @module lib/presence-state
+ */
+
+/**
+ * Presence state values
+ * @typedef {'none' | 'moving' | 'stationary'} PresenceState
+ */
+
+/**
+ * All presence state values, in the order of the capability enum
+ * @type {PresenceState[]}
+ */
+const PRESENCE_STATES = ['none', 'moving', 'stationary'];
+
+/**
+ * Radar presence state enum values as reported by the device
+ */
+const RADAR_PRESENCE_STATES = {
+  0: 'none',
+  1: 'stationary',
+  2: 'moving',
+};
+
+/**
+ * Converts the radar's presence state enum to a presence state
+ *
+ * @param {number} rawState - Enum value reported by the radar
+ * @returns {PresenceState|null} Presence state, or null if the value is unknown
+ */
+function toPresenceState(rawState) {
+  return RADAR_PRESENCE_STATES[rawState] ?? null;
+}
+
+/**
+ * Derives the presence state from an IAS Zone presence change
+ * A cleared zone always means nobody is present; a new detection keeps a
+ * known movement state and otherwise assumes someone walked in
+ *
+ * @param {PresenceState|null} currentState - Current presence_state value (null if unknown)
+ * @param {boolean} presenceDetected - Presence bit from the zone status
+ * @returns {PresenceState} New presence state
+ */
+function presenceStateFromAlarm(currentState, presenceDetected) {
+  if (!presenceDetected) {
+    return 'none';
+  }
+
+  if (currentState === 'moving' || currentState === 'stationary') {
+    return currentState;
+  }
+
+  return 'moving';
+}
+
+/**
+ * Derives the presence state from a radar presence state report
+ * A radar reporting nobody only clears the presence state together with
+ * alarm_motion, so presence held by the clear delay keeps its movement state
+ *
+ * @param {PresenceState|null} radarState - Presence state reported by the radar
+ * @param {boolean|null} presenceDetected - Current alarm_motion value
+ * @returns {PresenceState|null} New presence state, or null to keep the current state
+ */
+function presenceStateFromRadar(radarState, presenceDetected) {
+  if (radarState === 'none' && presenceDetected === true) {
+    return null;
+  }
+
+  return radarState;
+}
+
+/**
+ * Determines whether the presence_state_changed flow card should be triggered
+ *
+ * @param {PresenceState|null} previousState - Previous presence state (null if unknown)
+ * @param {PresenceState|null} newState - New presence state
+ * @returns {'presence_state_changed' | null} The flow card to trigger, or null if no trigger needed
+ */
+function determinePresenceStateTrigger(previousState, newState) {
+  if (!PRESENCE_STATES.includes(newState) || previousState === newState) {
+    return null;
+  }
+
+  return 'presence_state_changed';
+}
+
+module.exports = {
+  PRESENCE_STATES,
+  toPresenceState,
+  presenceStateFromAlarm,
+  presenceStateFromRadar,
+  determinePresenceStateTrigger,
+};
@@ -0,0 +1,268 @@
+'use strict';
+
+const { validateActionSettings } = require('./flow-actions');
+const { localParts } = require('./occupancy-stats');
+
+/**
+ * Configuration profiles for the MTD085-ZB presence sensor
+ * A profile overrides the sensitivity, detection range and clear delay of the
+ * device settings, optionally on a daily schedule. The device settings
+ * themselves form the default profile
+ *
+ * @module lib/profiles
+ */
+
+/**
+ * Id of the profile formed by the device settings
+ * @type {string}
+ */
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * Ids of the configurable profiles, also the prefix of their settings, e.g. profile1_start
+ * @type {string[]}
+ */
+const PROFILE_SLOTS = ['profile1', 'profile2'];
+
+/**
+ * Device settings a profile overrides
+ * @type {string[]}
+ */
+const PROFILE_KEYS = ['motion_sensitivity', 'static_sensitivity', 'min_distance', 'max_distance', 'clear_delay'];
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Profile id, DEFAULT_PROFILE or one of PROFILE_SLOTS
+ * @property {string} name - Name chosen by the user
+ * @property {boolean} enabled - Whether the profile can become active
+ * @property {number|null} start - Start of the schedule in minutes after midnight, null without schedule
+ * @property {number|null} end - End of the schedule in minutes after midnight, null without schedule
+ * @property {Object<string, number>} values - Device settings the profile overrides
+ */
+
+/**
+ * @typedef {Object} ProfileState
+ * @property {string} active - Id of the active profile
+ * @property {string} scheduled - Id of the profile the schedule selects
+ * @property {string|null} override - Id of a profile chosen from a flow, kept until the schedule selects another profile
+ */
+
+/**
+ * @typedef {Object} ProfileSettingError
+ * @property {string} key - Setting the error applies to, e.g. profile_start or motion_sensitivity
+ * @property {string} code - Error code, used as localization key
+ * @property {string} profile - Id of the profile the setting belongs to
+ */
+
+/**
+ * Parses a time of day
+ *
+ * @param {string} value - Time as HH:MM, empty for no time
+ * @returns {number|null|undefined} Minutes after midnight, null if empty, undefined if invalid
+ */
+function parseTimeOfDay(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value.trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return undefined;
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Gets the minutes after local midnight of a time
+ *
+ * @param {number} time - Time in ms
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {number} Minutes after midnight
+ */
+function minuteOfDay(time, timeZone) {
+  const { hour, minute } = localParts(time, timeZone);
+  return Number(hour) * 60 + minute;
+}
+
+/**
+ * Reads the configurable profiles from the device settings
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @returns {Profile[]} Profiles in slot order
+ */
+function getProfiles(settings) {
+  return PROFILE_SLOTS.map(id => ({
+    id,
+    name: settings[`${id}_name`] || id,
+    enabled: settings[`${id}_enabled`] === true,
+    start: parseTimeOfDay(settings[`${id}_start`]) ?? null,
+    end: parseTimeOfDay(settings[`${id}_end`]) ?? null,
+    values: Object.fromEntries(PROFILE_KEYS.map(key => [key, settings[`${id}_${key}`]])),
+  }));
+}
+
+/**
+ * Checks whether a profile schedule covers a time of day
+ * A schedule that ends before it starts runs past midnight
+ *
+ * @param {Profile} profile - Profile
+ * @param {number} minute - Minutes after midnight
+ * @returns {boolean} True if the profile is enabled and scheduled at the time
+ */
+function isScheduled(profile, minute) {
+  const { enabled, start, end } = profile;
+  if (!enabled || start === null || end === null || start === end) {
+    return false;
+  }
+  if (start < end) {
+    return minute >= start && minute < end;
+  }
+  return minute >= start || minute < end;
+}
+
+/**
+ * Gets the profile the schedule selects at a time of day
+ * The first scheduled profile wins, the default profile applies outside every schedule
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @param {number} minute - Minutes after midnight
+ * @returns {string} Profile id
+ */
+function getScheduledProfile(settings, minute) {
+  const profile = getProfiles(settings).find(candidate => isScheduled(candidate, minute));
+  return profile ? profile.id : DEFAULT_PROFILE;
+}
+
+/**
+ * Advances the profile state to the profile the schedule selects now
+ * An override ends at the next schedule boundary, or when its profile is disabled
+ *
+ * @param {ProfileState|null} state - Current state, null if none was stored
+ * @param {Object<string, *>} settings - Device settings
+ * @param {number} minute - Minutes after midnight
+ * @returns {ProfileState} New state
+ */
+function updateProfileState(state, settings, minute) {
+  const scheduled = getScheduledProfile(settings, minute);
+  let override = state ? state.override : null;
+
+  if (override !== null && (scheduled !== state.scheduled || !isSelectable(settings, override))) {
+    override = null;
+  }
+
+  return { active: override ?? scheduled, scheduled, override };
+}
+
+/**
+ * Overrides the scheduled profile until the next schedule boundary
+ *
+ * @param {ProfileState} state - Current state
+ * @param {Object<string, *>} settings - Device settings
+ * @param {string} profile - Id of the profile to activate
+ * @returns {ProfileState} New state
+ * @throws {Error} If the profile does not exist or is disabled
+ */
+function overrideProfile(state, settings, profile) {
+  if (!isSelectable(settings, profile)) {
+    throw new Error(`Profile not available: ${profile}`);
+  }
+  return { ...state, active: profile, override: profile };
+}
+
+/**
+ * Checks whether a profile exists and is enabled
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @param {string} profile - Profile id
+ * @returns {boolean} True if the profile can become active
+ */
+function isSelectable(settings, profile) {
+  return profile === DEFAULT_PROFILE || getProfiles(settings).some(({ id, enabled }) => id === profile && enabled);
+}
+
+/**
+ * Gets the device settings with the values of a profile applied
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @param {string} profile - Profile id
+ * @returns {Object<string, *>} Settings in effect while the profile is active
+ */
+function getEffectiveSettings(settings, profile) {
+  const match = getProfiles(settings).find(({ id }) => id === profile);
+  return match ? { ...settings, ...match.values } : { ...settings };
+}
+
+/**
+ * Gets the profile settings that differ between two sets of effective settings
+ *
+ * @param {Object<string, *>} before - Effective settings before
+ * @param {Object<string, *>} after - Effective settings after
+ * @returns {string[]} Changed setting ids, in PROFILE_KEYS order
+ */
+function diffProfileKeys(before, after) {
+  return PROFILE_KEYS.filter(key => before[key] !== after[key]);
+}
+
+/**
+ * Moves setting values to the settings that hold them for a profile
+ * The default profile is formed by the device settings themselves, another
+ * profile keeps the settings it overrides with its id as prefix, e.g. profile1_clear_delay
+ *
+ * @param {Object<string, *>} values - Values by device setting id, e.g. from a setting action
+ * @param {string} profile - Profile id
+ * @returns {Object<string, *>} Values by the id of the setting holding them for the profile
+ */
+function toProfileSettings(values, profile) {
+  if (profile === DEFAULT_PROFILE) {
+    return { ...values };
+  }
+  return Object.fromEntries(Object.entries(values)
+    .map(([key, value]) => [PROFILE_KEYS.includes(key) ? `${profile}_${key}` : key, value]));
+}
+
+/**
+ * Validates the enabled profiles
+ * Checks the times of the schedule and the values like the device settings
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @returns {ProfileSettingError[]} Validation errors, empty when valid
+ */
+function validateProfiles(settings) {
+  const errors = [];
+
+  for (const id of PROFILE_SLOTS) {
+    if (settings[`${id}_enabled`] !== true) {
+      continue;
+    }
+
+    for (const key of ['start', 'end']) {
+      if (parseTimeOfDay(settings[`${id}_${key}`]) === undefined) {
+        errors.push({ key: `profile_${key}`, code: 'invalid_time', profile: id });
+      }
+    }
+
+    const values = getProfiles(settings).find(profile => profile.id === id).values;
+    for (const error of validateActionSettings(values)) {
+      errors.push({ ...error, profile: id });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_SLOTS,
+  PROFILE_KEYS,
+  parseTimeOfDay,
+  minuteOfDay,
+  getProfiles,
+  isScheduled,
+  getScheduledProfile,
+  updateProfileState,
+  overrideProfile,
+  getEffectiveSettings,
+  diffProfileKeys,
+  toProfileSettings,
+  validateProfiles,
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Radar Datapoint Map for the MTD085-ZB presence sensor
+ * Maps the Tuya datapoints reported and accepted by the TS0225 radar to
+ * named values, including the unit conversion between device and Homey
+ *
+ * @module lib/radar-datapoints
+ */
+
+/**
+ * @typedef {Object} RadarDatapoint
+ * @property {number} dp - Tuya datapoint identifier
+ * @property {import('./tuya-datapoint').DatapointTypeName} type - Tuya datapoint type
+ * @property {Function} fromDevice - Converts a reported device value to a Homey value
+ * @property {Function} toDevice - Converts a Homey value to a device value
+ */
+
+const identity = value => value;
+const centimetersToMeters = value => value / 100;
+const metersToCentimeters = value => Math.round(value * 100);
+
+/**
+ * Datapoints of the MTD085-ZB, keyed by name
+ * Distances are reported in centimeters and exposed in meters
+ *
+ * @type {Object<string, RadarDatapoint>}
+ */
+const RADAR_DATAPOINTS = {
+  presenceState: { dp: 1, type: 'enum', fromDevice: identity, toDevice: identity },
+  minDistance: { dp: 3, type: 'value', fromDevice: centimetersToMeters, toDevice: metersToCentimeters },
+  maxDistance: { dp: 4, type: 'value', fromDevice: centimetersToMeters, toDevice: metersToCentimeters },
+  motionSensitivity: { dp: 15, type: 'value', fromDevice: identity, toDevice: identity },
+  staticSensitivity: { dp: 16, type: 'value', fromDevice: identity, toDevice: identity },
+  targetDistance: { dp: 19, type: 'value', fromDevice: centimetersToMeters, toDevice: metersToCentimeters },
+  illuminance: { dp: 20, type: 'value', fromDevice: identity, toDevice: identity },
+  indicator: { dp: 24, type: 'bool', fromDevice: identity, toDevice: identity },
+};
+
+/**
+ * Finds the name of a radar datapoint by its Tuya identifier
+ *
+ * @param {number} dp - Tuya datapoint identifier
+ * @returns {string|null} Datapoint name, or null if unknown
+ */
+function getDatapointName(dp) {
+  const name = Object.keys(RADAR_DATAPOINTS).find(key => RADAR_DATAPOINTS[key].dp === dp);
+  return name ?? null;
+}
+
+/**
+ * Converts a decoded Tuya datapoint to a named Homey value
+ *
+ * @param {import('./tuya-datapoint').Datapoint} datapoint - Decoded datapoint
+ * @returns {{ name: string, value: * }|null} Named value, or null if the datapoint is unknown
+ */
+function fromDatapoint(datapoint) {
+  const name = getDatapointName(datapoint.dp);
+  if (name === null) {
+    return null;
+  }
+  return {
+    name,
+    value: RADAR_DATAPOINTS[name].fromDevice(datapoint.value),
+  };
+}
+
+/**
+ * Converts a named Homey value to a Tuya datapoint
+ *
+ * @param {string} name - Datapoint name
+ * @param {*} value - Homey value
+ * @returns {import('./tuya-datapoint').Datapoint} Datapoint ready to encode
+ * @throws {Error} If the datapoint name is unknown
+ */
+function toDatapoint(name, value) {
+  const definition = RADAR_DATAPOINTS[name];
+  if (!definition) {
+    throw new Error(`Unknown radar datapoint: ${name}`);
+  }
+  return {
+    dp: definition.dp,
+    type: definition.type,
+    value: definition.toDevice(value),
+  };
+}
+
+module.exports = {
+  RADAR_DATAPOINTS,
+  getDatapointName,
+  fromDatapoint,
+  toDatapoint,
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+const { toDatapoint } = require('./radar-datapoints');
+
+/**
+ * Radar Settings for the MTD085-ZB presence sensor
+ * Validates the radar device settings and converts them to Tuya datapoints
+ *
+ * @module lib/radar-settings
+ */
+
+/**
+ * @typedef {Object} RadarSettingDefinition
+ * @property {string} datapoint - Name of the radar datapoint in lib/radar-datapoints
+ * @property {'number' | 'boolean'} type - Type of the setting value
+ * @property {number} [min] - Minimum allowed value of a number setting
+ * @property {number} [max] - Maximum allowed value of a number setting
+ * @property {boolean} [integer] - Whether only whole numbers are allowed
+ */
+
+/**
+ * Radar settings keyed by device setting id
+ *
+ * @type {Object<string, RadarSettingDefinition>}
+ */
+const RADAR_SETTINGS = {
+  motion_sensitivity: { datapoint: 'motionSensitivity', type: 'number', min: 0, max: 10, integer: true },
+  static_sensitivity: { datapoint: 'staticSensitivity', type: 'number', min: 0, max: 10, integer: true },
+  min_distance: { datapoint: 'minDistance', type: 'number', min: 0, max: 10, integer: false },
+  max_distance: { datapoint: 'maxDistance', type: 'number', min: 0, max: 10, integer: false },
+  indicator: { datapoint: 'indicator', type: 'boolean' },
+};
+
+/**
+ * All radar setting ids
+ */
+const RADAR_SETTING_KEYS = Object.keys(RADAR_SETTINGS);
+
+/**
+ * @typedef {'invalid_number' | 'invalid_boolean' | 'out_of_range' | 'min_not_below_max'} RadarSettingErrorCode
+ */
+
+/**
+ * @typedef {Object} RadarSettingError
+ * @property {string} key - Setting id the error applies to
+ * @property {RadarSettingErrorCode} code - Error code, used as localization key
+ */
+
+/**
+ * Validates radar settings
+ * Only keys present in the settings object are checked; the distance range
+ * is checked when both distances are present
+ *
+ * @param {Object<string, *>} settings - Device settings
+ * @returns {RadarSettingError[]} Validation errors, empty when valid
+ */
+function validateRadarSettings(settings) {
+  const errors = [];
+
+  for (const key of RADAR_SETTING_KEYS) {
+    if (!(key in settings)) {
+      continue;
+    }
+
+    const value = settings[key];
+    const { type, min, max, integer } = RADAR_SETTINGS[key];
+
+    if (type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        errors.push({ key, code: 'invalid_boolean' });
+      }
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      errors.push({ key, code: 'invalid_number' });
+    } else if (value < min || value > max) {
+      errors.push({ key, code: 'out_of_range' });
+    }
+  }
+
+  if (
+    errors.length === 0 &&
+    typeof settings.min_distance === 'number' &&
+    typeof settings.max_distance === 'number' &&
+    settings.min_distance >= settings.max_distance
+  ) {
+    errors.push({ key: 'min_distance', code: 'min_not_below_max' });
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the radar setting ids contained in a list of setting ids
+ *
+ * @param {string[]} keys - Setting ids, e.g. changedKeys from onSettings
+ * @returns {string[]} Radar setting ids
+ */
+function filterRadarSettingKeys(keys) {
+  return keys.filter(key => RADAR_SETTING_KEYS.includes(key));
+}
+
+/**
+ * Converts radar settings to the Tuya datapoints that apply them
+ *
+ * @param {Object<string, number|boolean>} settings - Device settings
+ * @param {string[]} [keys=RADAR_SETTING_KEYS] - Setting ids to convert
+ * @returns {import('./tuya-datapoint').Datapoint[]} Datapoints to write
+ */
+function settingsToDatapoints(settings, keys = RADAR_SETTING_KEYS) {
+  return filterRadarSettingKeys(keys)
+    .filter(key => typeof settings[key] === RADAR_SETTINGS[key].type)
+    .map(key => toDatapoint(RADAR_SETTINGS[key].datapoint, settings[key]));
+}
+
+/**
+ * Returns the expected datapoints that were not confirmed by reported datapoints
+ * A datapoint is confirmed when a report carries the same id and value
+ *
+ * @param {import('./tuya-datapoint').Datapoint[]} expected - Datapoints that were written
+ * @param {import('./tuya-datapoint').Datapoint[]} reported - Datapoints reported by the device
+ * @returns {import('./tuya-datapoint').Datapoint[]} Unconfirmed datapoints
+ */
+function findUnconfirmedDatapoints(expected, reported) {
+  return expected.filter(({ dp, value }) => !reported.some(
+    report => report.dp === dp && report.value === value
+  ));
+}
+
+module.exports = {
+  RADAR_SETTINGS,
+  RADAR_SETTING_KEYS,
+  validateRadarSettings,
+  filterRadarSettingKeys,
+  settingsToDatapoints,
+  findUnconfirmedDatapoints,
+};
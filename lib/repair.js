@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Repair session steps
+ * Runs the steps of a guided repair in order and reports the result of each
+ * step, so a failing step does not stop the ones after it
+ *
+ * @module lib/repair
+ */
+
+/**
+ * Repair steps of the MTD085-ZB sensor, in the order they run
+ * Other sensors list their own steps, see getRepairSteps of the device
+ * @type {string[]}
+ */
+const REPAIR_STEPS = ['enrollment', 'handlers', 'reporting', 'zone_status'];
+
+/**
+ * @typedef {Object} RepairStep
+ * @property {string} id - Step id, named by repair.steps.<id> in the locales
+ * @property {Function} run - Async function performing the step, may resolve to a detail string
+ */
+
+/**
+ * @typedef {Object} RepairStepResult
+ * @property {string} id - Step id
+ * @property {'running' | 'succeeded' | 'failed'} status - Step status
+ * @property {string|null} detail - Detail returned by the step, or the error message if it failed
+ */
+
+/**
+ * @typedef {Object} RepairReport
+ * @property {boolean} success - Whether every step succeeded
+ * @property {RepairStepResult[]} results - Final result of each step, in order
+ */
+
+/**
+ * Runs repair steps one after the other
+ * onStep is called with status "running" before a step and with its result after it
+ *
+ * @param {RepairStep[]} steps - Steps to run
+ * @param {Function} [onStep] - Async callback receiving each RepairStepResult
+ * @returns {Promise<RepairReport>} Report of all steps
+ */
+async function runRepairSteps(steps, onStep = async () => {}) {
+  const results = [];
+
+  for (const { id, run } of steps) {
+    await onStep({ id, status: 'running', detail: null });
+
+    let result;
+    try {
+      const detail = await run();
+      result = { id, status: 'succeeded', detail: detail ?? null };
+    } catch (error) {
+      result = { id, status: 'failed', detail: error.message };
+    }
+
+    results.push(result);
+    await onStep(result);
+  }
+
+  return {
+    success: results.every(({ status }) => status === 'succeeded'),
+    results,
+  };
+}
+
+module.exports = {
+  REPAIR_STEPS,
+  runRepairSteps,
+};
@@ -13,30 +13,199 @@
  * @property {number} attempts - Number of attempts made
  * @property {*} [result] - Result of successful operation
  * @property {Error} [error] - Last error if failed
+ * @property {boolean} [aborted] - True if retrying stopped because the signal was aborted
  */
 
+/**
+ * @typedef {Object} RetryDelayOptions
+ * @property {number} [delay=1000] - Base delay between retries in ms
+ * @property {number} [maxDelay=Infinity] - Upper bound for a single delay in ms
+ * @property {'fixed' | 'exponential'} [backoff='fixed'] - Keep the delay fixed or multiply it by factor after every attempt
+ * @property {number} [factor=2] - Multiplier for exponential backoff
+ * @property {'none' | 'full' | 'decorrelated'} [jitter='none'] - Randomization of the delay
+ * @property {Function} [random=Math.random] - Random number source in [0, 1)
+ */
+
+/**
+ * Error thrown by an operation to signal that retrying cannot help,
+ * e.g. because a cluster is missing. Not retried by the default shouldRetry
+ *
+ * @class NonRetryableError
+ * @extends Error
+ */
+class NonRetryableError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'NonRetryableError';
+  }
+}
+
+/**
+ * Error used when a single attempt exceeds its timeout
+ *
+ * @class RetryTimeoutError
+ * @extends Error
+ */
+class RetryTimeoutError extends Error {
+  /**
+   * @param {number} timeout - Attempt timeout in ms
+   */
+  constructor(timeout) {
+    super(`Attempt timed out after ${timeout}ms`);
+    this.name = 'RetryTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Default retry predicate, retries everything except NonRetryableError
+ *
+ * @param {Error} error - Error of the failed attempt
+ * @returns {boolean} True if the operation should be retried
+ */
+function isRetryableError(error) {
+  return !(error instanceof NonRetryableError);
+}
+
+/**
+ * Computes the delay before the next attempt
+ * Full jitter picks a delay between 0 and the backoff delay, decorrelated
+ * jitter picks one between the base delay and three times the previous delay,
+ * growing on its own without the backoff option. Every delay is capped at maxDelay
+ *
+ * @param {number} attempt - Number of the attempt that just failed, starting at 1
+ * @param {number} previousDelay - Delay used before this attempt, the base delay for the first one
+ * @param {RetryDelayOptions} [options] - Delay options
+ * @returns {number} Delay in ms
+ */
+function computeRetryDelay(attempt, previousDelay, options = {}) {
+  const delay = options.delay ?? 1000;
+  const maxDelay = options.maxDelay ?? Infinity;
+  const factor = options.factor ?? 2;
+  const random = options.random ?? Math.random;
+
+  if (options.jitter === 'decorrelated') {
+    const upper = Math.max(delay, previousDelay * 3);
+    return Math.min(maxDelay, delay + random() * (upper - delay));
+  }
+
+  const backoffDelay = options.backoff === 'exponential'
+    ? delay * factor ** (attempt - 1)
+    : delay;
+  const cappedDelay = Math.min(maxDelay, backoffDelay);
+
+  if (options.jitter === 'full') {
+    return random() * cappedDelay;
+  }
+  return cappedDelay;
+}
+
+/**
+ * Returns the error to report for an aborted signal
+ *
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} Abort reason, or a generic AbortError
+ */
+function abortError(signal) {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  const error = new Error('Retry aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Waits for a delay, rejecting early when the signal is aborted
+ *
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs a single attempt, failing with RetryTimeoutError if it takes longer than timeout
+ *
+ * @param {Function} operation - Async function to execute
+ * @param {number} attempt - Attempt number, passed to the operation
+ * @param {number} [timeout] - Attempt timeout in ms, no timeout if omitted
+ * @returns {Promise<*>} Result of the operation
+ */
+async function runAttempt(operation, attempt, timeout) {
+  if (!(timeout > 0)) {
+    return operation(attempt);
+  }
+
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new RetryTimeoutError(timeout)), timeout);
+  });
+
+  try {
+    return await Promise.race([operation(attempt), timedOut]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 /**
  * Executes an operation with retry logic
  * 
- * @param {Function} operation - Async function to execute
- * @param {Object} options - Retry options
- * @param {number} [options.maxRetries=3] - Maximum number of retry attempts
- * @param {number} [options.delay=1000] - Delay between retries in ms
- * @param {Function} [options.onRetry] - Callback called before each retry
+ * @param {Function} operation - Async function to execute, called with the attempt number
+ * @param {Object} options - Retry options, including the RetryDelayOptions
+ * @param {number} [options.maxRetries=3] - Maximum number of attempts
+ * @param {number} [options.delay=1000] - Base delay between retries in ms
+ * @param {number} [options.timeout] - Timeout for a single attempt in ms
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @param {Function} [options.shouldRetry] - Called with the error, return false to stop retrying
+ * @param {Function} [options.onRetry] - Callback called before each retry with the attempt, error and delay
  * @returns {Promise<RetryResult>} Result of the operation
  */
 async function withRetry(operation, options = {}) {
   const maxRetries = options.maxRetries ?? 3;
-  const delay = options.delay ?? 1000;
+  const shouldRetry = options.shouldRetry ?? isRetryableError;
   const onRetry = options.onRetry ?? (() => {});
+  const { signal } = options;
 
   let lastError;
   let attempts = 0;
+  let delay = options.delay ?? 1000;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    if (signal?.aborted) {
+      return {
+        success: false,
+        attempts,
+        error: abortError(signal),
+        aborted: true,
+      };
+    }
+
     attempts = attempt;
     try {
-      const result = await operation();
+      const result = await runAttempt(operation, attempt, options.timeout);
       return {
         success: true,
         attempts,
@@ -45,11 +214,24 @@ async function withRetry(operation, options = {}) {
     } catch (error) {
       lastError = error;
 
-      if (attempt < maxRetries) {
-        onRetry(attempt, error);
-        if (delay > 0) {
-          await new Promise(resolve => setTimeout(resolve, delay));
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        break;
+      }
+
+      delay = computeRetryDelay(attempt, delay, options);
+      onRetry(attempt, error, delay);
+
+      try {
+        if (delay > 0 || signal) {
+          await sleep(delay, signal);
         }
+      } catch (abortReason) {
+        return {
+          success: false,
+          attempts,
+          error: abortReason,
+          aborted: true,
+        };
       }
     }
   }
@@ -95,6 +277,10 @@ function withRetrySync(operation, maxRetries = 3) {
 }
 
 module.exports = {
+  NonRetryableError,
+  RetryTimeoutError,
+  isRetryableError,
+  computeRetryDelay,
   withRetry,
   withRetrySync,
 };
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Sensor status
+ * Builds the per-device status returned by the app Web API
+ *
+ * @module lib/sensor-status
+ */
+
+/**
+ * Default number of recent state transitions included in a status
+ * @type {number}
+ */
+const RECENT_TRANSITIONS = 20;
+
+/**
+ * Ids of the drivers whose devices are presence sensors, for the Web API and the occupancy zones
+ * @type {string[]}
+ */
+const SENSOR_DRIVERS = ['mtd085zb', 'occupancy_sensor'];
+
+/**
+ * Gets the stable id of a sensor from its device data
+ * Zigbee devices are paired with a token, other data is serialized as a fallback
+ *
+ * @param {Object} data - Device data, as returned by getData()
+ * @returns {string} Sensor id
+ */
+function getSensorId(data) {
+  if (data && data.token !== undefined) {
+    return String(data.token);
+  }
+  if (data && data.id !== undefined) {
+    return String(data.id);
+  }
+  return JSON.stringify(data ?? null);
+}
+
+/**
+ * Error thrown for a sensor that Homey lists but that is not initialized yet
+ *
+ * @class SensorInitializingError
+ * @extends Error
+ */
+class SensorInitializingError extends Error {
+  /**
+   * @param {string} id - Sensor id
+   */
+  constructor(id) {
+    super(`Sensor is initializing, try again later: ${id}`);
+    this.name = 'SensorInitializingError';
+    this.sensorId = id;
+  }
+}
+
+/**
+ * Error thrown when a sensor cannot be reconfigured because it is enrolling
+ *
+ * @class SensorEnrollingError
+ * @extends Error
+ */
+class SensorEnrollingError extends Error {
+  /**
+   * @param {string} id - Sensor id
+   */
+  constructor(id) {
+    super(`Sensor is enrolling, try again later: ${id}`);
+    this.name = 'SensorEnrollingError';
+    this.sensorId = id;
+  }
+}
+
+/**
+ * @typedef {Object} SensorStatus
+ * @property {string} id - Sensor id
+ * @property {string} name - Device name
+ * @property {boolean} available - Whether the device is available
+ * @property {boolean|null} presence - Current presence, null if unknown
+ * @property {Object<string, *>} capabilities - Capability values by capability id
+ * @property {string|null} enrollmentState - IAS Zone enrollment state, null for sensors without IAS Zone
+ * @property {string|null} lastReportAt - ISO time of the last frame received, null if none since startup
+ * @property {Array<{time: string, message: string}>} transitions - Recent state transitions, oldest first
+ * @property {Object<string, number>} counters - Diagnostic entries recorded per type
+ */
+
+/**
+ * Builds the status of a sensor
+ *
+ * @param {Object} sensor - Sensor details
+ * @param {string} sensor.id - Sensor id
+ * @param {string} sensor.name - Device name
+ * @param {boolean} sensor.available - Whether the device is available
+ * @param {Object<string, *>} sensor.capabilities - Capability values by capability id
+ * @param {string|null} sensor.enrollmentState - IAS Zone enrollment state, null for sensors without IAS Zone
+ * @param {number|null} sensor.lastReportAt - Time in ms of the last frame received
+ * @param {import('./diagnostics').DiagnosticsLog} sensor.diagnostics - Diagnostics log of the device
+ * @param {number} [limit=RECENT_TRANSITIONS] - Maximum number of transitions to include
+ * @returns {SensorStatus} Status
+ */
+function buildSensorStatus(sensor, limit = RECENT_TRANSITIONS) {
+  const transitions = sensor.diagnostics.entries()
+    .filter(entry => entry.type === 'state')
+    .slice(-limit)
+    .map(entry => ({
+      time: new Date(entry.time).toISOString(),
+      message: entry.message,
+    }));
+
+  return {
+    id: sensor.id,
+    name: sensor.name,
+    available: sensor.available,
+    presence: sensor.capabilities.alarm_motion ?? null,
+    capabilities: { ...sensor.capabilities },
+    enrollmentState: sensor.enrollmentState,
+    lastReportAt: sensor.lastReportAt == null ? null : new Date(sensor.lastReportAt).toISOString(),
+    transitions: limit > 0 ? transitions : [],
+    counters: sensor.diagnostics.counts(),
+  };
+}
+
+module.exports = {
+  RECENT_TRANSITIONS,
+  SENSOR_DRIVERS,
+  SensorInitializingError,
+  SensorEnrollingError,
+  getSensorId,
+  buildSensorStatus,
+};
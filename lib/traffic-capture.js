@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Traffic capture
+ * Records the frames a sensor sends as JSON lines, so the traffic of a
+ * misbehaving sensor can be attached to a bug report and replayed offline
+ *
+ * A capture starts with a header line, followed by one line per frame:
+ *
+ *   {"capture":1,"startedAt":"...","device":{...},"settings":{...}}
+ *   {"time":"...","cluster":"iasZone","command":"zoneStatusChangeNotification","payload":{...}}
+ *   {"time":"...","cluster":"iasZone","attribute":"zoneStatus","payload":{"zoneStatus":1}}
+ *
+ * Buffers and Zigbee bitmaps are stored in their JSON form, {"type":"Buffer","data":[...]}
+ *
+ * @module lib/traffic-capture
+ */
+
+/**
+ * Version of the capture format, written to the header
+ * @type {number}
+ */
+const CAPTURE_VERSION = 1;
+
+/**
+ * Default number of frames kept per capture
+ * @type {number}
+ */
+const CAPTURE_CAPACITY = 1000;
+
+/**
+ * Error thrown when a capture cannot be parsed
+ *
+ * @class CaptureFormatError
+ * @extends Error
+ */
+class CaptureFormatError extends Error {
+  /**
+   * @param {number} line - Line number, starting at 1
+   * @param {string} message - What is wrong with the line
+   */
+  constructor(line, message) {
+    super(`Capture line ${line}: ${message}`);
+    this.name = 'CaptureFormatError';
+    this.line = line;
+  }
+}
+
+/**
+ * @typedef {Object} CaptureFrame
+ * @property {string} cluster - Cluster name, e.g. iasZone or tuya
+ * @property {string} [command] - Command received, e.g. zoneStatusChangeNotification or readAttributes
+ * @property {string} [attribute] - Attribute reported, for attribute reports
+ * @property {Object} payload - Command arguments or attribute values
+ */
+
+/**
+ * @typedef {CaptureFrame & {time: number}} CaptureRecord
+ * A frame with the time in ms it was received
+ */
+
+/**
+ * @typedef {Object} CaptureHeader
+ * @property {number} startedAt - Time in ms the capture started
+ * @property {Object} device - Device details, e.g. modelId and manufacturerName
+ * @property {Object<string, *>} settings - Device settings at the time of the export
+ */
+
+/**
+ * @typedef {Object} TrafficCapture
+ * @property {function(CaptureFrame): CaptureRecord} record - Records a frame, dropping the oldest when full
+ * @property {function(): CaptureRecord[]} records - Records, oldest first
+ * @property {function(): number} size - Number of records
+ * @property {function(): number} startedAt - Time in ms the capture started
+ * @property {function(): void} clear - Removes all records and starts the capture again
+ */
+
+/**
+ * Creates an in-memory capture
+ * Payloads are copied through JSON when recorded, so later changes do not affect the capture
+ *
+ * @param {Object} [options] - Capture options
+ * @param {number} [options.capacity=CAPTURE_CAPACITY] - Maximum number of frames
+ * @param {Function} [options.now=Date.now] - Clock returning the current time in ms
+ * @returns {TrafficCapture} Capture
+ * @throws {RangeError} If the capacity is not a positive integer
+ */
+function createTrafficCapture({ capacity = CAPTURE_CAPACITY, now = Date.now } = {}) {
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new RangeError(`Capture capacity must be a positive integer, got ${capacity}`);
+  }
+
+  let records = [];
+  let startedAt = now();
+
+  return {
+    record({ cluster, command, attribute, payload }) {
+      const record = { time: now(), cluster };
+      if (command !== undefined) {
+        record.command = command;
+      } else {
+        record.attribute = attribute;
+      }
+      record.payload = JSON.parse(JSON.stringify(payload ?? {}));
+
+      records.push(record);
+      if (records.length > capacity) {
+        records.shift();
+      }
+      return record;
+    },
+
+    records() {
+      return [...records];
+    },
+
+    size() {
+      return records.length;
+    },
+
+    startedAt() {
+      return startedAt;
+    },
+
+    clear() {
+      records = [];
+      startedAt = now();
+    },
+  };
+}
+
+/**
+ * Formats a capture as JSON lines
+ *
+ * @param {CaptureHeader} header - Capture header
+ * @param {CaptureRecord[]} records - Records, oldest first
+ * @returns {string} Header line and one line per record
+ */
+function formatCapture({ startedAt, device, settings }, records) {
+  const lines = [
+    JSON.stringify({ capture: CAPTURE_VERSION, startedAt: new Date(startedAt).toISOString(), device, settings }),
+    ...records.map(record => JSON.stringify({ ...record, time: new Date(record.time).toISOString() })),
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Turns the JSON form of a Buffer back into a Buffer
+ *
+ * @param {string} key - Property name
+ * @param {*} value - Parsed value
+ * @returns {*} Buffer or the value itself
+ */
+function reviveBuffer(key, value) {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+  return value;
+}
+
+/**
+ * Parses a time written by formatCapture
+ *
+ * @param {*} value - ISO time
+ * @param {number} line - Line number, for the error
+ * @returns {number} Time in ms
+ * @throws {CaptureFormatError} If the time is invalid
+ */
+function parseTime(value, line) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (!Number.isFinite(time)) {
+    throw new CaptureFormatError(line, `invalid time ${JSON.stringify(value)}`);
+  }
+  return time;
+}
+
+/**
+ * Parses a capture written by formatCapture
+ * Blank lines are skipped, Buffers are restored
+ *
+ * @param {string} text - JSON lines
+ * @returns {{header: CaptureHeader, records: CaptureRecord[]}} Header and records, oldest first
+ * @throws {CaptureFormatError} If a line is not valid JSON, the header is missing or a record is incomplete
+ */
+function parseCapture(text) {
+  let header = null;
+  const records = [];
+
+  text.split(/\r?\n/).forEach((source, index) => {
+    const line = index + 1;
+    if (source.trim() === '') {
+      return;
+    }
+
+    let value;
+    try {
+      value = JSON.parse(source, reviveBuffer);
+    } catch (error) {
+      throw new CaptureFormatError(line, error.message);
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new CaptureFormatError(line, 'expected an object');
+    }
+
+    if (header === null) {
+      if (value.capture !== CAPTURE_VERSION) {
+        throw new CaptureFormatError(line, `expected a version ${CAPTURE_VERSION} capture header`);
+      }
+      header = {
+        startedAt: parseTime(value.startedAt, line),
+        device: value.device ?? {},
+        settings: value.settings ?? {},
+      };
+      return;
+    }
+
+    const { time, cluster, command, attribute, payload } = value;
+    if (typeof cluster !== 'string') {
+      throw new CaptureFormatError(line, 'missing cluster');
+    }
+    if ((typeof command === 'string') === (typeof attribute === 'string')) {
+      throw new CaptureFormatError(line, 'expected either a command or an attribute');
+    }
+    if (!payload || typeof payload !== 'object') {
+      throw new CaptureFormatError(line, 'missing payload');
+    }
+
+    const record = { time: parseTime(time, line), cluster };
+    if (command !== undefined) {
+      record.command = command;
+    } else {
+      record.attribute = attribute;
+    }
+    record.payload = payload;
+    records.push(record);
+  });
+
+  if (header === null) {
+    throw new CaptureFormatError(1, 'empty capture');
+  }
+
+  return { header, records };
+}
+
+module.exports = {
+  CAPTURE_VERSION,
+  CAPTURE_CAPACITY,
+  CaptureFormatError,
+  createTrafficCapture,
+  formatCapture,
+  parseCapture,
+};
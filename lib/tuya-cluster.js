@@ -0,0 +1,132 @@
+'use strict';
+
+const { Cluster, ZCLDataTypes } = require('zigbee-clusters');
+const {
+  TUYA_CLUSTER_ID,
+  TUYA_COMMANDS,
+  encodeDatapoints,
+  decodeDatapoints,
+} = require('./tuya-datapoint');
+
+/**
+ * Tuya Specific Cluster (0xEF00)
+ * Registers the Tuya private cluster with zigbee-clusters so that zclNode
+ * exposes it as `clusters.tuya` on the device endpoint
+ *
+ * @module lib/tuya-cluster
+ */
+
+/**
+ * Command arguments shared by all datapoint commands
+ * The datapoint records are kept as a raw buffer and handled by lib/tuya-datapoint
+ */
+const DATAPOINT_ARGS = {
+  seq: ZCLDataTypes.uint16,
+  datapoints: ZCLDataTypes.buffer,
+};
+
+const ATTRIBUTES = {};
+
+const COMMANDS = {
+  setData: {
+    id: TUYA_COMMANDS.setData,
+    args: DATAPOINT_ARGS,
+  },
+  dataResponse: {
+    id: TUYA_COMMANDS.dataResponse,
+    args: DATAPOINT_ARGS,
+  },
+  dataReport: {
+    id: TUYA_COMMANDS.dataReport,
+    args: DATAPOINT_ARGS,
+  },
+  dataQuery: {
+    id: TUYA_COMMANDS.dataQuery,
+  },
+};
+
+/**
+ * @class TuyaSpecificCluster
+ * @extends Cluster
+ *
+ * Emits `datapoints` with (datapoints, { seq, command }) for every
+ * dataReport and dataResponse received from the device, and
+ * `datapointError` with the error when a payload cannot be decoded
+ */
+class TuyaSpecificCluster extends Cluster {
+  static get ID() {
+    return TUYA_CLUSTER_ID;
+  }
+
+  static get NAME() {
+    return 'tuya';
+  }
+
+  static get ATTRIBUTES() {
+    return ATTRIBUTES;
+  }
+
+  static get COMMANDS() {
+    return COMMANDS;
+  }
+
+  /**
+   * Sends datapoints to the device with the setData command
+   *
+   * @param {number} seq - 16-bit sequence number
+   * @param {import('./tuya-datapoint').Datapoint[]} datapoints - Datapoints to send
+   * @returns {Promise<void>}
+   */
+  async writeDatapoints(seq, datapoints) {
+    await this.setData({
+      seq,
+      datapoints: encodeDatapoints(datapoints),
+    }, { waitForResponse: false });
+  }
+
+  /**
+   * Asks the device to report the current value of all its datapoints
+   *
+   * @returns {Promise<void>}
+   */
+  async queryDatapoints() {
+    await this.dataQuery({}, { waitForResponse: false });
+  }
+
+  /**
+   * Handles incoming dataReport commands
+   *
+   * @param {Object} payload - Command payload
+   */
+  onDataReport(payload) {
+    this.emitDatapoints('dataReport', payload);
+  }
+
+  /**
+   * Handles incoming dataResponse commands
+   *
+   * @param {Object} payload - Command payload
+   */
+  onDataResponse(payload) {
+    this.emitDatapoints('dataResponse', payload);
+  }
+
+  /**
+   * Decodes the datapoint records of a payload and emits them
+   *
+   * @param {string} command - Name of the received command
+   * @param {Object} payload - Command payload with seq and datapoints buffer
+   */
+  emitDatapoints(command, payload) {
+    try {
+      const datapoints = decodeDatapoints(payload.datapoints);
+      this.emit('datapoints', datapoints, { seq: payload.seq, command });
+    } catch (error) {
+      this.emit('datapointError', error);
+    }
+  }
+}
+
+Cluster.addCluster(TuyaSpecificCluster);
+
+module.exports = TuyaSpecificCluster;
@@ -0,0 +1,338 @@
+'use strict';
+
+/**
+ * Tuya Datapoint Codec for the private 0xEF00 cluster
+ * Encodes and decodes the datapoint frames Tuya devices use for their
+ * manufacturer specific data (distance, illuminance, sensitivity, ...)
+ *
+ * A frame payload is a 16-bit sequence number followed by one or more
+ * datapoint records:
+ *
+ *   [dp: uint8][type: uint8][length: uint16 BE][data: length bytes]
+ *
+ * @module lib/tuya-datapoint
+ */
+
+/**
+ * Tuya cluster identifier (0xEF00)
+ */
+const TUYA_CLUSTER_ID = 0xEF00;
+
+/**
+ * Tuya cluster command identifiers
+ */
+const TUYA_COMMANDS = {
+  setData: 0x00,
+  dataResponse: 0x01,
+  dataReport: 0x02,
+  dataQuery: 0x03,
+};
+
+/**
+ * Tuya datapoint types
+ */
+const DATAPOINT_TYPES = {
+  raw: 0x00,
+  bool: 0x01,
+  value: 0x02,
+  string: 0x03,
+  enum: 0x04,
+  bitmap: 0x05,
+};
+
+/**
+ * Size of a datapoint record header (dp, type, length)
+ */
+const DATAPOINT_HEADER_LENGTH = 4;
+
+/**
+ * Size of the sequence number preceding the datapoint records
+ */
+const SEQUENCE_LENGTH = 2;
+
+/**
+ * @typedef {'raw' | 'bool' | 'value' | 'string' | 'enum' | 'bitmap'} DatapointTypeName
+ */
+
+/**
+ * @typedef {Object} Datapoint
+ * @property {number} dp - Datapoint identifier (0-255)
+ * @property {DatapointTypeName} type - Datapoint type
+ * @property {boolean|number|string|Buffer} value - Decoded datapoint value
+ */
+
+/**
+ * @typedef {Object} DatapointFrame
+ * @property {number} seq - 16-bit sequence number
+ * @property {Datapoint[]} datapoints - Datapoints carried in the frame
+ */
+
+/**
+ * Looks up the type name for a numeric datapoint type
+ *
+ * @param {number} typeId - Numeric datapoint type
+ * @returns {DatapointTypeName|undefined} Type name, or undefined if unknown
+ */
+function getTypeName(typeId) {
+  return Object.keys(DATAPOINT_TYPES).find(name => DATAPOINT_TYPES[name] === typeId);
+}
+
+/**
+ * Returns the smallest bitmap width (1, 2 or 4 bytes) that can hold the value
+ *
+ * @param {number} value - Bitmap value
+ * @returns {number} Width in bytes
+ */
+function getBitmapLength(value) {
+  if (value <= 0xFF) return 1;
+  if (value <= 0xFFFF) return 2;
+  return 4;
+}
+
+/**
+ * Encodes a datapoint value into its data bytes
+ *
+ * @param {DatapointTypeName} type - Datapoint type
+ * @param {boolean|number|string|Buffer} value - Value to encode
+ * @returns {Buffer} Encoded data bytes
+ * @throws {TypeError} If the value does not fit the datapoint type
+ */
+function encodeValue(type, value) {
+  switch (type) {
+    case 'bool':
+      if (typeof value !== 'boolean') {
+        throw new TypeError(`bool datapoint expects a boolean, got ${typeof value}`);
+      }
+      return Buffer.from([value ? 1 : 0]);
+
+    case 'value': {
+      if (!Number.isInteger(value) || value < -0x80000000 || value > 0x7FFFFFFF) {
+        throw new TypeError(`value datapoint expects a 32-bit integer, got ${value}`);
+      }
+      const data = Buffer.alloc(4);
+      data.writeInt32BE(value, 0);
+      return data;
+    }
+
+    case 'enum':
+      if (!Number.isInteger(value) || value < 0 || value > 0xFF) {
+        throw new TypeError(`enum datapoint expects an integer 0-255, got ${value}`);
+      }
+      return Buffer.from([value]);
+
+    case 'bitmap': {
+      if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+        throw new TypeError(`bitmap datapoint expects an unsigned 32-bit integer, got ${value}`);
+      }
+      const length = getBitmapLength(value);
+      const data = Buffer.alloc(length);
+      data.writeUIntBE(value, 0, length);
+      return data;
+    }
+
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new TypeError(`string datapoint expects a string, got ${typeof value}`);
+      }
+      return Buffer.from(value, 'utf8');
+
+    case 'raw':
+      if (!Buffer.isBuffer(value)) {
+        throw new TypeError('raw datapoint expects a Buffer');
+      }
+      return Buffer.from(value);
+
+    default:
+      throw new TypeError(`Unknown datapoint type: ${type}`);
+  }
+}
+
+/**
+ * Decodes datapoint data bytes into a value
+ *
+ * @param {DatapointTypeName} type - Datapoint type
+ * @param {Buffer} data - Data bytes
+ * @returns {boolean|number|string|Buffer} Decoded value
+ * @throws {RangeError} If the data length is invalid for the type
+ */
+function decodeValue(type, data) {
+  switch (type) {
+    case 'bool':
+      if (data.length !== 1) {
+        throw new RangeError(`bool datapoint must be 1 byte, got ${data.length}`);
+      }
+      return data[0] !== 0;
+
+    case 'value':
+      if (data.length !== 4) {
+        throw new RangeError(`value datapoint must be 4 bytes, got ${data.length}`);
+      }
+      return data.readInt32BE(0);
+
+    case 'enum':
+      if (data.length !== 1) {
+        throw new RangeError(`enum datapoint must be 1 byte, got ${data.length}`);
+      }
+      return data[0];
+
+    case 'bitmap':
+      if (![1, 2, 4].includes(data.length)) {
+        throw new RangeError(`bitmap datapoint must be 1, 2 or 4 bytes, got ${data.length}`);
+      }
+      return data.readUIntBE(0, data.length);
+
+    case 'string':
+      return data.toString('utf8');
+
+    case 'raw':
+    default:
+      return Buffer.from(data);
+  }
+}
+
+/**
+ * Encodes a single datapoint record
+ *
+ * @param {Datapoint} datapoint - Datapoint to encode
+ * @returns {Buffer} Encoded datapoint record
+ * @throws {TypeError} If the datapoint is invalid
+ */
+function encodeDatapoint(datapoint) {
+  const { dp, type, value } = datapoint || {};
+
+  if (!Number.isInteger(dp) || dp < 0 || dp > 0xFF) {
+    throw new TypeError(`Datapoint id must be an integer 0-255, got ${dp}`);
+  }
+  if (DATAPOINT_TYPES[type] === undefined) {
+    throw new TypeError(`Unknown datapoint type: ${type}`);
+  }
+
+  const data = encodeValue(type, value);
+  if (data.length > 0xFFFF) {
+    throw new RangeError(`Datapoint ${dp} data exceeds 65535 bytes`);
+  }
+
+  const header = Buffer.alloc(DATAPOINT_HEADER_LENGTH);
+  header.writeUInt8(dp, 0);
+  header.writeUInt8(DATAPOINT_TYPES[type], 1);
+  header.writeUInt16BE(data.length, 2);
+
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Encodes a list of datapoints into consecutive datapoint records
+ *
+ * @param {Datapoint[]} datapoints - Datapoints to encode
+ * @returns {Buffer} Encoded datapoint records
+ */
+function encodeDatapoints(datapoints) {
+  return Buffer.concat(datapoints.map(encodeDatapoint));
+}
+
+/**
+ * Decodes consecutive datapoint records
+ *
+ * @param {Buffer} buffer - Buffer containing one or more datapoint records
+ * @returns {Datapoint[]} Decoded datapoints
+ * @throws {RangeError} If a record is truncated or malformed
+ * @throws {TypeError} If a record has an unknown datapoint type
+ */
+function decodeDatapoints(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new TypeError('Datapoint records must be a Buffer');
+  }
+
+  const datapoints = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    if (buffer.length - offset < DATAPOINT_HEADER_LENGTH) {
+      throw new RangeError(`Truncated datapoint header at offset ${offset}`);
+    }
+
+    const dp = buffer.readUInt8(offset);
+    const typeId = buffer.readUInt8(offset + 1);
+    const length = buffer.readUInt16BE(offset + 2);
+    const type = getTypeName(typeId);
+
+    if (type === undefined) {
+      throw new TypeError(`Unknown datapoint type 0x${typeId.toString(16)} for datapoint ${dp}`);
+    }
+
+    const start = offset + DATAPOINT_HEADER_LENGTH;
+    const end = start + length;
+    if (end > buffer.length) {
+      throw new RangeError(`Truncated data for datapoint ${dp}: expected ${length} bytes`);
+    }
+
+    datapoints.push({
+      dp,
+      type,
+      value: decodeValue(type, buffer.subarray(start, end)),
+    });
+    offset = end;
+  }
+
+  return datapoints;
+}
+
+/**
+ * Encodes a complete frame payload (sequence number and datapoints)
+ * Sequence numbers are little-endian like every other ZCL uint16
+ *
+ * @param {DatapointFrame} frame - Frame to encode
+ * @returns {Buffer} Encoded frame payload
+ */
+function encodeFrame(frame) {
+  const { seq, datapoints } = frame;
+
+  if (!Number.isInteger(seq) || seq < 0 || seq > 0xFFFF) {
+    throw new TypeError(`Sequence number must be an integer 0-65535, got ${seq}`);
+  }
+
+  const header = Buffer.alloc(SEQUENCE_LENGTH);
+  header.writeUInt16LE(seq, 0);
+
+  return Buffer.concat([header, encodeDatapoints(datapoints)]);
+}
+
+/**
+ * Decodes a complete frame payload (sequence number and datapoints)
+ *
+ * @param {Buffer} buffer - Frame payload
+ * @returns {DatapointFrame} Decoded frame
+ * @throws {RangeError} If the payload is truncated
+ */
+function decodeFrame(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < SEQUENCE_LENGTH) {
+    throw new RangeError('Frame payload must contain a 16-bit sequence number');
+  }
+
+  return {
+    seq: buffer.readUInt16LE(0),
+    datapoints: decodeDatapoints(buffer.subarray(SEQUENCE_LENGTH)),
+  };
+}
+
+/**
+ * Returns the sequence number following the given one, wrapping at 16 bits
+ *
+ * @param {number} seq - Current sequence number
+ * @returns {number} Next sequence number
+ */
+function nextSequenceNumber(seq) {
+  return (seq + 1) & 0xFFFF;
+}
+
+module.exports = {
+  TUYA_CLUSTER_ID,
+  TUYA_COMMANDS,
+  DATAPOINT_TYPES,
+  encodeDatapoint,
+  encodeDatapoints,
+  decodeDatapoints,
+  encodeFrame,
+  decodeFrame,
+  nextSequenceNumber,
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const { parseZoneStatus } = require('./zone-status-parser');
+
+/**
+ * Zone Alarms for IAS Zone devices
+ * Maps the tamper, trouble, AC mains and battery bits of the zone status to
+ * Homey alarm capabilities and the flow cards that announce them
+ *
+ * @module lib/zone-alarms
+ */
+
+/**
+ * @typedef {Object} ZoneAlarmDefinition
+ * @property {string} capability - Homey alarm capability
+ * @property {string} trigger - Flow card triggered when the alarm turns on
+ * @property {Function} fromStatus - Derives the alarm from a parsed zone status
+ */
+
+/**
+ * Zone alarm capabilities, in the order they are evaluated
+ *
+ * @type {ZoneAlarmDefinition[]}
+ */
+const ZONE_ALARMS = [
+  {
+    capability: 'alarm_tamper',
+    trigger: 'tamper_detected',
+    fromStatus: status => status.tamper,
+  },
+  {
+    capability: 'alarm_generic',
+    trigger: 'trouble_detected',
+    fromStatus: status => status.trouble || status.acMains,
+  },
+  {
+    capability: 'alarm_battery',
+    trigger: 'battery_low',
+    fromStatus: status => status.battery,
+  },
+];
+
+/**
+ * All zone alarm capabilities
+ */
+const ZONE_ALARM_CAPABILITIES = ZONE_ALARMS.map(({ capability }) => capability);
+
+/**
+ * Maps a zone status to alarm capability values
+ *
+ * @param {number|Buffer|Object} zoneStatus - Zone status value
+ * @param {import('./zone-status-parser').ZoneStatusOptions} [options] - Parse options
+ * @returns {Object<string, boolean>} Alarm values keyed by capability
+ */
+function mapZoneAlarms(zoneStatus, options = {}) {
+  const status = parseZoneStatus(zoneStatus, options);
+  return ZONE_ALARMS.reduce((alarms, { capability, fromStatus }) => {
+    alarms[capability] = fromStatus(status);
+    return alarms;
+  }, {});
+}
+
+/**
+ * @typedef {Object} ZoneAlarmChange
+ * @property {string} capability - Alarm capability that changed
+ * @property {boolean} value - New alarm value
+ * @property {string|null} trigger - Flow card to trigger, null when the alarm turned off
+ */
+
+/**
+ * Determines which alarm capabilities changed and which flow cards to trigger
+ *
+ * @param {Object<string, boolean|null>} previousAlarms - Current capability values (null if unknown)
+ * @param {Object<string, boolean>} newAlarms - Alarm values from mapZoneAlarms
+ * @returns {ZoneAlarmChange[]} Changed alarms
+ */
+function determineZoneAlarmChanges(previousAlarms, newAlarms) {
+  return ZONE_ALARMS
+    .filter(({ capability }) => previousAlarms[capability] !== newAlarms[capability])
+    .map(({ capability, trigger }) => ({
+      capability,
+      value: newAlarms[capability],
+      trigger: newAlarms[capability] ? trigger : null,
+    }));
+}
+
+module.exports = {
+  ZONE_ALARMS,
+  ZONE_ALARM_CAPABILITIES,
+  mapZoneAlarms,
+  determineZoneAlarmChanges,
+};
@@ -3,10 +3,36 @@
 /**
  * Zone Status Parser for IAS Zone cluster
  * Parses the 16-bit zone status bitmap from Zigbee IAS Zone devices
- * 
+ *
  * @module lib/zone-status-parser
  */
 
+/**
+ * Zone status bit masks, keyed by the field names used by zigbee-clusters
+ */
+const ZONE_STATUS_BITS = {
+  alarm1: 0x0001,
+  alarm2: 0x0002,
+  tamper: 0x0004,
+  battery: 0x0008,
+  supervisionReports: 0x0010,
+  restoreReports: 0x0020,
+  trouble: 0x0040,
+  acMains: 0x0080,
+  test: 0x0100,
+  batteryDefect: 0x0200,
+};
+
+/**
+ * Mask of the reserved bits 10-15
+ */
+const RESERVED_MASK = 0xFC00;
+
+/**
+ * Zone status bits that can be used as the presence bit
+ */
+const PRESENCE_BITS = ['alarm1', 'alarm2'];
+
 /**
  * @typedef {Object} ParsedZoneStatus
  * @property {boolean} alarm1 - Bit 0: Zone alarm 1 (presence detected)
@@ -17,98 +43,168 @@
  * @property {boolean} restoreReports - Bit 5: Restore reports
  * @property {boolean} trouble - Bit 6: Trouble
  * @property {boolean} acMains - Bit 7: AC mains fault
+ * @property {boolean} test - Bit 8: Test mode
+ * @property {boolean} batteryDefect - Bit 9: Battery defect
+ * @property {number} reserved - Bits 10-15: Reserved bits, masked but not shifted
  */
 
+/**
+ * @typedef {Object} ZoneStatusOptions
+ * @property {boolean} [strict=false] - Throw a ZoneStatusParseError on unparseable input instead of returning 0
+ * @property {'alarm1' | 'alarm2'} [presenceBit='alarm1'] - Zone status bit that indicates presence
+ */
+
+/**
+ * Error thrown in strict mode when a zone status cannot be parsed
+ *
+ * @class ZoneStatusParseError
+ * @extends Error
+ */
+class ZoneStatusParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {*} zoneStatus - The input that could not be parsed
+   */
+  constructor(message, zoneStatus) {
+    super(message);
+    this.name = 'ZoneStatusParseError';
+    this.zoneStatus = zoneStatus;
+  }
+}
+
+/**
+ * Reads a little-endian zone status from a Buffer
+ * Buffers shorter than 2 bytes are rejected in strict mode and read as far as possible otherwise
+ *
+ * @param {Buffer} buffer - Buffer holding the zone status
+ * @param {Function} fail - Called with a message when the buffer is too short
+ * @returns {number} Zone status as a number
+ */
+function readZoneStatusBuffer(buffer, fail) {
+  if (buffer.length >= 2) {
+    return buffer.readUInt16LE(0);
+  }
+  const fallback = fail(`Zone status buffer must be at least 2 bytes, got ${buffer.length}`);
+  return buffer.length === 1 ? buffer[0] : fallback;
+}
+
 /**
  * Converts zone status to a number, handling Buffer input and Homey Bitmap objects
- * 
+ *
  * @param {number|Buffer|Object} zoneStatus - Zone status value (number, Buffer, or Bitmap)
+ * @param {ZoneStatusOptions} [options] - Parse options
  * @returns {number} Zone status as a number
+ * @throws {ZoneStatusParseError} In strict mode, if the input cannot be parsed
  */
-function toZoneStatusNumber(zoneStatus) {
+function toZoneStatusNumber(zoneStatus, options = {}) {
+  const fail = (message) => {
+    if (options.strict) {
+      throw new ZoneStatusParseError(message, zoneStatus);
+    }
+    return 0;
+  };
+
   if (typeof zoneStatus === 'number') {
+    if (options.strict && (!Number.isInteger(zoneStatus) || zoneStatus < 0 || zoneStatus > 0xFFFF)) {
+      return fail(`Zone status must be a 16-bit unsigned integer, got ${zoneStatus}`);
+    }
     return zoneStatus;
   }
   if (Buffer.isBuffer(zoneStatus)) {
     // Little-endian 16-bit value
-    return zoneStatus.readUInt16LE(0);
+    return readZoneStatusBuffer(zoneStatus, fail);
   }
   if (zoneStatus && zoneStatus.type === 'Buffer' && Array.isArray(zoneStatus.data)) {
     // Handle serialized Buffer format from interview
-    return Buffer.from(zoneStatus.data).readUInt16LE(0);
+    return readZoneStatusBuffer(Buffer.from(zoneStatus.data), fail);
   }
-  
+
   // Handle Homey Bitmap objects
   if (zoneStatus && typeof zoneStatus === 'object') {
+    // Bitmap instances from zigbee-clusters carry all 16 bits, including reserved ones
+    if (typeof zoneStatus.toBuffer === 'function' && zoneStatus.length === 2) {
+      const buffer = Buffer.alloc(2);
+      zoneStatus.toBuffer(buffer, 0);
+      return buffer.readUInt16LE(0);
+    }
+
     // Check if it's a Homey Bitmap with alarm1 property
     if (zoneStatus.alarm1 !== undefined) {
       let status = 0;
-      if (zoneStatus.alarm1) status |= 0x0001;
-      if (zoneStatus.alarm2) status |= 0x0002;
-      if (zoneStatus.tamper) status |= 0x0004;
-      if (zoneStatus.battery) status |= 0x0008;
-      if (zoneStatus.supervisionReports) status |= 0x0010;
-      if (zoneStatus.restoreReports) status |= 0x0020;
-      if (zoneStatus.trouble) status |= 0x0040;
-      if (zoneStatus.acMains) status |= 0x0080;
+      for (const [field, mask] of Object.entries(ZONE_STATUS_BITS)) {
+        if (zoneStatus[field]) status |= mask;
+      }
+      if (typeof zoneStatus.reserved === 'number') {
+        status |= zoneStatus.reserved & RESERVED_MASK;
+      }
       return status;
     }
-    
+
     // Check if it has a valueOf method (some Bitmap implementations)
     if (typeof zoneStatus.valueOf === 'function') {
       const value = zoneStatus.valueOf();
       if (typeof value === 'number') {
-        return value;
+        return toZoneStatusNumber(value, options);
       }
     }
-    
+
     // Check if it has a raw value property
     if (zoneStatus.raw !== undefined && typeof zoneStatus.raw === 'number') {
-      return zoneStatus.raw;
+      return toZoneStatusNumber(zoneStatus.raw, options);
     }
   }
-  
-  return 0;
+
+  return fail(`Unparseable zone status: ${String(zoneStatus)}`);
 }
 
 /**
  * Parses a 16-bit IAS Zone status value into individual status flags
- * 
- * @param {number|Buffer} zoneStatus - 16-bit zone status value
+ *
+ * @param {number|Buffer|Object} zoneStatus - 16-bit zone status value
+ * @param {ZoneStatusOptions} [options] - Parse options
  * @returns {ParsedZoneStatus} Parsed status object with boolean flags
+ * @throws {ZoneStatusParseError} In strict mode, if the input cannot be parsed
  */
-function parseZoneStatus(zoneStatus) {
-  const status = toZoneStatusNumber(zoneStatus);
-  return {
-    alarm1: (status & 0x0001) !== 0,
-    alarm2: (status & 0x0002) !== 0,
-    tamper: (status & 0x0004) !== 0,
-    battery: (status & 0x0008) !== 0,
-    supervisionReports: (status & 0x0010) !== 0,
-    restoreReports: (status & 0x0020) !== 0,
-    trouble: (status & 0x0040) !== 0,
-    acMains: (status & 0x0080) !== 0,
-  };
+function parseZoneStatus(zoneStatus, options = {}) {
+  const status = toZoneStatusNumber(zoneStatus, options);
+  const parsed = {};
+  for (const [field, mask] of Object.entries(ZONE_STATUS_BITS)) {
+    parsed[field] = (status & mask) !== 0;
+  }
+  parsed.reserved = status & RESERVED_MASK;
+  return parsed;
 }
 
 /**
  * Checks if presence is detected based on zone status
- * Presence is indicated by the alarm1 bit (bit 0)
- * 
- * @param {number|Buffer} zoneStatus - 16-bit zone status value
- * @returns {boolean} True if presence is detected (alarm1 bit is set)
+ * Presence is indicated by the alarm1 bit (bit 0) unless another presence bit is configured
+ *
+ * @param {number|Buffer|Object} zoneStatus - 16-bit zone status value
+ * @param {ZoneStatusOptions} [options] - Parse options
+ * @returns {boolean} True if presence is detected (presence bit is set)
+ * @throws {TypeError} If the configured presence bit is not supported
+ * @throws {ZoneStatusParseError} In strict mode, if the input cannot be parsed
  */
-function isPresenceDetected(zoneStatus) {
+function isPresenceDetected(zoneStatus, options = {}) {
+  const presenceBit = options.presenceBit ?? 'alarm1';
+  if (!PRESENCE_BITS.includes(presenceBit)) {
+    throw new TypeError(`Unsupported presence bit: ${presenceBit}`);
+  }
+
   // Handle Homey Bitmap objects directly
-  if (zoneStatus && typeof zoneStatus === 'object' && zoneStatus.alarm1 !== undefined) {
-    return Boolean(zoneStatus.alarm1);
+  if (zoneStatus && typeof zoneStatus === 'object' && zoneStatus[presenceBit] !== undefined) {
+    return Boolean(zoneStatus[presenceBit]);
   }
-  
-  const status = toZoneStatusNumber(zoneStatus);
-  return (status & 0x0001) !== 0;
+
+  const status = toZoneStatusNumber(zoneStatus, options);
+  return (status & ZONE_STATUS_BITS[presenceBit]) !== 0;
 }
 
 module.exports = {
+  ZONE_STATUS_BITS,
+  PRESENCE_BITS,
+  ZoneStatusParseError,
+  toZoneStatusNumber,
   parseZoneStatus,
   isPresenceDetected,
 };
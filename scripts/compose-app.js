@@ -0,0 +1,146 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Homey Compose Build
+ * Generates app.json from the compose files, and the flow card titles of
+ * every locale from the flow cards, so adding a card is a one-file change
+ *
+ *   .homeycompose/app.json                     App details, permissions and Web API
+ *   .homeycompose/capabilities/<id>.json       Custom capabilities
+ *   .homeycompose/flow/triggers/<id>.json      Flow cards, also conditions/ and actions/
+ *   drivers/<id>/driver.compose.json           Driver with its settings and fingerprint
+ *
+ * The id of a capability, flow card or driver is its file or folder name.
+ * Edit the compose files, never app.json or the flow section of the locales.
+ *
+ * Usage: npm run build
+ */
+
+const ROOT = path.join(__dirname, '..');
+const FLOW_CARD_TYPES = ['triggers', 'conditions', 'actions'];
+
+/**
+ * Reads a JSON file
+ *
+ * @param {string} file - Path of the file
+ * @returns {*} Parsed content
+ * @throws {Error} If the file is not valid JSON, naming the file
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid compose file ${path.relative(ROOT, file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads the JSON files of a directory, sorted by id
+ *
+ * @param {string} dir - Directory, may not exist
+ * @returns {Array<{id: string, content: *}>} Content per file, with the file name as id
+ */
+function readJsonDir(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ id: path.basename(file, '.json'), content: readJson(path.join(dir, file)) }));
+}
+
+/**
+ * Composes the app manifest
+ *
+ * @param {string} [root] - App directory
+ * @returns {Object} Manifest as written to app.json
+ */
+function composeManifest(root = ROOT) {
+  const composeDir = path.join(root, '.homeycompose');
+  const { api, ...app } = readJson(path.join(composeDir, 'app.json'));
+
+  const capabilities = Object.fromEntries(
+    readJsonDir(path.join(composeDir, 'capabilities')).map(({ id, content }) => [id, content])
+  );
+
+  const driversDir = path.join(root, 'drivers');
+  const drivers = fs.readdirSync(driversDir)
+    .filter(id => fs.existsSync(path.join(driversDir, id, 'driver.compose.json')))
+    .sort()
+    .map(id => ({ id, ...readJson(path.join(driversDir, id, 'driver.compose.json')) }));
+
+  const flow = Object.fromEntries(FLOW_CARD_TYPES.map(type => [
+    type,
+    readJsonDir(path.join(composeDir, 'flow', type)).map(({ id, content }) => ({ id, ...content })),
+  ]));
+
+  return { ...app, capabilities, drivers, flow, ...(api ? { api } : {}) };
+}
+
+/**
+ * Turns a flow card title into plain text by keeping the first choice of
+ * each !{{...|...}} group, e.g. "Motion !{{is|is not}} detected" becomes
+ * "Motion is detected"
+ *
+ * @param {string} title - Flow card title
+ * @returns {string} Plain title
+ */
+function plainTitle(title) {
+  return title.replace(/!\{\{([^|}]*)\|[^}]*\}\}/g, '$1');
+}
+
+/**
+ * Composes the flow section of a locale from the flow card titles
+ * Falls back to the English title for a language a card is not translated to
+ *
+ * @param {Object} manifest - Composed manifest
+ * @param {string} language - Language code, e.g. nl
+ * @returns {Object} Flow section, keyed by card type and card id
+ */
+function composeLocaleFlow(manifest, language) {
+  return Object.fromEntries(FLOW_CARD_TYPES.map(type => [
+    type,
+    Object.fromEntries(manifest.flow[type].map(({ id, title }) => [
+      id,
+      { title: plainTitle(title[language] ?? title.en) },
+    ])),
+  ]));
+}
+
+/**
+ * Writes app.json and the flow section of every locale
+ *
+ * @param {string} [root] - App directory
+ * @returns {Object} Composed manifest
+ */
+function build(root = ROOT) {
+  const manifest = composeManifest(root);
+  fs.writeFileSync(path.join(root, 'app.json'), JSON.stringify(manifest, null, 2));
+
+  const localesDir = path.join(root, 'locales');
+  for (const { id: language, content: locale } of readJsonDir(localesDir)) {
+    locale.flow = composeLocaleFlow(manifest, language);
+    fs.writeFileSync(path.join(localesDir, `${language}.json`), `${JSON.stringify(locale, null, 2)}\n`);
+  }
+
+  return manifest;
+}
+
+module.exports = {
+  FLOW_CARD_TYPES,
+  composeManifest,
+  composeLocaleFlow,
+  plainTitle,
+  build,
+};
+
+if (require.main === module) {
+  const manifest = build();
+  const cards = FLOW_CARD_TYPES.reduce((count, type) => count + manifest.flow[type].length, 0);
+  console.log(`Composed app.json with ${manifest.drivers.length} drivers and ${cards} flow cards`);
+}
@@ -0,0 +1,25 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getModelIds, getManufacturerNames } = require('../lib/fingerprints');
+const { build } = require('./compose-app');
+
+/**
+ * Fingerprint Manifest Sync
+ * Writes the fingerprint registry from lib/fingerprints into the zigbee
+ * section of the mtd085zb driver compose file, and rebuilds app.json
+ *
+ * Usage: npm run sync:fingerprints
+ */
+
+const COMPOSE_PATH = path.join(__dirname, '..', 'drivers', 'mtd085zb', 'driver.compose.json');
+
+const driver = JSON.parse(fs.readFileSync(COMPOSE_PATH, 'utf-8'));
+
+driver.zigbee.manufacturerName = getManufacturerNames();
+driver.zigbee.productId = getModelIds();
+
+fs.writeFileSync(COMPOSE_PATH, `${JSON.stringify(driver, null, 2)}\n`);
+build();
+console.log(`Synced ${driver.zigbee.manufacturerName.length} manufacturer names to driver.compose.json and app.json`);
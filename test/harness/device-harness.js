@@ -0,0 +1,213 @@
+/**
+ * Harness running the sensor devices and the app against the fake Homey environment
+ * Replaces homey-zigbeedriver in the require cache with FakeZigBeeDevice, and
+ * resolves the homey module, which Homey provides at runtime, to the fake
+ * Homey.App and Homey.Device before loading drivers/<driver>/device.js or
+ * app.js, so the real code runs unchanged. Use vi.useFakeTimers() to control
+ * the device timers.
+ */
+
+import Module, { createRequire } from 'module';
+import { FIRST_INIT, FakeHomey, FakeHomeyApp, FakeZigBeeDevice, getDefaultSettings } from './fake-homey.js';
+import { createFakeZclNode } from './fake-zcl-node.js';
+import { SENSOR_CHANGED_EVENT } from '../../lib/occupancy-zone.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Zigbee settings Homey adds to every paired device
+ * @type {Object<string, string>}
+ */
+export const ZIGBEE_SETTINGS = {
+  zb_product_id: 'TS0225',
+  zb_manufacturer_name: '_TZ321C_fkzihax8',
+};
+
+const deviceClasses = new Map();
+
+/**
+ * Module id the fake homey module is cached under
+ * @type {string}
+ */
+const HOMEY_MODULE = 'homey';
+
+/**
+ * Puts the fake homey and homey-zigbeedriver modules in the require cache
+ */
+function installFakeModules() {
+  const driverPath = require.resolve('homey-zigbeedriver');
+  require.cache[driverPath] = {
+    id: driverPath,
+    filename: driverPath,
+    loaded: true,
+    exports: { ZigBeeDevice: FakeZigBeeDevice },
+  };
+
+  if (!require.cache[HOMEY_MODULE]) {
+    const resolveFilename = Module._resolveFilename;
+    Module._resolveFilename = function resolveHomey(request, ...args) {
+      return request === HOMEY_MODULE ? HOMEY_MODULE : resolveFilename.call(this, request, ...args);
+    };
+    require.cache[HOMEY_MODULE] = {
+      id: HOMEY_MODULE,
+      filename: HOMEY_MODULE,
+      loaded: true,
+      exports: { App: FakeHomeyApp, Device: FakeZigBeeDevice },
+    };
+  }
+}
+
+/**
+ * Loads the app class with the fake homey module
+ *
+ * @returns {Function} App class, MTD085ZBApp
+ */
+export function loadApp() {
+  installFakeModules();
+  return require('../../app.js');
+}
+
+/**
+ * Loads the device class of a driver with the fake homey and homey-zigbeedriver
+ *
+ * @param {string} [driver='mtd085zb'] - Driver id
+ * @returns {Function} Device class, e.g. MTD085ZBDevice
+ */
+export function loadDevice(driver = 'mtd085zb') {
+  if (!deviceClasses.has(driver)) {
+    installFakeModules();
+    deviceClasses.set(driver, require(`../../drivers/${driver}/device.js`));
+  }
+  return deviceClasses.get(driver);
+}
+
+/**
+ * Creates a device with a fake Homey and zclNode
+ * The device is created like Homey restores a paired device; call init() to
+ * run onNodeInit, and dispose() when done so no timers are left behind
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.driver='mtd085zb'] - Driver id of the device
+ * @param {Object<string, *>} [options.settings] - Settings on top of the manifest defaults
+ * @param {Object<string, *>} [options.store] - Store values
+ * @param {boolean} [options.firstInit=false] - Whether the device was just paired, so onNodeInit runs for the first time
+ * @param {string[]} [options.capabilities] - Capabilities, the manifest capabilities if omitted
+ * @param {Object<string, *>} [options.capabilityValues] - Capability values
+ * @param {Object} [options.iasZone] - Options of the fake IAS Zone cluster, null to leave it out
+ * @param {Object} [options.tuya] - Options of the fake Tuya cluster, null to leave it out
+ * @param {Object} [options.occupancySensing] - Options of the fake Occupancy Sensing cluster, null to leave it out
+ * @param {Object} [options.illuminanceMeasurement] - Options of the fake Illuminance Measurement cluster, null to leave it out
+ * @param {Object} [options.homey] - Options of the fake Homey
+ * @returns {Object} Harness with device, homey, zclNode, the fake clusters, init and dispose
+ */
+export function createDeviceHarness({
+  driver = 'mtd085zb',
+  settings = {},
+  store = {},
+  firstInit = false,
+  capabilities,
+  capabilityValues = {},
+  iasZone,
+  tuya,
+  occupancySensing,
+  illuminanceMeasurement,
+  homey: homeyOptions,
+} = {}) {
+  const Device = loadDevice(driver);
+  const homey = new FakeHomey(homeyOptions);
+  const node = createFakeZclNode({ iasZone, tuya, occupancySensing, illuminanceMeasurement });
+
+  const device = new Device({
+    homey,
+    driverId: driver,
+    settings: { ...getDefaultSettings(driver), ...ZIGBEE_SETTINGS, ...settings },
+    store: firstInit ? store : { [FIRST_INIT]: false, ...store },
+    capabilities: capabilities ?? [...Device.CAPABILITIES],
+    capabilityValues,
+  });
+  homey.app.devices.push(device);
+
+  return {
+    ...node,
+    device,
+    homey,
+    // Like homey-zigbeedriver, the node counts as initialized once onNodeInit completed
+    init: async () => {
+      await device.onNodeInit({ zclNode: node.zclNode });
+      await device.setStoreValue(FIRST_INIT, false);
+    },
+    dispose: () => device.onUninit(),
+  };
+}
+
+/**
+ * Creates an occupancy zone with member sensors in a fake Homey
+ * The sensors are bare fake devices whose presence and availability the test
+ * sets with changeSensor, which notifies the zone like a sensor does. Call
+ * init() to run onInit, and dispose() when done so no timers are left behind
+ *
+ * @param {Object} [options] - Options
+ * @param {Array<boolean|null>} [options.sensors=[false]] - Presence of the member sensors, ids sensor-1, sensor-2, ...
+ * @param {Object<string, *>} [options.settings] - Zone settings on top of the manifest defaults
+ * @param {Object<string, *>} [options.capabilityValues] - Zone capability values
+ * @returns {Object} Harness with zone, sensors, homey, changeSensor, deleteSensor, init and dispose
+ */
+export function createZoneHarness({ sensors: presence = [false], settings = {}, capabilityValues = {} } = {}) {
+  const Zone = loadDevice('occupancy_zone');
+  const homey = new FakeHomey();
+
+  const sensors = presence.map((value, i) => new FakeZigBeeDevice({
+    homey,
+    data: { token: `sensor-${i + 1}` },
+    capabilities: ['alarm_motion'],
+    capabilityValues: { alarm_motion: value },
+  }));
+  homey.app.devices.push(...sensors);
+
+  const zone = new Zone({
+    homey,
+    driverId: 'occupancy_zone',
+    name: 'Zone',
+    data: { id: 'zone-1' },
+    settings: { ...getDefaultSettings('occupancy_zone'), ...settings },
+    store: { sensors: sensors.map(sensor => sensor.getData().token) },
+    capabilities: ['alarm_motion'],
+    capabilityValues,
+  });
+
+  return {
+    zone,
+    sensors,
+    homey,
+    /**
+     * Sets the presence and availability of a sensor and notifies the zone
+     *
+     * @param {number} index - Index of the sensor
+     * @param {Object} change - Change
+     * @param {boolean|null} [change.presence] - New presence
+     * @param {boolean} [change.available] - New availability
+     */
+    changeSensor: async (index, { presence: value, available } = {}) => {
+      const sensor = sensors[index];
+      if (value !== undefined) {
+        await sensor.setCapabilityValue('alarm_motion', value);
+      }
+      if (available !== undefined) {
+        await (available ? sensor.setAvailable() : sensor.setUnavailable());
+      }
+      homey.app.emit(SENSOR_CHANGED_EVENT, sensor.getData().token);
+    },
+    /**
+     * Deletes a sensor from Homey and notifies the zone
+     *
+     * @param {number} index - Index of the sensor
+     */
+    deleteSensor: (index) => {
+      const sensor = sensors[index];
+      homey.app.devices.splice(homey.app.devices.indexOf(sensor), 1);
+      homey.app.emit(SENSOR_CHANGED_EVENT, sensor.getData().token);
+    },
+    init: () => zone.onInit(),
+    dispose: () => zone.onUninit(),
+  };
+}
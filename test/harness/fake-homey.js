@@ -0,0 +1,382 @@
+/**
+ * Fake Homey environment for driving devices under vitest
+ * Provides the parts of the Homey SDK and homey-zigbeedriver the MTD085-ZB
+ * device uses: settings, store, capabilities, availability, flow cards,
+ * notifications, the clock and the Zigbee network. Flow cards and
+ * translations are checked against app.json and locales/en.json, so a device
+ * using a card or message that does not exist fails the test.
+ */
+
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+/**
+ * App manifest, for the flow cards and the default device settings
+ * @type {Object}
+ */
+export const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'app.json'), 'utf8'));
+
+const locale = JSON.parse(fs.readFileSync(path.join(ROOT, 'locales/en.json'), 'utf8'));
+
+/**
+ * Gets the default settings of a driver from the manifest
+ *
+ * @param {string} driverId - Driver id
+ * @returns {Object<string, *>} Setting values by setting id
+ */
+export function getDefaultSettings(driverId) {
+  const driver = manifest.drivers.find(({ id }) => id === driverId);
+  const settings = {};
+
+  const collect = (entries) => {
+    for (const entry of entries) {
+      if (entry.type === 'group') {
+        collect(entry.children);
+      } else if (entry.id) {
+        settings[entry.id] = entry.value;
+      }
+    }
+  };
+  collect(driver.settings || []);
+
+  return settings;
+}
+
+/**
+ * Fake flow card
+ * Records every trigger and keeps the run listener, so tests can run it
+ */
+export class FakeFlowCard {
+  constructor(type, id, device, triggered) {
+    this.type = type;
+    this.id = id;
+    this.device = device;
+    this.runListener = null;
+    this.triggered = triggered;
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  /**
+   * Triggers the card, with the device first for device trigger cards
+   *
+   * @returns {Promise<void>}
+   */
+  async trigger(...args) {
+    const [device, tokens = {}, state = {}] = this.device ? args : [null, ...args];
+    this.triggered.push({ id: this.id, device, tokens, state });
+  }
+
+  /**
+   * Runs the registered run listener like Homey does for a flow using the card
+   *
+   * @param {Object} args - Card arguments
+   * @param {Object} [state] - Trigger state
+   * @returns {Promise<*>} Result of the run listener
+   */
+  async run(args, state = {}) {
+    if (!this.runListener) {
+      throw new Error(`No run listener registered for flow card: ${this.id}`);
+    }
+    return this.runListener(args, state);
+  }
+}
+
+/**
+ * Fake homey.flow
+ * Hands out one card per id and type, and rejects cards missing from the manifest
+ */
+export class FakeFlow {
+  constructor() {
+    this.cards = new Map();
+    this.triggered = [];
+  }
+
+  /**
+   * Gets a card, checking that a device trigger card has a device argument and an app trigger card has none
+   *
+   * @param {string} type - triggers, conditions or actions
+   * @param {string} id - Card id
+   * @param {boolean} device - Whether the card is triggered for a device
+   * @returns {FakeFlowCard} Card
+   * @throws {Error} If the card is not in the manifest or of the wrong kind
+   */
+  getCard(type, id, device) {
+    const definition = (manifest.flow[type] || []).find(card => card.id === id);
+    if (!definition) {
+      throw new Error(`Invalid flow card: ${type}/${id}`);
+    }
+
+    const hasDeviceArg = (definition.args || []).some(arg => arg.type === 'device');
+    if (type === 'triggers' && hasDeviceArg !== device) {
+      throw new Error(`Flow card ${id} is ${hasDeviceArg ? '' : 'not '}a device trigger card`);
+    }
+
+    const key = `${type}/${id}`;
+    if (!this.cards.has(key)) {
+      this.cards.set(key, new FakeFlowCard(type, id, device, this.triggered));
+    }
+    return this.cards.get(key);
+  }
+
+  getDeviceTriggerCard(id) {
+    return this.getCard('triggers', id, true);
+  }
+
+  getTriggerCard(id) {
+    return this.getCard('triggers', id, false);
+  }
+
+  getConditionCard(id) {
+    return this.getCard('conditions', id, false);
+  }
+
+  getActionCard(id) {
+    return this.getCard('actions', id, false);
+  }
+
+  /**
+   * Gets the ids of the triggered cards, in order
+   *
+   * @returns {string[]} Card ids
+   */
+  getTriggeredIds() {
+    return this.triggered.map(({ id }) => id);
+  }
+}
+
+/**
+ * Fake app instance, the event hub between sensors and occupancy zones
+ */
+export class FakeApp extends EventEmitter {
+  constructor() {
+    super();
+    this.devices = [];
+  }
+
+  getSensorDevices() {
+    return this.devices;
+  }
+}
+
+/**
+ * Fake Homey.App, the base class of app.js
+ */
+export class FakeHomeyApp extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {FakeHomey} options.homey - Homey instance
+   */
+  constructor({ homey }) {
+    super();
+    this.homey = homey;
+    this.logs = [];
+    this.errors = [];
+  }
+
+  log(...args) {
+    this.logs.push(args);
+  }
+
+  error(...args) {
+    this.errors.push(args);
+  }
+}
+
+/**
+ * Fake Homey instance, available to devices as this.homey
+ */
+export class FakeHomey {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.timeZone='UTC'] - Time zone of the clock
+   * @param {string} [options.ieeeAddress] - IEEE address of the Zigbee coordinator
+   */
+  constructor({ timeZone = 'UTC', ieeeAddress = '00:17:88:01:02:03:04:05' } = {}) {
+    this.flow = new FakeFlow();
+    this.app = new FakeApp();
+    this.notifications = {
+      created: [],
+      createNotification: async (notification) => {
+        this.notifications.created.push(notification);
+      },
+    };
+    this.clock = {
+      getTimezone: () => timeZone,
+    };
+    this.zigbee = {
+      getNetwork: async () => ({ ieeeAddress }),
+    };
+    this.drivers = {
+      getDriver: id => ({
+        getDevices: () => this.app.devices.filter(device => device.driverId === id),
+        ready: async () => {},
+      }),
+    };
+  }
+
+  /**
+   * Translates a key from locales/en.json, replacing __name__ placeholders
+   *
+   * @param {string} key - Dot separated key
+   * @param {Object<string, *>} [tokens] - Placeholder values
+   * @returns {string} Translation
+   * @throws {Error} If the key is missing
+   */
+  __(key, tokens = {}) {
+    const value = key.split('.').reduce((node, part) => (node ? node[part] : undefined), locale);
+    if (typeof value !== 'string') {
+      throw new Error(`Missing translation: ${key}`);
+    }
+    return value.replace(/__(\w+)__/g, (match, name) => (name in tokens ? String(tokens[name]) : match));
+  }
+}
+
+/**
+ * Store key homey-zigbeedriver sets to false once a node has been initialized
+ * @type {string}
+ */
+export const FIRST_INIT = 'zb_first_init';
+
+/**
+ * Fake ZigBeeDevice from homey-zigbeedriver
+ * Keeps settings, store and capability values in memory. Store values are
+ * copied through JSON like Homey persists them
+ */
+export class FakeZigBeeDevice extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {FakeHomey} options.homey - Homey instance
+   * @param {string} [options.driverId='mtd085zb'] - Id of the driver of the device
+   * @param {string} [options.name='Presence sensor'] - Device name
+   * @param {Object} [options.data] - Device data
+   * @param {Object<string, *>} [options.settings] - Device settings
+   * @param {Object<string, *>} [options.store] - Store values
+   * @param {string[]} [options.capabilities] - Capabilities of the device
+   * @param {Object<string, *>} [options.capabilityValues] - Capability values
+   */
+  constructor({
+    homey,
+    driverId = 'mtd085zb',
+    name = 'Presence sensor',
+    data = { token: 'sensor-1' },
+    settings = {},
+    store = {},
+    capabilities = [],
+    capabilityValues = {},
+  }) {
+    super();
+    this.homey = homey;
+    this.driverId = driverId;
+    this.name = name;
+    this.data = data;
+    this.settings = { ...settings };
+    this.store = JSON.parse(JSON.stringify(store));
+    this.capabilities = [...capabilities];
+    this.capabilityValues = { ...capabilityValues };
+    this.available = true;
+    this.unavailableMessage = null;
+    this.logs = [];
+    this.errors = [];
+  }
+
+  getName() {
+    return this.name;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getSetting(key) {
+    return this.settings[key] ?? null;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  isFirstInit() {
+    return this.getStoreValue(FIRST_INIT) !== false;
+  }
+
+  getStoreValue(key) {
+    return this.store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  async unsetStoreValue(key) {
+    delete this.store[key];
+  }
+
+  getCapabilities() {
+    return [...this.capabilities];
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  async addCapability(capability) {
+    if (!this.hasCapability(capability)) {
+      this.capabilities.push(capability);
+      this.capabilityValues[capability] = null;
+    }
+  }
+
+  async removeCapability(capability) {
+    this.capabilities = this.capabilities.filter(id => id !== capability);
+    delete this.capabilityValues[capability];
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilityValues[capability] ?? null;
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.hasCapability(capability)) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+    this.capabilityValues[capability] = value;
+  }
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+    this.unavailableMessage = null;
+  }
+
+  async setUnavailable(message = null) {
+    this.available = false;
+    this.unavailableMessage = message;
+  }
+
+  log(...args) {
+    this.logs.push(args);
+  }
+
+  error(...args) {
+    this.errors.push(args);
+  }
+
+  onDeleted() {
+    this.deleted = true;
+  }
+}
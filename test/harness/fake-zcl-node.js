@@ -0,0 +1,281 @@
+/**
+ * Fake zclNode with the IAS Zone and Tuya clusters of the MTD085-ZB, and the
+ * Occupancy Sensing and Illuminance Measurement clusters of the occupancy sensors
+ * The clusters answer like the sensor does: the IAS Zone cluster sends a zone
+ * enroll request once its CIE address is written and enrolls on the response,
+ * the Tuya cluster reports written datapoints back when queried. Calls are
+ * recorded and failures can be injected per command.
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * How the fake sensor enrolls
+ * - request: sends a zone enroll request after the CIE address is written
+ * - silent: sends no request, but accepts an unsolicited enroll response
+ * - reject: never enrolls
+ * @typedef {'request' | 'silent' | 'reject'} EnrollBehaviour
+ */
+
+/**
+ * Base class of the fake clusters, recording calls and failing injected ones
+ */
+class FakeCluster extends EventEmitter {
+  constructor() {
+    super();
+    this.calls = [];
+    this.failures = new Map();
+  }
+
+  /**
+   * Makes the next calls of a command fail
+   *
+   * @param {string} command - Command or method name, e.g. readAttributes
+   * @param {number} [times=1] - Number of calls to fail, Infinity for all
+   * @param {Error} [error] - Error to reject with
+   */
+  fail(command, times = 1, error = new Error(`${command} timed out`)) {
+    this.failures.set(command, { times, error });
+  }
+
+  /**
+   * Records a call and throws if a failure was injected for it
+   *
+   * @param {string} command - Command or method name
+   * @param {Array} args - Call arguments
+   */
+  record(command, args) {
+    this.calls.push({ command, args });
+
+    const failure = this.failures.get(command);
+    if (failure && failure.times > 0) {
+      failure.times -= 1;
+      throw failure.error;
+    }
+  }
+
+  /**
+   * Gets the arguments of every call of a command
+   *
+   * @param {string} command - Command or method name
+   * @returns {Array<Array>} Arguments per call
+   */
+  callsOf(command) {
+    return this.calls.filter(call => call.command === command).map(({ args }) => args);
+  }
+}
+
+/**
+ * Fake IAS Zone cluster (0x0500)
+ */
+export class FakeIASZoneCluster extends FakeCluster {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.zoneStatus=0] - Initial zone status bitmap
+   * @param {string} [options.zoneState='notEnrolled'] - Initial zone state
+   * @param {EnrollBehaviour} [options.enroll='request'] - How the sensor enrolls
+   */
+  constructor({ zoneStatus = 0, zoneState = 'notEnrolled', enroll = 'request' } = {}) {
+    super();
+    this.attributes = { zoneStatus, zoneState, iasCIEAddress: null, zoneId: 255 };
+    this.enroll = enroll;
+  }
+
+  async readAttributes(names) {
+    this.record('readAttributes', [names]);
+    return Object.fromEntries(names.map(name => [name, this.attributes[name]]));
+  }
+
+  async writeAttributes(attributes) {
+    this.record('writeAttributes', [attributes]);
+    Object.assign(this.attributes, attributes);
+
+    if ('iasCIEAddress' in attributes && this.enroll === 'request') {
+      // The request arrives as a separate frame after the write response
+      Promise.resolve().then(() => this.onZoneEnrollRequest?.({ zoneType: 'motionSensor', manufacturerCode: 4417 }));
+    }
+  }
+
+  async configureReporting(attributes) {
+    this.record('configureReporting', [attributes]);
+  }
+
+  async zoneEnrollResponse(response) {
+    this.record('zoneEnrollResponse', [response]);
+
+    if (this.enroll !== 'reject' && response.enrollResponseCode === 'success') {
+      this.attributes.zoneState = 'enrolled';
+      this.attributes.zoneId = response.zoneId;
+    }
+  }
+
+  /**
+   * Sends a zone status change notification, like the sensor on a change
+   *
+   * @param {number} zoneStatus - Zone status bitmap
+   * @returns {Promise<void>} Resolves once the handler finished
+   */
+  async notifyZoneStatus(zoneStatus) {
+    this.attributes.zoneStatus = zoneStatus;
+    await this.onZoneStatusChangeNotification?.({ zoneStatus, extendedStatus: 0, zoneId: this.attributes.zoneId, delay: 0 });
+  }
+
+  /**
+   * Sends an attribute report of the zone status, like the sensor periodically
+   *
+   * @param {number} zoneStatus - Zone status bitmap
+   */
+  reportZoneStatus(zoneStatus) {
+    this.attributes.zoneStatus = zoneStatus;
+    this.emit('attr.zoneStatus', zoneStatus);
+  }
+}
+
+/**
+ * Fake Tuya cluster (0xEF00), see lib/tuya-cluster
+ */
+export class FakeTuyaCluster extends FakeCluster {
+  /**
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.confirm=true] - Whether queried datapoints are reported back
+   */
+  constructor({ confirm = true } = {}) {
+    super();
+    this.confirm = confirm;
+    this.datapoints = new Map();
+  }
+
+  async writeDatapoints(seq, datapoints) {
+    this.record('writeDatapoints', [seq, datapoints]);
+    for (const datapoint of datapoints) {
+      this.datapoints.set(datapoint.dp, datapoint);
+    }
+  }
+
+  async queryDatapoints() {
+    this.record('queryDatapoints', []);
+
+    if (this.confirm) {
+      Promise.resolve().then(() => this.report([...this.datapoints.values()], 'dataResponse'));
+    }
+  }
+
+  /**
+   * Reports datapoints, like the sensor on a change
+   *
+   * @param {import('../../lib/tuya-datapoint').Datapoint[]} datapoints - Datapoints to report
+   * @param {string} [command='dataReport'] - dataReport or dataResponse
+   * @param {number} [seq=0] - Sequence number of the frame
+   */
+  report(datapoints, command = 'dataReport', seq = 0) {
+    this.emit('datapoints', datapoints, { seq, command });
+  }
+}
+
+/**
+ * Fake Occupancy Sensing cluster (0x0406)
+ */
+export class FakeOccupancySensingCluster extends FakeCluster {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.occupancy=0] - Initial occupancy bitmap
+   * @param {string} [options.occupancySensorType='pirAndUltrasonic'] - Sensor type
+   * @param {boolean} [options.confirm=true] - Whether written attributes are stored, so they read back
+   */
+  constructor({ occupancy = 0, occupancySensorType = 'pirAndUltrasonic', confirm = true } = {}) {
+    super();
+    this.attributes = {
+      occupancy,
+      occupancySensorType,
+      pirOccupiedToUnoccupiedDelay: 0,
+      pirUnoccupiedToOccupiedThreshold: 1,
+      ultrasonicOccupiedToUnoccupiedDelay: 0,
+      ultrasonicUnoccupiedToOccupiedThreshold: 1,
+    };
+    this.confirm = confirm;
+  }
+
+  async readAttributes(names) {
+    this.record('readAttributes', [names]);
+    return Object.fromEntries(names.map(name => [name, this.attributes[name]]));
+  }
+
+  async writeAttributes(attributes) {
+    this.record('writeAttributes', [attributes]);
+
+    if (this.confirm) {
+      Object.assign(this.attributes, attributes);
+    }
+  }
+
+  async configureReporting(attributes) {
+    this.record('configureReporting', [attributes]);
+  }
+
+  /**
+   * Sends an attribute report of the occupancy, like the sensor on a change
+   *
+   * @param {number} occupancy - Occupancy bitmap
+   */
+  reportOccupancy(occupancy) {
+    this.attributes.occupancy = occupancy;
+    this.emit('attr.occupancy', occupancy);
+  }
+}
+
+/**
+ * Fake Illuminance Measurement cluster (0x0400)
+ */
+export class FakeIlluminanceMeasurementCluster extends FakeCluster {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.measuredValue=0] - Initial measured value
+   */
+  constructor({ measuredValue = 0 } = {}) {
+    super();
+    this.attributes = { measuredValue };
+  }
+
+  async readAttributes(names) {
+    this.record('readAttributes', [names]);
+    return Object.fromEntries(names.map(name => [name, this.attributes[name]]));
+  }
+
+  async configureReporting(attributes) {
+    this.record('configureReporting', [attributes]);
+  }
+
+  /**
+   * Sends an attribute report of the measured value, like the sensor on a change
+   *
+   * @param {number} measuredValue - 10000 * log10(lux) + 1
+   */
+  reportMeasuredValue(measuredValue) {
+    this.attributes.measuredValue = measuredValue;
+    this.emit('attr.measuredValue', measuredValue);
+  }
+}
+
+/**
+ * Creates a fake zclNode with the clusters on endpoint 1
+ *
+ * @param {Object} [options] - Options
+ * @param {Object} [options.iasZone] - Options of the IAS Zone cluster, null to leave it out
+ * @param {Object} [options.tuya] - Options of the Tuya cluster, null to leave it out
+ * @param {Object} [options.occupancySensing=null] - Options of the Occupancy Sensing cluster, null to leave it out
+ * @param {Object} [options.illuminanceMeasurement=null] - Options of the Illuminance Measurement cluster, null to leave it out
+ * @returns {{zclNode: Object, iasZone: FakeIASZoneCluster|null, tuya: FakeTuyaCluster|null, occupancySensing: FakeOccupancySensingCluster|null, illuminanceMeasurement: FakeIlluminanceMeasurementCluster|null}} Node and clusters
+ */
+export function createFakeZclNode({ iasZone = {}, tuya = {}, occupancySensing = null, illuminanceMeasurement = null } = {}) {
+  const clusters = {
+    iasZone: iasZone === null ? null : new FakeIASZoneCluster(iasZone),
+    tuya: tuya === null ? null : new FakeTuyaCluster(tuya),
+    occupancySensing: occupancySensing === null ? null : new FakeOccupancySensingCluster(occupancySensing),
+    illuminanceMeasurement: illuminanceMeasurement === null ? null : new FakeIlluminanceMeasurementCluster(illuminanceMeasurement),
+  };
+
+  return {
+    zclNode: { endpoints: { 1: { clusters: { ...clusters } } } },
+    ...clusters,
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Replay runner for traffic captures
+ * Feeds the frames of a capture written by the device (see lib/traffic-capture)
+ * into a fresh device on the fake zclNode, at the same pace as they were
+ * received. Requires fake setTimeout, setInterval and Date, with a real
+ * setImmediate, as set up by the device tests.
+ */
+
+import { createRequire } from 'module';
+import { vi } from 'vitest';
+import { createDeviceHarness } from './device-harness.js';
+
+const require = createRequire(import.meta.url);
+const { parseCapture } = require('../../lib/traffic-capture.js');
+
+/**
+ * Lets every pending promise of the device settle
+ */
+export function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Delivers a captured frame to the fake cluster it was received on
+ * Read responses become the attribute values of the cluster, so the next
+ * read by the device returns them. Commands go to the on<Command> handler
+ * the device assigned, like zigbee-clusters does
+ *
+ * @param {Object} harness - Device harness
+ * @param {import('../../lib/traffic-capture').CaptureRecord} record - Captured frame
+ * @returns {Promise<void>}
+ */
+async function deliver(harness, { cluster, command, attribute, payload }) {
+  const target = harness[cluster];
+  if (!target) {
+    throw new Error(`Cannot replay frame of unknown cluster: ${cluster}`);
+  }
+
+  if (command === 'readAttributes') {
+    Object.assign(target.attributes, payload);
+  } else if (attribute !== undefined) {
+    target.attributes[attribute] = payload[attribute];
+    target.emit(`attr.${attribute}`, payload[attribute]);
+  } else if (cluster === 'tuya') {
+    target.report(payload.datapoints, command, payload.seq);
+  } else {
+    const handler = target[`on${command.charAt(0).toUpperCase()}${command.slice(1)}`];
+    if (handler) {
+      await handler.call(target, payload);
+    }
+  }
+
+  await flush();
+}
+
+/**
+ * Replays a capture against a new device
+ * The device starts with the settings of the capture header, and with the
+ * read responses that open the capture as cluster attributes
+ *
+ * @param {string} text - Capture as JSON lines
+ * @param {Object} [options] - Options
+ * @param {number} [options.advance=0] - Time in ms to run on after the last frame, e.g. for a clear delay
+ * @param {Object} [options.harness] - Further options of createDeviceHarness
+ * @returns {Promise<Object>} Device harness after the replay, dispose it when done
+ * @throws {import('../../lib/traffic-capture').CaptureFormatError} If the capture cannot be parsed
+ */
+export async function replayCapture(text, { advance = 0, harness: harnessOptions = {} } = {}) {
+  const { header, records } = parseCapture(text);
+  vi.setSystemTime(header.startedAt);
+
+  const harness = createDeviceHarness({
+    ...harnessOptions,
+    settings: { ...header.settings, ...harnessOptions.settings },
+  });
+
+  let index = 0;
+  while (index < records.length && records[index].command === 'readAttributes') {
+    await deliver(harness, records[index]);
+    index += 1;
+  }
+  await harness.init();
+
+  for (const record of records.slice(index)) {
+    await vi.advanceTimersByTimeAsync(Math.max(0, record.time - Date.now()));
+    await deliver(harness, record);
+  }
+
+  await vi.advanceTimersByTimeAsync(advance);
+  await flush();
+
+  return harness;
+}
@@ -0,0 +1,420 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 27: Device Lifecycle**
+ *
+ * *For any* initial zone status and sequence of zone status notifications and
+ * reports, the device running against a simulated Zigbee node SHALL add its
+ * capabilities, take the initial presence from a read without flow cards,
+ * commit presence to alarm_motion with one motion flow card per transition
+ * after the clear delay, enroll once initialized through a zone enroll request
+ * or a proactive response, become unavailable when offline and resynchronize when back
+ * online, and leave no timers, listeners or handlers behind once deleted.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { createDeviceHarness, loadDevice } from '../harness/device-harness.js';
+
+const MTD085ZBDevice = loadDevice();
+
+const PRESENT = 0b1;
+const TAMPER = 0b100;
+
+/**
+ * Lets every pending promise of the device settle
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Gets the ids of the motion flow cards triggered so far
+ */
+function motionTriggers(homey) {
+  return homey.flow.getTriggeredIds().filter(id => id === 'motion_detected' || id === 'motion_cleared');
+}
+
+describe('Property 27: Device Lifecycle', () => {
+  beforeEach(() => {
+    // setImmediate stays real so flush() can wait for the device
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+    vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('onNodeInit', () => {
+    it('adds missing capabilities and takes presence and alarms from the zone status', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 0, max: 0xFFFF }), async (zoneStatus) => {
+          const harness = createDeviceHarness({
+            capabilities: ['alarm_motion'],
+            iasZone: { zoneStatus },
+          });
+
+          await harness.init();
+
+          expect(harness.device.getCapabilities()).toEqual(expect.arrayContaining(MTD085ZBDevice.CAPABILITIES));
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe((zoneStatus & PRESENT) !== 0);
+          expect(harness.device.getCapabilityValue('alarm_tamper')).toBe((zoneStatus & TAMPER) !== 0);
+          expect(harness.iasZone.callsOf('configureReporting')).toHaveLength(1);
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('initializes presence from the first read without triggering flow cards', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 0, max: 0xFFFF }), fc.integer({ min: 0, max: 600 }), async (zoneStatus, clearDelay) => {
+          const harness = createDeviceHarness({
+            settings: { clear_delay: clearDelay },
+            iasZone: { zoneStatus },
+          });
+
+          await harness.init();
+
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe((zoneStatus & PRESENT) !== 0);
+          expect(harness.device.getCapabilityValue('presence_state')).toBe((zoneStatus & PRESENT) !== 0 ? 'moving' : 'none');
+          expect(harness.homey.flow.getTriggeredIds()).not.toContain('presence_state_changed');
+          expect(motionTriggers(harness.homey)).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('reports itself initialized only between onNodeInit and onUninit', async () => {
+      const harness = createDeviceHarness();
+      expect(harness.device.isInitialized()).toBe(false);
+
+      await harness.init();
+      expect(harness.device.isInitialized()).toBe(true);
+
+      await harness.dispose();
+      expect(harness.device.isInitialized()).toBe(false);
+    });
+
+    it('stays initialized when the presence cannot be read', async () => {
+      const harness = createDeviceHarness();
+      harness.iasZone.fail('readAttributes', Infinity);
+
+      const init = harness.init();
+      await vi.advanceTimersByTimeAsync(60000);
+      await init;
+
+      expect(harness.device.getCapabilityValue('alarm_motion')).toBe(null);
+      expect(harness.device.errors.map(([message]) => message)).toContain('Failed to read presence:');
+
+      await harness.dispose();
+    });
+  });
+
+  describe('zone status changes', () => {
+    // Generator for a presence frame, sent as notification or as attribute report
+    const frameArb = fc.record({
+      present: fc.boolean(),
+      tamper: fc.boolean(),
+      via: fc.constantFrom('notification', 'report'),
+    });
+
+    it('commits every presence change with one motion flow card per transition', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(frameArb, { maxLength: 20 }), async (frames) => {
+          const harness = createDeviceHarness();
+          await harness.init();
+          harness.homey.flow.triggered.length = 0;
+
+          const expected = [];
+          let presence = false;
+          for (const { present, tamper, via } of frames) {
+            const zoneStatus = (present ? PRESENT : 0) | (tamper ? TAMPER : 0);
+            if (via === 'notification') {
+              await harness.iasZone.notifyZoneStatus(zoneStatus);
+            } else {
+              harness.iasZone.reportZoneStatus(zoneStatus);
+              await flush();
+            }
+
+            if (present !== presence) {
+              expected.push(present ? 'motion_detected' : 'motion_cleared');
+              presence = present;
+            }
+            expect(harness.device.getCapabilityValue('alarm_motion')).toBe(present);
+            expect(harness.device.getCapabilityValue('alarm_tamper')).toBe(tamper);
+          }
+
+          expect(motionTriggers(harness.homey)).toEqual(expected);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('clears presence only after the clear delay', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 1, max: 600 }), async (clearDelay) => {
+          const harness = createDeviceHarness({ settings: { clear_delay: clearDelay } });
+          await harness.init();
+          harness.homey.flow.triggered.length = 0;
+
+          await harness.iasZone.notifyZoneStatus(PRESENT);
+          await harness.iasZone.notifyZoneStatus(0);
+
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000 - 1);
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe(true);
+
+          await vi.advanceTimersByTimeAsync(1);
+          await flush();
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe(false);
+          expect(motionTriggers(harness.homey)).toEqual(['motion_detected', 'motion_cleared']);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('keeps the presence state while the clear delay holds presence', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 1, max: 600 }), fc.constantFrom(1, 2), async (clearDelay, radarState) => {
+          const harness = createDeviceHarness({ settings: { clear_delay: clearDelay } });
+          await harness.init();
+
+          await harness.iasZone.notifyZoneStatus(PRESENT);
+          harness.tuya.report([{ dp: 1, type: 'enum', value: radarState }]);
+          await flush();
+          const held = harness.device.getCapabilityValue('presence_state');
+
+          harness.tuya.report([{ dp: 1, type: 'enum', value: 0 }]);
+          await harness.iasZone.notifyZoneStatus(0);
+          await flush();
+
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000 - 1);
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe(true);
+          expect(harness.device.getCapabilityValue('presence_state')).toBe(held);
+
+          await vi.advanceTimersByTimeAsync(1);
+          await flush();
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe(false);
+          expect(harness.device.getCapabilityValue('presence_state')).toBe('none');
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('enrollment', () => {
+    /**
+     * Runs onNodeInit and the enrollment it starts to completion, advancing the enrollment timers
+     */
+    async function initAndEnroll(harness) {
+      await harness.init();
+      await vi.advanceTimersByTimeAsync(120000);
+      await harness.device.enrollment;
+    }
+
+    it('enrolls when the sensor sends a zone enroll request', async () => {
+      const harness = createDeviceHarness({ iasZone: { enroll: 'request' } });
+      await initAndEnroll(harness);
+
+      expect(harness.iasZone.callsOf('writeAttributes')).toEqual([[{ iasCIEAddress: '00:17:88:01:02:03:04:05' }]]);
+      expect(harness.iasZone.callsOf('zoneEnrollResponse')).toEqual([[{ enrollResponseCode: 'success', zoneId: MTD085ZBDevice.IAS_ZONE_ID }]]);
+      expect(harness.device.enrollmentState).toBe('enrolled');
+      expect(harness.device.getStoreValue('enrollmentState')).toBe('enrolled');
+
+      await harness.dispose();
+    });
+
+    it('enrolls once initialized when Homey calls onAdded before onNodeInit', async () => {
+      const harness = createDeviceHarness({ iasZone: { enroll: 'request' } });
+
+      await harness.device.onAdded();
+      expect(harness.iasZone.calls).toEqual([]);
+
+      await initAndEnroll(harness);
+
+      expect(harness.iasZone.callsOf('zoneEnrollResponse')).toHaveLength(1);
+      expect(harness.device.enrollmentState).toBe('enrolled');
+      expect(harness.device.errors).toEqual([]);
+
+      await harness.dispose();
+    });
+
+    it('leaves a running enrollment alone when a second one starts', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.constantFrom('request', 'silent'), async (enroll) => {
+          const harness = createDeviceHarness({ iasZone: { enroll } });
+          await harness.init();
+          expect(harness.device.enrollmentState).toBe('pending');
+
+          const second = harness.device.configureIASZoneWithRetry().then(() => null, error => error);
+          await vi.advanceTimersByTimeAsync(120000);
+          await harness.device.enrollment;
+
+          expect((await second).name).toBe('EnrollmentTransitionError');
+          expect(harness.iasZone.callsOf('zoneEnrollResponse')).toHaveLength(1);
+          expect(harness.device.enrollmentState).toBe('enrolled');
+          expect(harness.device.getStoreValue('enrollmentState')).toBe('enrolled');
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('enrolls with a proactive response when the sensor sends no request', async () => {
+      const harness = createDeviceHarness({ iasZone: { enroll: 'silent' } });
+      await initAndEnroll(harness);
+
+      expect(harness.iasZone.callsOf('zoneEnrollResponse')).toHaveLength(1);
+      expect(harness.device.enrollmentState).toBe('enrolled');
+
+      await harness.dispose();
+    });
+
+    it('skips enrollment when the sensor is already enrolled', async () => {
+      const harness = createDeviceHarness({ iasZone: { zoneState: 'enrolled' } });
+      await initAndEnroll(harness);
+
+      expect(harness.iasZone.callsOf('writeAttributes')).toEqual([]);
+      expect(harness.device.enrollmentState).toBe('enrolled');
+
+      await harness.dispose();
+    });
+
+    it('does not enroll again once the sensor is enrolled', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.constantFrom('enrolled', 'direct-monitoring'), async (enrollmentState) => {
+          const harness = createDeviceHarness({ store: { enrollmentState } });
+          await initAndEnroll(harness);
+
+          expect(harness.iasZone.callsOf('readAttributes')).not.toContainEqual([['zoneState']]);
+          expect(harness.iasZone.callsOf('writeAttributes')).toEqual([]);
+          expect(harness.device.enrollmentState).toBe(enrollmentState);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('falls back to direct monitoring when the sensor never enrolls', async () => {
+      const harness = createDeviceHarness({ iasZone: { enroll: 'reject' } });
+      await initAndEnroll(harness);
+
+      expect(harness.iasZone.callsOf('zoneEnrollResponse')).toHaveLength(MTD085ZBDevice.MAX_RETRIES);
+      expect(harness.device.enrollmentState).toBe('direct-monitoring');
+
+      await harness.dispose();
+    });
+
+    it('posts the enrollment steps to the timeline in debug mode', async () => {
+      const harness = createDeviceHarness({ settings: { debug: true } });
+      await initAndEnroll(harness);
+
+      const excerpts = harness.homey.notifications.created.map(({ excerpt }) => excerpt);
+      expect(excerpts).toContain('Presence sensor: Zone state: notEnrolled');
+      expect(excerpts).toContain('Presence sensor: Device requested enrollment');
+
+      await harness.dispose();
+    });
+
+    it('keeps errors out of the timeline in debug mode', async () => {
+      const harness = createDeviceHarness({ settings: { debug: true }, iasZone: { enroll: 'reject' } });
+      await initAndEnroll(harness);
+
+      const excerpts = harness.homey.notifications.created.map(({ excerpt }) => excerpt);
+      const errors = harness.device.diagnostics.entries().filter(({ type }) => type === 'error');
+      expect(errors.length).toBeGreaterThan(0);
+      for (const { message } of errors) {
+        expect(excerpts).not.toContain(`Presence sensor: ${message}`);
+      }
+
+      await harness.dispose();
+    });
+  });
+
+  describe('onOffline and onOnline', () => {
+    it('marks the device unavailable and resynchronizes it when back online', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 0, max: 0xFFFF }), async (zoneStatus) => {
+          const harness = createDeviceHarness();
+          await harness.init();
+
+          const changed = [];
+          harness.homey.app.on('sensor_changed', id => changed.push(id));
+
+          await harness.device.onOffline();
+          expect(harness.device.getAvailable()).toBe(false);
+          expect(harness.device.unavailableMessage).toBe(harness.homey.__('device.unavailable'));
+
+          harness.iasZone.attributes.zoneStatus = zoneStatus;
+          const online = harness.device.onOnline();
+          await flush();
+          await online;
+
+          expect(harness.device.getAvailable()).toBe(true);
+          expect(changed).toContain('sensor-1');
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe((zoneStatus & PRESENT) !== 0);
+          expect(harness.tuya.callsOf('writeDatapoints')).toHaveLength(1);
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('stays online when the sensor does not confirm the radar settings', async () => {
+      const harness = createDeviceHarness({ tuya: { confirm: false } });
+      await harness.init();
+
+      const online = harness.device.onOnline();
+      await vi.advanceTimersByTimeAsync(MTD085ZBDevice.CONFIRM_TIMEOUT);
+      await online;
+
+      expect(harness.device.getAvailable()).toBe(true);
+      expect(harness.device.errors.map(([message]) => message)).toContain('Failed to re-apply radar settings:');
+
+      await harness.dispose();
+    });
+  });
+
+  describe('onDeleted', () => {
+    it('leaves no timers, listeners or handlers behind', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.boolean(), fc.integer({ min: 0, max: 600 }), async (present, clearDelay) => {
+          const harness = createDeviceHarness({ settings: { clear_delay: clearDelay } });
+          await harness.init();
+          await harness.iasZone.notifyZoneStatus(present ? PRESENT : 0);
+          await harness.iasZone.notifyZoneStatus(0);
+
+          await harness.device.onDeleted();
+          // Let the request of the cancelled enrollment that was in flight settle
+          await flush();
+
+          expect(vi.getTimerCount()).toBe(0);
+          expect(harness.iasZone.listenerCount('attr.zoneStatus')).toBe(0);
+          expect(harness.iasZone.onZoneStatusChangeNotification).toBeUndefined();
+          expect(harness.iasZone.onZoneEnrollRequest).toBeUndefined();
+          expect(harness.tuya.listenerCount('datapoints')).toBe(0);
+          expect(harness.device.deleted).toBe(true);
+
+          const value = harness.device.getCapabilityValue('alarm_motion');
+          harness.iasZone.reportZoneStatus(PRESENT);
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000 + 60000);
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe(value);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
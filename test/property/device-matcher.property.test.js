@@ -1,63 +1,79 @@
 /**
  * **Feature: homey-mtd085-zb-app, Property 1: Device Identification Matching**
  * **Validates: Requirements 1.1**
- * 
+ *
  * *For any* Zigbee device info containing modelId and manufacturerName,
- * the device matcher SHALL return true if and only if modelId equals "TS0225"
- * AND manufacturerName equals "_TZ321C_fkzihax8".
+ * the device matcher SHALL return true if and only if a registered
+ * fingerprint has that modelId AND lists that manufacturerName.
  */
 
 import { describe, it, expect } from 'vitest';
 import * as fc from 'fast-check';
+import { isMatchingDevice } from '../../lib/device-matcher.js';
 import {
-  isMatchingDevice,
-  EXPECTED_MODEL_ID,
-  EXPECTED_MANUFACTURER_NAME,
-} from '../../lib/device-matcher.js';
+  FINGERPRINTS,
+  getModelIds,
+  getManufacturerNames,
+} from '../../lib/fingerprints.js';
 
 describe('Property 1: Device Identification Matching', () => {
-  // Generator for random model IDs (excluding the expected one)
+  const MODEL_IDS = getModelIds();
+  const MANUFACTURER_NAMES = getManufacturerNames();
+
+  // Generator for random model IDs (excluding registered ones)
   const randomModelIdArb = fc.string({ minLength: 1, maxLength: 20 })
-    .filter(s => s !== EXPECTED_MODEL_ID);
+    .filter(s => !MODEL_IDS.includes(s));
 
-  // Generator for random manufacturer names (excluding the expected one)
+  // Generator for random manufacturer names (excluding registered ones)
   const randomManufacturerArb = fc.string({ minLength: 1, maxLength: 30 })
-    .filter(s => s !== EXPECTED_MANUFACTURER_NAME);
+    .filter(s => !MANUFACTURER_NAMES.includes(s));
+
+  // Generator for a registered model/manufacturer pair
+  const registeredPairArb = fc.constantFrom(...FINGERPRINTS)
+    .chain(fingerprint => fc.constantFrom(...fingerprint.manufacturerNames)
+      .map(manufacturerName => ({ modelId: fingerprint.modelId, manufacturerName })));
 
-  // Generator for valid device info objects
+  // Generator for device info objects mixing registered and random identifiers
   const deviceInfoArb = fc.record({
-    modelId: fc.string({ minLength: 0, maxLength: 20 }),
-    manufacturerName: fc.string({ minLength: 0, maxLength: 30 }),
+    modelId: fc.oneof(fc.constantFrom(...MODEL_IDS), fc.string({ minLength: 0, maxLength: 20 })),
+    manufacturerName: fc.oneof(fc.constantFrom(...MANUFACTURER_NAMES), fc.string({ minLength: 0, maxLength: 30 })),
   });
 
-  it('returns true only when both modelId and manufacturerName match exactly', () => {
+  it('returns true only when a fingerprint lists both modelId and manufacturerName', () => {
     fc.assert(
       fc.property(deviceInfoArb, (device) => {
         const result = isMatchingDevice(device);
-        const shouldMatch = (
-          device.modelId === EXPECTED_MODEL_ID &&
-          device.manufacturerName === EXPECTED_MANUFACTURER_NAME
-        );
+        const shouldMatch = FINGERPRINTS.some(fingerprint => (
+          fingerprint.modelId === device.modelId &&
+          fingerprint.manufacturerNames.includes(device.manufacturerName)
+        ));
         return result === shouldMatch;
       }),
       { numRuns: 100 }
     );
   });
 
+  it('returns true for every registered model and manufacturer pair', () => {
+    fc.assert(
+      fc.property(registeredPairArb, (device) => isMatchingDevice(device) === true),
+      { numRuns: 100 }
+    );
+  });
+
   it('returns true for exact match of TS0225 and _TZ321C_fkzihax8', () => {
     const exactMatchDevice = {
-      modelId: EXPECTED_MODEL_ID,
-      manufacturerName: EXPECTED_MANUFACTURER_NAME,
+      modelId: 'TS0225',
+      manufacturerName: '_TZ321C_fkzihax8',
     };
     expect(isMatchingDevice(exactMatchDevice)).toBe(true);
   });
 
   it('returns false when modelId does not match', () => {
     fc.assert(
-      fc.property(randomModelIdArb, (modelId) => {
+      fc.property(randomModelIdArb, registeredPairArb, (modelId, { manufacturerName }) => {
         const device = {
           modelId,
-          manufacturerName: EXPECTED_MANUFACTURER_NAME,
+          manufacturerName,
         };
         return isMatchingDevice(device) === false;
       }),
@@ -67,9 +83,9 @@ describe('Property 1: Device Identification Matching', () => {
 
   it('returns false when manufacturerName does not match', () => {
     fc.assert(
-      fc.property(randomManufacturerArb, (manufacturerName) => {
+      fc.property(randomManufacturerArb, registeredPairArb, (manufacturerName, { modelId }) => {
         const device = {
-          modelId: EXPECTED_MODEL_ID,
+          modelId,
           manufacturerName,
         };
         return isMatchingDevice(device) === false;
@@ -0,0 +1,109 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 21: Diagnostics Ring Buffer**
+ *
+ * *For any* sequence of recorded events, the diagnostics log SHALL keep
+ * exactly the most recent entries up to its capacity, oldest first, and the
+ * JSON export SHALL contain those entries with ISO timestamps.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DIAGNOSTIC_TYPES,
+  createDiagnosticsLog,
+  formatLogArgs,
+  exportDiagnostics,
+} from '../../lib/diagnostics.js';
+
+describe('Property 21: Diagnostics Ring Buffer', () => {
+  const capacityArb = fc.integer({ min: 1, max: 50 });
+
+  // Generator for recorded events
+  const eventArb = fc.record({
+    type: fc.constantFrom(...DIAGNOSTIC_TYPES),
+    message: fc.string({ maxLength: 40 }),
+    data: fc.option(fc.record({ zoneStatus: fc.integer({ min: 0, max: 0xFFFF }) }), { nil: undefined }),
+  });
+
+  /**
+   * Records events on a log with a clock that advances 1 second per entry
+   */
+  function recordAll(capacity, events) {
+    let time = 0;
+    const log = createDiagnosticsLog({ capacity, now: () => (time += 1000) });
+    for (const { type, message, data } of events) {
+      log.record(type, message, data);
+    }
+    return log;
+  }
+
+  it('keeps the most recent entries up to the capacity, oldest first', () => {
+    fc.assert(
+      fc.property(capacityArb, fc.array(eventArb, { maxLength: 120 }), (capacity, events) => {
+        const log = recordAll(capacity, events);
+        const expected = events.slice(-capacity);
+        const entries = log.entries();
+
+        expect(log.size()).toBe(expected.length);
+        expect(entries.map(({ type, message }) => ({ type, message })))
+          .toEqual(expected.map(({ type, message }) => ({ type, message })));
+
+        for (let i = 1; i < entries.length; i++) {
+          expect(entries[i].time).toBeGreaterThan(entries[i - 1].time);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('exports the entries as JSON with ISO timestamps', () => {
+    fc.assert(
+      fc.property(capacityArb, fc.array(eventArb, { maxLength: 60 }), (capacity, events) => {
+        const log = recordAll(capacity, events);
+        const exported = JSON.parse(exportDiagnostics(log, { modelId: 'TS0225' }, 0));
+
+        expect(exported.exportedAt).toBe('1970-01-01T00:00:00.000Z');
+        expect(exported.device).toEqual({ modelId: 'TS0225' });
+        expect(exported.entries).toHaveLength(log.size());
+        exported.entries.forEach((entry, i) => {
+          const original = log.entries()[i];
+          expect(entry.time).toBe(new Date(original.time).toISOString());
+          expect(entry.message).toBe(original.message);
+          expect(entry.data).toEqual(original.data);
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('is empty after clear and keeps recording afterwards', () => {
+    const log = recordAll(3, [
+      { type: 'frame', message: 'a' },
+      { type: 'state', message: 'b' },
+      { type: 'error', message: 'c' },
+      { type: 'info', message: 'd' },
+    ]);
+    log.clear();
+    expect(log.entries()).toEqual([]);
+
+    log.record('state', 'Presence detected');
+    expect(log.entries().map(({ message }) => message)).toEqual(['Presence detected']);
+  });
+
+  it('rejects unknown types and invalid capacities', () => {
+    expect(() => createDiagnosticsLog().record('debug', 'message')).toThrow(TypeError);
+    expect(() => createDiagnosticsLog({ capacity: 0 })).toThrow(RangeError);
+    expect(() => createDiagnosticsLog({ capacity: 1.5 })).toThrow(RangeError);
+  });
+
+  it('formats log arguments like they are printed', () => {
+    const circular = {};
+    circular.self = circular;
+
+    expect(formatLogArgs(['Failed to read zone status:', new Error('timeout')]))
+      .toBe('Failed to read zone status: timeout');
+    expect(formatLogArgs(['Zone status:', 3, { alarm1: true }, undefined]))
+      .toBe('Zone status: 3 {"alarm1":true} undefined');
+    expect(formatLogArgs([circular])).toBe('[object Object]');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 15: Fingerprint Registry Consistency**
+ *
+ * *For any* registered fingerprint, its identifiers SHALL appear in the
+ * zigbee section of the app manifest, the manifest SHALL list no other
+ * identifiers, and every fingerprint SHALL reference only known presence
+ * bits and radar datapoints.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  FINGERPRINTS,
+  findFingerprint,
+  getModelIds,
+  getManufacturerNames,
+  supportsDatapoint,
+} from '../../lib/fingerprints.js';
+import { RADAR_DATAPOINTS } from '../../lib/radar-datapoints.js';
+import { PRESENCE_BITS } from '../../lib/zone-status-parser.js';
+
+describe('Property 15: Fingerprint Registry Consistency', () => {
+  const manifestPath = path.join(process.cwd(), 'app.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  const driver = manifest.drivers.find(({ id }) => id === 'mtd085zb');
+
+  it('app.json manufacturerName matches the registry (run npm run sync:fingerprints)', () => {
+    expect(driver.zigbee.manufacturerName).toEqual(getManufacturerNames());
+  });
+
+  it('app.json productId matches the registry (run npm run sync:fingerprints)', () => {
+    expect(driver.zigbee.productId).toEqual(getModelIds());
+  });
+
+  it('every fingerprint uses a supported presence bit and known datapoints', () => {
+    for (const fingerprint of FINGERPRINTS) {
+      expect(PRESENCE_BITS).toContain(fingerprint.presenceBit);
+      expect(fingerprint.manufacturerNames.length).toBeGreaterThan(0);
+      for (const name of fingerprint.datapoints) {
+        expect(Object.keys(RADAR_DATAPOINTS)).toContain(name);
+      }
+    }
+  });
+
+  it('manufacturer names are registered once per model', () => {
+    const pairs = FINGERPRINTS.flatMap(({ modelId, manufacturerNames }) => (
+      manufacturerNames.map(manufacturerName => `${modelId}/${manufacturerName}`)
+    ));
+    expect(new Set(pairs).size).toBe(pairs.length);
+  });
+
+  it('findFingerprint returns the fingerprint listing the device', () => {
+    const registeredArb = fc.constantFrom(...FINGERPRINTS)
+      .chain(fingerprint => fc.constantFrom(...fingerprint.manufacturerNames)
+        .map(manufacturerName => ({ fingerprint, manufacturerName })));
+
+    fc.assert(
+      fc.property(registeredArb, ({ fingerprint, manufacturerName }) => {
+        return findFingerprint({ modelId: fingerprint.modelId, manufacturerName }) === fingerprint;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('supportsDatapoint follows the fingerprint and allows everything when unknown', () => {
+    fc.assert(
+      fc.property(fc.constantFrom(...Object.keys(RADAR_DATAPOINTS)), (name) => {
+        const fingerprint = { ...FINGERPRINTS[0], datapoints: [name] };
+        return supportsDatapoint(fingerprint, name) === true &&
+          supportsDatapoint({ ...fingerprint, datapoints: [] }, name) === false &&
+          supportsDatapoint(null, name) === true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 25: Flow Action Settings**
+ *
+ * *For any* arguments of a setting action card, the action SHALL change only
+ * the device settings it is about, valid arguments SHALL pass the same
+ * validation as the settings page, and arguments outside the allowed ranges
+ * SHALL be rejected. While a profile is active, the action SHALL change the
+ * values of that profile and write them to the sensor.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CLEAR_DELAY_RANGE,
+  SETTING_ACTIONS,
+  settingsForAction,
+  validateActionSettings,
+} from '../../lib/flow-actions.js';
+import { PROFILE_KEYS, getEffectiveSettings } from '../../lib/profiles.js';
+import { createDeviceHarness } from '../harness/device-harness.js';
+
+describe('Property 25: Flow Action Settings', () => {
+  const distanceArb = fc.integer({ min: 0, max: 100 }).map(value => value / 10);
+
+  // Generator for a valid action card with its arguments
+  const actionArb = fc.oneof(
+    fc.record({
+      id: fc.constant('set_sensitivity'),
+      args: fc.record({
+        target: fc.constantFrom('motion', 'static', 'both'),
+        sensitivity: fc.integer({ min: 0, max: 10 }),
+      }),
+    }),
+    fc.record({
+      id: fc.constant('set_detection_range'),
+      args: fc.record({ min_distance: distanceArb, max_distance: distanceArb })
+        .filter(({ min_distance, max_distance }) => min_distance < max_distance),
+    }),
+    fc.record({
+      id: fc.constant('set_clear_delay'),
+      args: fc.record({ seconds: fc.integer(CLEAR_DELAY_RANGE) }),
+    }),
+    fc.record({
+      id: fc.constant('set_indicator'),
+      args: fc.record({ state: fc.constantFrom('on', 'off') }),
+    })
+  );
+
+  // Settings the device already has
+  const currentSettings = {
+    motion_sensitivity: 7,
+    static_sensitivity: 7,
+    min_distance: 0,
+    max_distance: 6,
+    indicator: true,
+    clear_delay: 0,
+  };
+
+  const ACTION_KEYS = {
+    set_sensitivity: ['motion_sensitivity', 'static_sensitivity'],
+    set_detection_range: ['min_distance', 'max_distance'],
+    set_clear_delay: ['clear_delay'],
+    set_indicator: ['indicator'],
+  };
+
+  it('changes only the settings of the action, and valid arguments pass validation', () => {
+    fc.assert(
+      fc.property(actionArb, ({ id, args }) => {
+        const changes = settingsForAction(id, args);
+
+        expect(Object.keys(changes).length).toBeGreaterThan(0);
+        for (const key of Object.keys(changes)) {
+          expect(ACTION_KEYS[id]).toContain(key);
+        }
+        expect(validateActionSettings({ ...currentSettings, ...changes })).toEqual([]);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('sets the sensitivity of the chosen target', () => {
+    expect(settingsForAction('set_sensitivity', { target: 'motion', sensitivity: 3 }))
+      .toEqual({ motion_sensitivity: 3 });
+    expect(settingsForAction('set_sensitivity', { target: 'static', sensitivity: 3 }))
+      .toEqual({ static_sensitivity: 3 });
+    expect(settingsForAction('set_sensitivity', { target: 'both', sensitivity: 3 }))
+      .toEqual({ motion_sensitivity: 3, static_sensitivity: 3 });
+    expect(settingsForAction('set_indicator', { state: 'off' })).toEqual({ indicator: false });
+  });
+
+  it('rejects a clear delay outside its range or with fractions', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(
+          fc.integer({ max: CLEAR_DELAY_RANGE.min - 1 }),
+          fc.integer({ min: CLEAR_DELAY_RANGE.max + 1 }),
+          fc.double({ min: 0.1, max: 0.9, noNaN: true })
+        ),
+        (seconds) => {
+          const errors = validateActionSettings({ ...currentSettings, clear_delay: seconds });
+          return errors.length === 1 && errors[0].key === 'clear_delay';
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects a detection range that does not fit the current settings', () => {
+    const changes = settingsForAction('set_detection_range', { min_distance: 5, max_distance: 2 });
+    expect(validateActionSettings({ ...currentSettings, ...changes })).toEqual([
+      { key: 'min_distance', code: 'min_not_below_max' },
+    ]);
+  });
+
+  it('rejects unknown actions', () => {
+    expect(() => settingsForAction('toString', {})).toThrow('Unknown setting action');
+  });
+
+  it('the manifest declares every setting action and the re-read action', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../app.json'), 'utf8'));
+    const ids = manifest.flow.actions.map(({ id }) => id);
+
+    for (const id of [...Object.keys(SETTING_ACTIONS), 'read_presence']) {
+      expect(ids).toContain(id);
+    }
+
+    const clearDelay = manifest.flow.actions.find(({ id }) => id === 'set_clear_delay')
+      .args.find(({ name }) => name === 'seconds');
+    expect({ min: clearDelay.min, max: clearDelay.max }).toEqual(CLEAR_DELAY_RANGE);
+  });
+
+  describe('while a profile is active', () => {
+    // Profile 1 is scheduled all day, so it is active whenever the test runs
+    const profileSettings = {
+      profile1_enabled: true,
+      profile1_start: '00:00',
+      profile1_end: '23:59',
+    };
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('changes the values of the active profile and writes them to the sensor', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+
+      await fc.assert(
+        fc.asyncProperty(actionArb.filter(({ id }) => id !== 'set_indicator'), async ({ id, args }) => {
+          const harness = createDeviceHarness({ settings: profileSettings, store: { enrollmentState: 'enrolled' } });
+          await harness.init();
+          const before = harness.device.getSettings();
+
+          const changes = settingsForAction(id, args);
+          await harness.device.changeSettings(changes);
+
+          const after = harness.device.getSettings();
+          for (const [key, value] of Object.entries(changes)) {
+            expect(PROFILE_KEYS).toContain(key);
+            expect(after[`profile1_${key}`]).toBe(value);
+            expect(after[key]).toBe(before[key]);
+          }
+          expect(getEffectiveSettings(after, 'profile1')).toMatchObject(changes);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('writes a changed sensitivity to the sensor', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+
+      const harness = createDeviceHarness({
+        settings: { ...profileSettings, motion_sensitivity: 5, profile1_motion_sensitivity: 5 },
+        store: { enrollmentState: 'enrolled' },
+      });
+      await harness.init();
+      // Switching to the profile on init writes its values already
+      const writes = harness.tuya.callsOf('writeDatapoints').length;
+
+      await harness.device.changeSettings(settingsForAction('set_sensitivity', { target: 'motion', sensitivity: 8 }));
+
+      const [[, datapoints]] = harness.tuya.callsOf('writeDatapoints').slice(writes);
+      expect(datapoints).toContainEqual(expect.objectContaining({ value: 8 }));
+      expect(harness.device.getSetting('profile1_motion_sensitivity')).toBe(8);
+      expect(harness.device.getSetting('motion_sensitivity')).toBe(5);
+
+      await harness.dispose();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 18: Heartbeat Watchdog**
+ *
+ * *For any* sequence of received frames and watchdog checks, the sensor SHALL
+ * be polled exactly once before it is considered stopped, SHALL only be
+ * considered stopped after the configured number of reporting intervals
+ * without a frame, and SHALL recover on the first frame afterwards.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  REPORT_MAX_INTERVAL,
+  createHeartbeat,
+  recordFrame,
+  missedIntervals,
+  checkHeartbeat,
+} from '../../lib/heartbeat.js';
+
+describe('Property 18: Heartbeat Watchdog', () => {
+  const interval = REPORT_MAX_INTERVAL * 1000;
+  const maxMissedArb = fc.integer({ min: 1, max: 12 });
+
+  // Generator for watchdog events: a frame or a check, each after some time
+  const eventArb = fc.record({
+    type: fc.constantFrom('frame', 'check'),
+    after: fc.integer({ min: 0, max: 2 * interval }),
+  });
+
+  it('polls once, then stops, and never before maxMissed intervals of silence', () => {
+    fc.assert(
+      fc.property(maxMissedArb, fc.array(eventArb, { maxLength: 60 }), (maxMissed, events) => {
+        let now = 0;
+        let heartbeat = createHeartbeat(now);
+        let polls = 0;
+
+        for (const { type, after } of events) {
+          now += after;
+
+          if (type === 'frame') {
+            const result = recordFrame(heartbeat, now);
+            expect(result.recovered).toBe(heartbeat.stopped);
+            heartbeat = result.heartbeat;
+            polls = 0;
+            continue;
+          }
+
+          const silentIntervals = missedIntervals(heartbeat, now, interval);
+          const result = checkHeartbeat(heartbeat, now, { interval, maxMissed });
+
+          if (result.action !== null) {
+            expect(silentIntervals).toBeGreaterThanOrEqual(maxMissed);
+          }
+          if (result.action === 'poll') {
+            polls += 1;
+          }
+          if (result.action === 'stop') {
+            expect(polls).toBe(1);
+          }
+          expect(polls).toBeLessThanOrEqual(1);
+          heartbeat = result.heartbeat;
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('stays quiet while frames arrive within the allowed silence', () => {
+    fc.assert(
+      fc.property(maxMissedArb, fc.array(fc.integer({ min: 0, max: interval - 1 }), { maxLength: 30 }), (maxMissed, gaps) => {
+        let now = 0;
+        let heartbeat = createHeartbeat(now);
+
+        for (const gap of gaps) {
+          now += gap;
+          const result = checkHeartbeat(heartbeat, now, { interval, maxMissed });
+          if (result.action !== null) {
+            return false;
+          }
+          heartbeat = recordFrame(result.heartbeat, now).heartbeat;
+        }
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('takes no further action once stopped', () => {
+    fc.assert(
+      fc.property(maxMissedArb, fc.integer({ min: 0, max: 100 * interval }), (maxMissed, extra) => {
+        const silence = maxMissed * interval;
+        const polled = checkHeartbeat(createHeartbeat(0), silence, { interval, maxMissed });
+        const stopped = checkHeartbeat(polled.heartbeat, silence + 1, { interval, maxMissed });
+        const after = checkHeartbeat(stopped.heartbeat, silence + 1 + extra, { interval, maxMissed });
+
+        return polled.action === 'poll' &&
+          stopped.action === 'stop' &&
+          after.action === null &&
+          after.heartbeat.stopped === true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('counts no missed intervals for frames from the future', () => {
+    expect(missedIntervals(createHeartbeat(1000), 0, interval)).toBe(0);
+  });
+});
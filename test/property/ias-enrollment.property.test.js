@@ -0,0 +1,130 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 16: IAS Zone Enrollment State Transitions**
+ *
+ * *For any* sequence of enrollment events, the enrollment state SHALL stay one
+ * of unenrolled/pending/enrolled/direct-monitoring, SHALL only become "enrolled"
+ * from a pending attempt that verified the zone state, SHALL reject events that
+ * are not allowed, and SHALL never be restored as "pending" after a restart.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  ENROLLMENT_STATES,
+  ENROLLMENT_EVENTS,
+  EnrollmentTransitionError,
+  transitionEnrollment,
+  canTransitionEnrollment,
+  enrollmentEventForZoneState,
+  restoreEnrollmentState,
+} from '../../lib/ias-enrollment.js';
+
+describe('Property 16: IAS Zone Enrollment State Transitions', () => {
+  const stateArb = fc.constantFrom(...ENROLLMENT_STATES);
+  const eventArb = fc.constantFrom(...ENROLLMENT_EVENTS);
+  const unknownArb = fc.string()
+    .filter(value => !ENROLLMENT_STATES.includes(value) && !ENROLLMENT_EVENTS.includes(value));
+
+  /**
+   * Applies events, skipping the ones that are not allowed
+   */
+  function run(state, events) {
+    const visited = [state];
+    for (const event of events) {
+      if (canTransitionEnrollment(state, event)) {
+        const next = transitionEnrollment(state, event);
+        if (next === 'enrolled') {
+          expect(state).toBe('pending');
+          expect(event).toBe('enrolled');
+        }
+        state = next;
+        visited.push(state);
+      }
+    }
+    return visited;
+  }
+
+  it('stays within the known states for any event sequence', () => {
+    fc.assert(
+      fc.property(stateArb, fc.array(eventArb, { maxLength: 30 }), (initial, events) => {
+        return run(initial, events).every(state => ENROLLMENT_STATES.includes(state));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('only enters enrolled from pending on a verified zone state', () => {
+    fc.assert(
+      fc.property(stateArb, fc.array(eventArb, { maxLength: 30 }), (initial, events) => {
+        const visited = run(initial, events);
+        return visited.slice(1).every((state, i) => state !== 'enrolled' || visited[i] === 'pending');
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('throws EnrollmentTransitionError exactly when the event is not allowed', () => {
+    fc.assert(
+      fc.property(stateArb, eventArb, (state, event) => {
+        if (canTransitionEnrollment(state, event)) {
+          return ENROLLMENT_STATES.includes(transitionEnrollment(state, event));
+        }
+        expect(() => transitionEnrollment(state, event)).toThrow(EnrollmentTransitionError);
+        return true;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('starts an attempt from every state except pending', () => {
+    fc.assert(
+      fc.property(stateArb.filter(state => state !== 'pending'), (state) => {
+        return transitionEnrollment(state, 'start') === 'pending';
+      }),
+      { numRuns: 100 }
+    );
+    expect(canTransitionEnrollment('pending', 'start')).toBe(false);
+  });
+
+  it('ends a pending attempt according to the zone state read back', () => {
+    expect(transitionEnrollment('pending', enrollmentEventForZoneState('enrolled'))).toBe('enrolled');
+    expect(transitionEnrollment('pending', enrollmentEventForZoneState('notEnrolled'))).toBe('unenrolled');
+    expect(transitionEnrollment('pending', 'fallback')).toBe('direct-monitoring');
+  });
+
+  it('rejects unknown states and events', () => {
+    fc.assert(
+      fc.property(unknownArb, (value) => {
+        return !canTransitionEnrollment(value, 'start') && !canTransitionEnrollment('unenrolled', value);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('restores stored states, never as pending', () => {
+    fc.assert(
+      fc.property(
+        fc.oneof(stateArb, fc.constant(undefined), fc.string()),
+        fc.oneof(fc.boolean(), fc.constant(undefined)),
+        (enrollmentState, iasZoneEnrolled) => {
+          const restored = restoreEnrollmentState({ enrollmentState, iasZoneEnrolled });
+          if (restored === 'pending' || !ENROLLMENT_STATES.includes(restored)) {
+            return false;
+          }
+          if (ENROLLMENT_STATES.includes(enrollmentState) && enrollmentState !== 'pending') {
+            return restored === enrollmentState;
+          }
+          return true;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('migrates the legacy iasZoneEnrolled flag', () => {
+    expect(restoreEnrollmentState({ iasZoneEnrolled: true })).toBe('direct-monitoring');
+    expect(restoreEnrollmentState({ iasZoneEnrolled: false })).toBe('unenrolled');
+    expect(restoreEnrollmentState({})).toBe('unenrolled');
+    expect(restoreEnrollmentState({ enrollmentState: 'pending', iasZoneEnrolled: true })).toBe('unenrolled');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 20: Lifecycle Teardown**
+ *
+ * *For any* mix of timers, intervals, listeners and handler assignments, no
+ * callback SHALL fire after the lifecycle is disposed, every listener SHALL be
+ * removed, every assigned handler SHALL be restored, pending waits and retries
+ * SHALL be cancelled, and resources created after dispose SHALL be released
+ * immediately.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { EventEmitter } from 'events';
+import { createLifecycle, LifecycleDisposedError } from '../../lib/lifecycle.js';
+import { withRetry } from '../../lib/retry.js';
+
+describe('Property 20: Lifecycle Teardown', () => {
+  // Generator for a resource created on the lifecycle
+  const resourceArb = fc.record({
+    kind: fc.constantFrom('timeout', 'interval', 'listener', 'assign'),
+    ms: fc.integer({ min: 1, max: 10000 }),
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Creates the resources and returns a counter of callbacks that fired
+   */
+  function createResources(lifecycle, resources, emitter, target) {
+    const fired = { count: 0 };
+    const callback = () => {
+      fired.count += 1;
+    };
+
+    resources.forEach(({ kind, ms }, i) => {
+      if (kind === 'timeout') lifecycle.setTimeout(callback, ms);
+      if (kind === 'interval') lifecycle.setInterval(callback, ms);
+      if (kind === 'listener') lifecycle.listen(emitter, 'frame', callback);
+      if (kind === 'assign') lifecycle.assign(target, `onCommand${i % 3}`, callback);
+    });
+
+    return fired;
+  }
+
+  it('fires nothing and leaves no listeners or handlers after dispose', () => {
+    vi.useFakeTimers();
+
+    fc.assert(
+      fc.property(fc.array(resourceArb, { maxLength: 20 }), fc.integer({ min: 0, max: 20000 }), (resources, before) => {
+        const emitter = new EventEmitter();
+        const original = () => {};
+        const target = { onCommand0: original };
+        const lifecycle = createLifecycle();
+        const fired = createResources(lifecycle, resources, emitter, target);
+
+        vi.advanceTimersByTime(before);
+        lifecycle.dispose();
+        const firedBeforeDispose = fired.count;
+
+        vi.advanceTimersByTime(100000);
+        emitter.emit('frame');
+
+        return fired.count === firedBeforeDispose &&
+          emitter.listenerCount('frame') === 0 &&
+          target.onCommand0 === original &&
+          !('onCommand1' in target) &&
+          !('onCommand2' in target) &&
+          vi.getTimerCount() === 0;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('releases resources created after dispose immediately', () => {
+    vi.useFakeTimers();
+
+    fc.assert(
+      fc.property(fc.array(resourceArb, { maxLength: 20 }), (resources) => {
+        const emitter = new EventEmitter();
+        const target = {};
+        const lifecycle = createLifecycle();
+        lifecycle.dispose();
+
+        const fired = createResources(lifecycle, resources, emitter, target);
+        vi.advanceTimersByTime(100000);
+        emitter.emit('frame');
+
+        return fired.count === 0 &&
+          emitter.listenerCount('frame') === 0 &&
+          Object.keys(target).length === 0 &&
+          lifecycle.isDisposed();
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('stops tracking timeouts that fired or were cleared', () => {
+    vi.useFakeTimers();
+    const lifecycle = createLifecycle();
+    const callback = vi.fn();
+
+    lifecycle.setTimeout(callback, 10);
+    const cleared = lifecycle.setTimeout(callback, 10);
+    lifecycle.clearTimeout(cleared);
+    vi.advanceTimersByTime(10);
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it('restores a handler only if it was not replaced since', () => {
+    const lifecycle = createLifecycle();
+    const target = {};
+    const handler = () => {};
+    const replacement = () => {};
+
+    const release = lifecycle.assign(target, 'onZoneEnrollRequest', handler);
+    target.onZoneEnrollRequest = replacement;
+    release();
+
+    expect(target.onZoneEnrollRequest).toBe(replacement);
+  });
+
+  it('rejects pending sleeps and aborts pending retries on dispose', async () => {
+    const lifecycle = createLifecycle();
+    const sleeping = lifecycle.sleep(60000);
+    const retrying = withRetry(async () => {
+      throw new Error('Zigbee timeout');
+    }, { maxRetries: 5, delay: 60000, signal: lifecycle.signal });
+
+    await Promise.resolve();
+    lifecycle.dispose();
+
+    await expect(sleeping).rejects.toBeInstanceOf(LifecycleDisposedError);
+    const result = await retrying;
+    expect(result.aborted).toBe(true);
+    expect(result.attempts).toBe(1);
+  });
+
+  it('reports errors thrown by disposers and keeps disposing', () => {
+    const onError = vi.fn();
+    const lifecycle = createLifecycle({ onError });
+    const disposed = vi.fn();
+
+    lifecycle.add(disposed);
+    lifecycle.add(() => {
+      throw new Error('cluster gone');
+    });
+    lifecycle.dispose();
+    lifecycle.dispose();
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(disposed).toHaveBeenCalledTimes(1);
+  });
+});
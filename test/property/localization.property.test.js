@@ -4,6 +4,9 @@
  * 
  * *For any* localization file, all required keys (app name, app description,
  * device name, flow card titles) SHALL be present and non-empty for the English locale.
+ * Every supported locale SHALL have every key of the English locale with the
+ * same __placeholders__, and every translatable object in app.json SHALL have
+ * each supported language with the same [[arguments]].
  */
 
 import { describe, it, expect } from 'vitest';
@@ -21,6 +24,9 @@ const REQUIRED_KEYS = [
   'flow.conditions.is_motion_detected.title'
 ];
 
+// Languages every string is translated to
+const SUPPORTED_LANGUAGES = ['en', 'nl', 'de', 'no', 'sv', 'fr'];
+
 /**
  * Gets a nested value from an object using dot notation
  */
@@ -62,6 +68,82 @@ function validateLocalization(localization) {
   };
 }
 
+/**
+ * Gets the dot notation paths of every string in a localization object
+ */
+function getKeyPaths(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return value !== null && typeof value === 'object' ? getKeyPaths(value, keyPath) : [keyPath];
+  });
+}
+
+/**
+ * Gets the sorted tokens of a pattern in a string, e.g. __placeholders__ or [[arguments]]
+ */
+function getTokens(text, pattern) {
+  return (text.match(pattern) || []).sort();
+}
+
+/**
+ * Validates that a translation has every key of the reference localization,
+ * non-empty and with the same __placeholders__
+ */
+function validateTranslation(reference, translation) {
+  const errors = [];
+
+  for (const keyPath of getKeyPaths(reference)) {
+    const value = getNestedValue(translation, keyPath);
+
+    if (value === undefined) {
+      errors.push(`Missing key: ${keyPath}`);
+    } else if (typeof value !== 'string' || value.trim().length === 0) {
+      errors.push(`Key ${keyPath} must be a non-empty string`);
+    } else if (getTokens(value, /__\w+__/g).join() !== getTokens(getNestedValue(reference, keyPath), /__\w+__/g).join()) {
+      errors.push(`Key ${keyPath} must keep the placeholders of the English text`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Finds every translatable object ({ en: ... }) in a manifest, with its path
+ */
+function findTranslatables(value, keyPath = '') {
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+  if (typeof value.en === 'string') {
+    return [{ keyPath, texts: value }];
+  }
+  return Object.entries(value).flatMap(([key, child]) => findTranslatables(child, keyPath ? `${keyPath}.${key}` : key));
+}
+
+/**
+ * Validates that a translatable object has each supported language, non-empty
+ * and with the same [[arguments]] as the English text
+ */
+function validateTranslatable({ keyPath, texts }) {
+  const errors = [];
+  const args = getTokens(texts.en ?? '', /\[\[\w+\]\]/g).join();
+
+  for (const language of SUPPORTED_LANGUAGES) {
+    const text = texts[language];
+
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      errors.push(`${keyPath} is missing language ${language}`);
+    } else if (getTokens(text, /\[\[\w+\]\]/g).join() !== args) {
+      errors.push(`${keyPath} must keep the arguments of the English text in ${language}`);
+    }
+  }
+
+  return errors;
+}
+
 describe('Property 6: Localization Completeness', () => {
   // Generator for valid localization objects - using constantFrom for speed
   const validLocalizationArb = fc.record({
@@ -182,4 +264,62 @@ describe('Property 6: Localization Completeness', () => {
     expect(result.valid).toBe(true);
     expect(result.errors).toHaveLength(0);
   });
+
+  describe('supported languages', () => {
+    const english = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'locales', 'en.json'), 'utf-8'));
+    const manifest = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'app.json'), 'utf-8'));
+
+    it('should reject translations with a missing key or a lost placeholder', () => {
+      const keyPaths = getKeyPaths(english);
+
+      fc.assert(
+        fc.property(fc.constantFrom(...keyPaths), fc.boolean(), (keyPath, remove) => {
+          const translation = JSON.parse(JSON.stringify(english));
+          const keys = keyPath.split('.');
+          let current = translation;
+          for (let i = 0; i < keys.length - 1; i++) {
+            current = current[keys[i]];
+          }
+          const last = keys[keys.length - 1];
+          if (remove) {
+            delete current[last];
+          } else {
+            current[last] = current[last].replace(/__\w+__/g, '').concat(' __extra__');
+          }
+
+          const result = validateTranslation(english, translation);
+          return result.valid === false && result.errors.some(e => e.includes(keyPath));
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it.each(SUPPORTED_LANGUAGES.filter(language => language !== 'en'))('should have every key of en.json in %s.json', (language) => {
+      const localePath = path.join(process.cwd(), 'locales', `${language}.json`);
+      const translation = JSON.parse(fs.readFileSync(localePath, 'utf-8'));
+
+      const result = validateTranslation(english, translation);
+      expect(result.errors).toEqual([]);
+      expect(getKeyPaths(translation).sort()).toEqual(getKeyPaths(english).sort());
+    });
+
+    it('should translate every app.json text to each supported language', () => {
+      const translatables = findTranslatables(manifest);
+
+      expect(translatables.length).toBeGreaterThan(0);
+      expect(translatables.flatMap(validateTranslatable)).toEqual([]);
+    });
+
+    it('should reject app.json texts without a supported language', () => {
+      fc.assert(
+        fc.property(fc.constantFrom(...findTranslatables(manifest)), fc.constantFrom(...SUPPORTED_LANGUAGES), (translatable, language) => {
+          const texts = { ...translatable.texts };
+          delete texts[language];
+
+          return validateTranslatable({ keyPath: translatable.keyPath, texts }).some(e => e.includes(language));
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
 });
@@ -0,0 +1,61 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 9: Luminance Trigger and Condition**
+ *
+ * *For any* illuminance report, the "luminance_changed" trigger SHALL fire
+ * if and only if the measured value differs from the current value, and the
+ * luminance condition SHALL hold if and only if the value is strictly
+ * above/below the threshold.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  determineLuminanceTrigger,
+  compareLuminance,
+} from '../../lib/flow-trigger-logic.js';
+
+describe('Property 9: Luminance Trigger and Condition', () => {
+  const luxArb = fc.integer({ min: 0, max: 100000 });
+
+  it('triggers luminance_changed iff the value changes', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.constant(null), luxArb), luxArb, (previous, next) => {
+        const trigger = determineLuminanceTrigger(previous, next);
+        return previous === next ? trigger === null : trigger === 'luminance_changed';
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('does not trigger for non-numeric values', () => {
+    expect(determineLuminanceTrigger(10, undefined)).toBe(null);
+    expect(determineLuminanceTrigger(10, null)).toBe(null);
+  });
+
+  it('above holds iff luminance is strictly greater than the threshold', () => {
+    fc.assert(
+      fc.property(luxArb, luxArb, (luminance, threshold) => {
+        return compareLuminance(luminance, 'above', threshold) === (luminance > threshold);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('below holds iff luminance is strictly smaller than the threshold', () => {
+    fc.assert(
+      fc.property(luxArb, luxArb, (luminance, threshold) => {
+        return compareLuminance(luminance, 'below', threshold) === (luminance < threshold);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('is false when the luminance is unknown', () => {
+    fc.assert(
+      fc.property(fc.constantFrom('above', 'below'), luxArb, (comparison, threshold) => {
+        return compareLuminance(null, comparison, threshold) === false;
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
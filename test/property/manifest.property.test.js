@@ -4,13 +4,17 @@
  * 
  * *For any* valid app manifest, the manifest SHALL contain all required fields:
  * id, version, compatibility, sdk, name, description, category, drivers,
- * and the sdk field SHALL be >= 3.
+ * and the sdk field SHALL be >= 3. The manifest composed from .homeycompose
+ * and the driver compose files SHALL be valid, SHALL list every compose file
+ * once with its file name as id, and SHALL equal the committed app.json.
  */
 
 import { describe, it, expect } from 'vitest';
 import * as fc from 'fast-check';
 import * as fs from 'fs';
+import * as os from 'os';
 import * as path from 'path';
+import { FLOW_CARD_TYPES, composeManifest, composeLocaleFlow, plainTitle } from '../../scripts/compose-app.js';
 
 // Required fields for a valid Homey app manifest
 const REQUIRED_FIELDS = ['id', 'version', 'compatibility', 'sdk', 'name', 'description', 'category', 'drivers'];
@@ -105,12 +109,90 @@ describe('Property 5: App Manifest Validation', () => {
     );
   });
 
-  it('should validate the actual app.json manifest', () => {
-    const manifestPath = path.join(process.cwd(), 'app.json');
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
-    
-    const result = validateManifest(manifest);
-    expect(result.valid).toBe(true);
-    expect(manifest.sdk).toBeGreaterThanOrEqual(3);
+  describe('composed manifest', () => {
+    // Generator for compose file ids, e.g. motion_detected
+    const idArb = fc.stringMatching(/^[a-z][a-z0-9_]{0,15}$/);
+
+    /**
+     * Writes a compose directory to a new temporary app directory
+     */
+    function writeComposeDir({ cards, drivers }) {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'homeycompose-'));
+      const write = (file, content) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(content));
+      };
+
+      write(path.join(root, '.homeycompose', 'app.json'), { id: 'com.test.app', sdk: 3, api: {} });
+      for (const [type, ids] of Object.entries(cards)) {
+        for (const id of ids) {
+          write(path.join(root, '.homeycompose', 'flow', type, `${id}.json`), { title: { en: id } });
+        }
+      }
+      for (const id of drivers) {
+        write(path.join(root, 'drivers', id, 'driver.compose.json'), { name: { en: id } });
+      }
+      fs.mkdirSync(path.join(root, 'drivers', 'not_a_driver'), { recursive: true });
+
+      return root;
+    }
+
+    it('should list every compose file once with its file name as id', () => {
+      const idsArb = fc.uniqueArray(idArb, { maxLength: 5 });
+
+      fc.assert(
+        fc.property(fc.record({ triggers: idsArb, conditions: idsArb, actions: idsArb }), idsArb, (cards, drivers) => {
+          const root = writeComposeDir({ cards, drivers });
+          try {
+            const manifest = composeManifest(root);
+
+            for (const type of FLOW_CARD_TYPES) {
+              expect(manifest.flow[type]).toEqual([...cards[type]].sort().map(id => ({ id, title: { en: id } })));
+            }
+            expect(manifest.drivers.map(({ id }) => id)).toEqual([...drivers].sort());
+            expect(Object.keys(manifest).pop()).toBe('api');
+          } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should keep the first choice of each !{{...|...}} group in plain titles', () => {
+      const wordArb = fc.stringMatching(/^[A-Za-z ]{1,10}$/);
+
+      fc.assert(
+        fc.property(wordArb, wordArb, wordArb, wordArb, (before, yes, no, after) => {
+          return plainTitle(`${before}!{{${yes}|${no}}}${after}`) === `${before}${yes}${after}`;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should validate the composed manifest', () => {
+      const manifest = composeManifest();
+
+      const result = validateManifest(manifest);
+      expect(result.valid).toBe(true);
+      expect(manifest.sdk).toBeGreaterThanOrEqual(3);
+    });
+
+    it('app.json matches the compose files (run npm run build)', () => {
+      const manifestPath = path.join(process.cwd(), 'app.json');
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+
+      expect(manifest).toEqual(composeManifest());
+    });
+
+    it('the flow titles of every locale match the flow cards (run npm run build)', () => {
+      const manifest = composeManifest();
+      const localesDir = path.join(process.cwd(), 'locales');
+
+      for (const file of fs.readdirSync(localesDir)) {
+        const locale = JSON.parse(fs.readFileSync(path.join(localesDir, file), 'utf-8'));
+        expect(locale.flow).toEqual(composeLocaleFlow(manifest, path.basename(file, '.json')));
+      }
+    });
   });
 });
@@ -0,0 +1,373 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 29: Occupancy Sensing**
+ *
+ * *For any* occupancy bitmap the occupied bit SHALL decide presence, and
+ * anything that is not an occupancy value SHALL be rejected. Occupancy
+ * settings within range SHALL convert to the attributes of the sensing
+ * technologies the sensor has, confirmed by an identical read. The device
+ * running against a simulated node SHALL commit occupancy reports to
+ * alarm_motion with one motion flow card per transition, write changed
+ * settings and reject settings the sensor does not confirm.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  OCCUPANCY_SETTINGS,
+  OCCUPANCY_SETTING_KEYS,
+  OccupancyParseError,
+  isOccupied,
+  getSensorTechnologies,
+  validateOccupancySettings,
+  settingsToAttributes,
+  findUnconfirmedAttributes,
+  toLux,
+} from '../../lib/occupancy-sensing.js';
+import { createDeviceHarness, loadDevice } from '../harness/device-harness.js';
+
+const OccupancySensorDevice = loadDevice('occupancy_sensor');
+
+const SENSOR_TYPES = ['pir', 'ultrasonic', 'pirAndUltrasonic', 'physicalContact'];
+
+/**
+ * Lets every pending promise of the device settle
+ */
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Creates a harness for an occupancy sensor, without the MTD085-ZB clusters
+ */
+function createOccupancyHarness({ occupancySensing = {}, illuminanceMeasurement = {}, ...options } = {}) {
+  return createDeviceHarness({
+    driver: 'occupancy_sensor',
+    iasZone: null,
+    tuya: null,
+    occupancySensing,
+    illuminanceMeasurement,
+    ...options,
+  });
+}
+
+describe('Property 29: Occupancy Sensing', () => {
+  // Generator for valid occupancy settings
+  const validSettingsArb = fc.record(Object.fromEntries(OCCUPANCY_SETTING_KEYS.map(key => [
+    key,
+    fc.integer({ min: OCCUPANCY_SETTINGS[key].min, max: OCCUPANCY_SETTINGS[key].max }),
+  ])));
+
+  describe('isOccupied', () => {
+    it('takes presence from the occupied bit in any form of the bitmap', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 0xFF }), (occupancy) => {
+          const expected = (occupancy & 1) === 1;
+          const buffer = Buffer.from([occupancy]);
+
+          return isOccupied(occupancy) === expected
+            && isOccupied(buffer) === expected
+            && isOccupied(JSON.parse(JSON.stringify(buffer))) === expected
+            && isOccupied({ occupied: expected }) === expected;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('rejects values that are not an occupancy bitmap', () => {
+      const invalidArb = fc.oneof(
+        fc.integer({ min: 0x100 }),
+        fc.integer({ max: -1 }),
+        fc.double({ min: 0, max: 0xFF, noInteger: true }),
+        fc.string(),
+        fc.constant(null),
+        fc.constant(undefined),
+        fc.constant(Buffer.alloc(0)),
+        fc.record({ occupied: fc.string() })
+      );
+
+      fc.assert(
+        fc.property(invalidArb, (occupancy) => {
+          expect(() => isOccupied(occupancy)).toThrow(OccupancyParseError);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('settings', () => {
+    it('accepts any settings within range', () => {
+      fc.assert(
+        fc.property(validSettingsArb, (settings) => {
+          return validateOccupancySettings(settings).length === 0;
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('rejects settings out of range or not an integer', () => {
+      const invalidArb = fc.constantFrom(...OCCUPANCY_SETTING_KEYS).chain(key => fc.tuple(
+        fc.constant(key),
+        fc.oneof(
+          fc.integer({ min: OCCUPANCY_SETTINGS[key].max + 1 }).map(value => ({ value, code: 'out_of_range' })),
+          fc.integer({ max: OCCUPANCY_SETTINGS[key].min - 1 }).map(value => ({ value, code: 'out_of_range' })),
+          fc.double({ min: 0, max: OCCUPANCY_SETTINGS[key].max, noInteger: true }).map(value => ({ value, code: 'invalid_number' })),
+          fc.constantFrom('5', null, true).map(value => ({ value, code: 'invalid_number' }))
+        )
+      ));
+
+      fc.assert(
+        fc.property(validSettingsArb, invalidArb, (settings, [key, { value, code }]) => {
+          expect(validateOccupancySettings({ ...settings, [key]: value })).toEqual([{ key, code }]);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('converts settings to the attributes of the sensing technologies of the sensor', () => {
+      fc.assert(
+        fc.property(validSettingsArb, fc.constantFrom(...SENSOR_TYPES, undefined), (settings, sensorType) => {
+          const technologies = getSensorTechnologies(sensorType);
+          const attributes = settingsToAttributes(settings, OCCUPANCY_SETTING_KEYS, sensorType);
+
+          const expected = {};
+          if (technologies.includes('pir')) {
+            expected.pirOccupiedToUnoccupiedDelay = settings.occupied_to_unoccupied_delay;
+            expected.pirUnoccupiedToOccupiedThreshold = 11 - settings.pir_sensitivity;
+          }
+          if (technologies.includes('ultrasonic')) {
+            expected.ultrasonicOccupiedToUnoccupiedDelay = settings.occupied_to_unoccupied_delay;
+            expected.ultrasonicUnoccupiedToOccupiedThreshold = 11 - settings.ultrasonic_sensitivity;
+          }
+
+          expect(attributes).toEqual(expected);
+          expect(findUnconfirmedAttributes(attributes, { ...attributes })).toEqual([]);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('finds every attribute read back with another value', () => {
+      fc.assert(
+        fc.property(validSettingsArb, fc.integer({ min: 1, max: 100 }), (settings, offset) => {
+          const attributes = settingsToAttributes(settings);
+          const [changed] = Object.keys(attributes);
+
+          return findUnconfirmedAttributes(attributes, { ...attributes, [changed]: attributes[changed] + offset })
+            .join() === changed;
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('toLux', () => {
+    it('converts measured values back to the illuminance they encode', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 100000 }), (lux) => {
+          const measuredValue = Math.round(10000 * Math.log10(lux) + 1);
+          return Math.abs(toLux(measuredValue) - lux) <= Math.max(1, lux * 0.001);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('reports 0 as dark and invalid values as unknown', () => {
+      expect(toLux(0)).toBe(0);
+      expect(toLux(0xFFFF)).toBe(null);
+      expect(toLux(-1)).toBe(null);
+      expect(toLux(undefined)).toBe(null);
+    });
+  });
+
+  describe('device', () => {
+    beforeEach(() => {
+      // setImmediate stays real so flush() can wait for the device
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+      vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('takes presence from the occupancy without IAS Zone or Tuya', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 0, max: 0xFF }), async (occupancy) => {
+          const harness = createOccupancyHarness({ occupancySensing: { occupancy } });
+
+          await harness.init();
+
+          expect(harness.device.getCapabilities()).toEqual(expect.arrayContaining(OccupancySensorDevice.CAPABILITIES));
+          expect(harness.device.getCapabilityValue('alarm_motion')).toBe((occupancy & 1) === 1);
+          expect(harness.device.getStatus().enrollmentState).toBe(null);
+          expect(harness.occupancySensing.callsOf('configureReporting')).toHaveLength(1);
+          expect(harness.illuminanceMeasurement.callsOf('configureReporting')).toHaveLength(1);
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('commits every occupancy change with one motion flow card per transition', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(fc.integer({ min: 0, max: 0xFF }), { maxLength: 20 }), async (reports) => {
+          const harness = createOccupancyHarness();
+          await harness.init();
+          harness.homey.flow.triggered.length = 0;
+
+          const expected = [];
+          let presence = false;
+          for (const occupancy of reports) {
+            harness.occupancySensing.reportOccupancy(occupancy);
+            await flush();
+
+            const occupied = (occupancy & 1) === 1;
+            if (occupied !== presence) {
+              expected.push(occupied ? 'motion_detected' : 'motion_cleared');
+              presence = occupied;
+            }
+            expect(harness.device.getCapabilityValue('alarm_motion')).toBe(occupied);
+          }
+
+          const motionTriggers = harness.homey.flow.getTriggeredIds()
+            .filter(id => id === 'motion_detected' || id === 'motion_cleared');
+          expect(motionTriggers).toEqual(expected);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('updates the luminance from illuminance reports', async () => {
+      const harness = createOccupancyHarness();
+      await harness.init();
+
+      harness.illuminanceMeasurement.reportMeasuredValue(20001);
+      await flush();
+
+      expect(harness.device.getCapabilityValue('measure_luminance')).toBe(100);
+
+      await harness.dispose();
+    });
+
+    it('writes changed settings to the sensing technologies of the sensor', async () => {
+      await fc.assert(
+        fc.asyncProperty(validSettingsArb, fc.constantFrom(...SENSOR_TYPES), async (newSettings, occupancySensorType) => {
+          const harness = createOccupancyHarness({ occupancySensing: { occupancySensorType } });
+          await harness.init();
+          const oldSettings = harness.device.getSettings();
+
+          await harness.device.onSettings({
+            oldSettings,
+            newSettings: { ...oldSettings, ...newSettings },
+            changedKeys: OCCUPANCY_SETTING_KEYS,
+          });
+
+          const attributes = settingsToAttributes(newSettings, OCCUPANCY_SETTING_KEYS, occupancySensorType);
+          const writes = harness.occupancySensing.callsOf('writeAttributes');
+          expect(writes).toEqual(Object.keys(attributes).length > 0 ? [[attributes]] : []);
+          expect(harness.occupancySensing.attributes).toMatchObject(attributes);
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('writes the settings to a newly paired sensor only', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.boolean(), async (firstInit) => {
+          const harness = createOccupancyHarness({ firstInit });
+          await harness.device.onAdded();
+          await harness.init();
+
+          expect(harness.occupancySensing.callsOf('writeAttributes')).toHaveLength(firstInit ? 1 : 0);
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('runs the inherited IAS Zone paths with its own fingerprint', async () => {
+      const harness = createOccupancyHarness();
+      await harness.init();
+
+      expect(harness.device.getZoneStatusOptions()).toEqual({ strict: true, presenceBit: 'alarm1' });
+
+      const configured = harness.device.configureIASZoneWithRetry().then(() => null, error => error);
+      await vi.advanceTimersByTimeAsync(120000);
+      expect(await configured).toEqual(expect.objectContaining({
+        message: expect.stringContaining('IAS Zone cluster not available'),
+      }));
+      expect(harness.device.enrollmentState).toBe(null);
+
+      await harness.dispose();
+    });
+
+    it('rejects invalid settings without writing them', async () => {
+      const harness = createOccupancyHarness();
+      await harness.init();
+      const oldSettings = harness.device.getSettings();
+
+      await expect(harness.device.onSettings({
+        oldSettings,
+        newSettings: { ...oldSettings, pir_sensitivity: 11 },
+        changedKeys: ['pir_sensitivity'],
+      })).rejects.toThrow('PIR sensitivity is out of range');
+      expect(harness.occupancySensing.callsOf('writeAttributes')).toEqual([]);
+
+      await harness.dispose();
+    });
+
+    it('rejects settings the sensor does not confirm', async () => {
+      const harness = createOccupancyHarness({ occupancySensing: { confirm: false } });
+      await harness.init();
+      const oldSettings = harness.device.getSettings();
+
+      await expect(harness.device.onSettings({
+        oldSettings,
+        newSettings: { ...oldSettings, occupied_to_unoccupied_delay: 120 },
+        changedKeys: ['occupied_to_unoccupied_delay'],
+      })).rejects.toThrow('The sensor did not confirm the new settings');
+      expect(harness.device.errors.map(([message]) => message)).toContain('Failed to apply occupancy settings:');
+
+      await harness.dispose();
+    });
+
+    it('repairs the occupancy reporting and settings', async () => {
+      const harness = createOccupancyHarness({ occupancySensing: { occupancy: 1 } });
+      await harness.init();
+
+      const report = await harness.device.repair();
+
+      expect(report.results.map(({ id }) => id)).toEqual(harness.device.getRepairSteps().map(({ id }) => id));
+      expect(report.results.map(({ id, status }) => [id, status])).toEqual([
+        ['occupancy_handlers', 'succeeded'],
+        ['occupancy_reporting', 'succeeded'],
+        ['occupancy_settings', 'succeeded'],
+        ['occupancy', 'succeeded'],
+      ]);
+      expect(harness.occupancySensing.listenerCount('attr.occupancy')).toBe(1);
+      expect(harness.device.getCapabilityValue('alarm_motion')).toBe(true);
+
+      await harness.dispose();
+    });
+
+    it('leaves no timers or listeners behind once deleted', async () => {
+      const harness = createOccupancyHarness();
+      await harness.init();
+
+      await harness.device.onDeleted();
+
+      expect(vi.getTimerCount()).toBe(0);
+      expect(harness.occupancySensing.listenerCount('attr.occupancy')).toBe(0);
+      expect(harness.illuminanceMeasurement.listenerCount('attr.measuredValue')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 23: Occupancy Statistics**
+ *
+ * *For any* sequence of presence transitions, the hourly and daily buckets
+ * SHALL each add up to the total time presence was detected, entries SHALL
+ * count every start of presence, the longest session SHALL never exceed the
+ * occupied time of its day, and accounting an ongoing session in between
+ * SHALL NOT change the result.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  OCCUPANCY_RETENTION_DAYS,
+  createOccupancyStats,
+  accountOccupancy,
+  recordOccupancy,
+  summarizeDay,
+  getHourlyOccupancy,
+  occupiedTodayMinutes,
+  rollOverOccupancy,
+  resetOccupancy,
+} from '../../lib/occupancy-stats.js';
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2024-05-01T00:00:00Z');
+const UTC = { timeZone: 'UTC' };
+
+describe('Property 23: Occupancy Statistics', () => {
+  // Generator for presence transitions: presence value and ms since the previous one
+  const transitionsArb = fc.array(
+    fc.record({
+      presenceDetected: fc.boolean(),
+      after: fc.integer({ min: 0, max: 20 * HOUR }),
+    }),
+    { maxLength: 30 }
+  );
+
+  /**
+   * Replays transitions, returning the statistics, the end time and the expected totals
+   */
+  function replay(transitions, { tickEvery = 0 } = {}) {
+    let stats = createOccupancyStats();
+    let time = START;
+    let presentSince = null;
+    let occupied = 0;
+    let entries = 0;
+
+    for (const { presenceDetected, after } of transitions) {
+      if (tickEvery > 0) {
+        for (let tick = time + tickEvery; tick < time + after; tick += tickEvery) {
+          stats = accountOccupancy(stats, tick, UTC);
+        }
+      }
+      time += after;
+
+      if (presenceDetected && presentSince === null) {
+        presentSince = time;
+        entries += 1;
+      } else if (!presenceDetected && presentSince !== null) {
+        occupied += time - presentSince;
+        presentSince = null;
+      }
+      stats = recordOccupancy(stats, presenceDetected, time, UTC);
+    }
+
+    // An ongoing session is accounted up to the last transition
+    if (presentSince !== null) {
+      occupied += time - presentSince;
+    }
+
+    return { stats, time, occupied, entries };
+  }
+
+  const sum = values => values.reduce((total, value) => total + value, 0);
+
+  it('adds up the hours and days to the time presence was detected', () => {
+    fc.assert(
+      fc.property(transitionsArb, (transitions) => {
+        const { stats, occupied, entries } = replay(transitions);
+        const days = Object.values(stats.days);
+
+        expect(sum(Object.values(stats.hours))).toBe(occupied);
+        expect(sum(days.map(day => day.occupied))).toBe(occupied);
+        expect(sum(days.map(day => day.entries))).toBe(entries);
+
+        for (const day of days) {
+          expect(day.occupied).toBeLessThanOrEqual(24 * HOUR);
+          expect(day.longestSession).toBeLessThanOrEqual(day.occupied);
+        }
+        for (const value of Object.values(stats.hours)) {
+          expect(value).toBeLessThanOrEqual(HOUR);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('gives the same result when the ongoing session is accounted in between', () => {
+    fc.assert(
+      fc.property(transitionsArb, fc.integer({ min: MINUTE, max: 3 * HOUR }), (transitions, tickEvery) => {
+        const plain = replay(transitions);
+        const ticked = replay(transitions, { tickEvery });
+
+        expect(ticked.stats.days).toEqual(plain.stats.days);
+        expect(Object.keys(ticked.stats.hours).sort()).toEqual(Object.keys(plain.stats.hours).sort());
+        for (const [hour, value] of Object.entries(plain.stats.hours)) {
+          expect(ticked.stats.hours[hour]).toBe(value);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('survives a round trip through the device store', () => {
+    fc.assert(
+      fc.property(transitionsArb, (transitions) => {
+        const { stats } = replay(transitions);
+        expect(JSON.parse(JSON.stringify(stats))).toEqual(stats);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('splits a session spanning midnight between the days', () => {
+    let stats = recordOccupancy(createOccupancyStats(), true, Date.parse('2024-05-01T23:30:00Z'), UTC);
+    stats = recordOccupancy(stats, false, Date.parse('2024-05-02T01:15:00Z'), UTC);
+
+    expect(summarizeDay(stats, '2024-05-01')).toEqual({
+      date: '2024-05-01',
+      occupied_minutes: 30,
+      entries: 1,
+      longest_session_minutes: 30,
+      week_occupied_minutes: 30,
+    });
+    expect(summarizeDay(stats, '2024-05-02')).toMatchObject({
+      occupied_minutes: 75,
+      entries: 0,
+      longest_session_minutes: 75,
+      week_occupied_minutes: 105,
+    });
+    expect(getHourlyOccupancy(stats, '2024-05-02').slice(0, 3)).toEqual([60, 15, 0]);
+  });
+
+  it('uses local hours and days of the time zone', () => {
+    // 18:00 UTC is 23:30 in India (UTC+05:30)
+    const options = { timeZone: 'Asia/Kolkata' };
+    let stats = recordOccupancy(createOccupancyStats(), true, Date.parse('2024-05-01T18:00:00Z'), options);
+    stats = recordOccupancy(stats, false, Date.parse('2024-05-01T19:00:00Z'), options);
+
+    expect(stats.days['2024-05-01'].occupied).toBe(30 * MINUTE);
+    expect(stats.days['2024-05-02'].occupied).toBe(30 * MINUTE);
+    expect(stats.hours['2024-05-01T23']).toBe(30 * MINUTE);
+    expect(stats.hours['2024-05-02T00']).toBe(30 * MINUTE);
+  });
+
+  it('includes the ongoing session in the minutes of today', () => {
+    const stats = recordOccupancy(createOccupancyStats(), true, START, UTC);
+
+    expect(occupiedTodayMinutes(stats, START + 42 * MINUTE, UTC)).toBe(42);
+    expect(stats.session.accountedUntil).toBe(START);
+  });
+
+  it('summarizes the day that ended on roll-over and drops days outside the retention', () => {
+    let stats = createOccupancyStats();
+    for (let day = 0; day < OCCUPANCY_RETENTION_DAYS + 5; day++) {
+      const time = START + day * 24 * HOUR;
+      ({ stats } = rollOverOccupancy(stats, time, UTC));
+      stats = recordOccupancy(stats, true, time + HOUR, UTC);
+      stats = recordOccupancy(stats, false, time + 2 * HOUR, UTC);
+    }
+
+    const { stats: rolled, summary } = rollOverOccupancy(stats, START + (OCCUPANCY_RETENTION_DAYS + 5) * 24 * HOUR, UTC);
+
+    expect(summary).toEqual({
+      date: '2024-05-19',
+      occupied_minutes: 60,
+      entries: 1,
+      longest_session_minutes: 60,
+      week_occupied_minutes: 7 * 60,
+    });
+    expect(Object.keys(rolled.days)).toHaveLength(OCCUPANCY_RETENTION_DAYS - 1);
+    expect(Object.keys(rolled.days).sort()[0]).toBe('2024-05-07');
+    expect(rolled.currentDate).toBe('2024-05-20');
+    expect(rollOverOccupancy(rolled, START + (OCCUPANCY_RETENTION_DAYS + 5) * 24 * HOUR + HOUR, UTC))
+      .toEqual({ stats: rolled, summary: null });
+  });
+
+  it('keeps an ongoing presence as a new session on reset', () => {
+    const now = START + 5 * HOUR;
+
+    expect(resetOccupancy(false, now, UTC)).toEqual({ ...createOccupancyStats(), currentDate: '2024-05-01' });
+
+    const stats = resetOccupancy(true, now, UTC);
+    expect(stats.days['2024-05-01']).toEqual({ occupied: 0, entries: 1, longestSession: 0 });
+    expect(stats.session.startedAt).toBe(now);
+  });
+});
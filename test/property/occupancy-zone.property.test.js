@@ -0,0 +1,224 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 24: Occupancy Zone Logic**
+ *
+ * *For any* presence of the sensors in a zone, "any" SHALL detect presence if
+ * one available sensor does, "all" only if every available sensor does, and
+ * "majority" only if more than half of the available sensors do. Sensors
+ * with an unknown presence SHALL be left out, and a zone without any known
+ * presence SHALL have no presence. A zone SHALL be set up with at least one sensor.
+ * The zone device SHALL follow the combined presence of its sensors, deferring
+ * a clear by the clear delay, and SHALL NOT trigger a flow card for its first presence.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import { ZONE_LOGIC, combinePresence, isValidSensorSelection } from '../../lib/occupancy-zone.js';
+import { createZoneHarness } from '../harness/device-harness.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Property 24: Occupancy Zone Logic', () => {
+  // Generator for the presence of the sensors, null for unavailable ones
+  const valuesArb = fc.array(fc.option(fc.boolean(), { nil: null }), { maxLength: 8 });
+
+  it('combines the known presence values per logic', () => {
+    fc.assert(
+      fc.property(valuesArb, (values) => {
+        const known = values.filter(value => value !== null);
+        const present = known.filter(Boolean).length;
+
+        if (known.length === 0) {
+          return ZONE_LOGIC.every(logic => combinePresence(values, logic) === null);
+        }
+
+        return combinePresence(values, 'any') === (present > 0) &&
+          combinePresence(values, 'all') === (present === known.length) &&
+          combinePresence(values, 'majority') === (present > known.length / 2);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('orders the logic from most to least eager', () => {
+    fc.assert(
+      fc.property(valuesArb, (values) => {
+        const any = combinePresence(values, 'any');
+        const majority = combinePresence(values, 'majority');
+        const all = combinePresence(values, 'all');
+
+        // all implies majority, majority implies any
+        return (!all || majority) && (!majority || any);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('does not depend on the order of the sensors', () => {
+    fc.assert(
+      fc.property(valuesArb, fc.constantFrom(...ZONE_LOGIC), (values, logic) => {
+        return combinePresence(values, logic) === combinePresence([...values].reverse(), logic);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('needs more than half for a majority', () => {
+    expect(combinePresence([true, false], 'majority')).toBe(false);
+    expect(combinePresence([true, true, false], 'majority')).toBe(true);
+    expect(combinePresence([true, null, false, null], 'majority')).toBe(false);
+  });
+
+  it('rejects unknown logic', () => {
+    expect(() => combinePresence([true], 'xor')).toThrow(TypeError);
+  });
+
+  it('accepts a selection of at least one sensor', () => {
+    fc.assert(
+      fc.property(fc.array(fc.string({ minLength: 1 }), { minLength: 1, maxLength: 8 }), (ids) => {
+        expect(isValidSensorSelection(ids)).toBe(true);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects an empty or malformed selection', () => {
+    expect(isValidSensorSelection([])).toBe(false);
+    expect(isValidSensorSelection(undefined)).toBe(false);
+    expect(isValidSensorSelection('sensor')).toBe(false);
+    expect(isValidSensorSelection(['sensor', ''])).toBe(false);
+    expect(isValidSensorSelection(['sensor', 1])).toBe(false);
+  });
+
+  it('the manifest declares the zone driver with its logic options and views', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../app.json'), 'utf8'));
+    const driver = manifest.drivers.find(({ id }) => id === 'occupancy_zone');
+    const [{ children }] = driver.settings;
+    const logic = children.find(({ id }) => id === 'logic');
+
+    expect(logic.values.map(({ id }) => id)).toEqual(ZONE_LOGIC);
+    expect(ZONE_LOGIC).toContain(logic.value);
+    for (const [kind, views] of [['pair', driver.pair], ['repair', driver.repair]]) {
+      const view = views.find(({ id }) => id === 'select_sensors');
+      const html = fs.readFileSync(path.resolve(__dirname, `../../drivers/occupancy_zone/${kind}/${view.id}.html`), 'utf8');
+      // Both sessions share the script of the pair view
+      expect(html).toMatch(/<script [^>]*src="(\.|\.\.\/pair)\/select_sensors\.js"/);
+    }
+    expect(fs.existsSync(path.resolve(__dirname, '../../drivers/occupancy_zone/pair/select_sensors.js'))).toBe(true);
+  });
+
+  describe('device', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // Generator for the presence of the sensors in a zone
+    const presenceArb = fc.array(fc.boolean(), { minLength: 1, maxLength: 5 });
+
+    it('sets the first presence without triggering a flow card', async () => {
+      await fc.assert(
+        fc.asyncProperty(presenceArb, fc.constantFrom(...ZONE_LOGIC), async (presence, logic) => {
+          const harness = createZoneHarness({ sensors: presence, settings: { logic } });
+          await harness.init();
+
+          expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(combinePresence(presence, logic));
+          expect(harness.zone.getAvailable()).toBe(true);
+          expect(harness.homey.flow.triggered).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('follows the combined presence of its sensors per logic', async () => {
+      const changesArb = fc.array(fc.record({ index: fc.nat(), presence: fc.boolean() }), { maxLength: 10 });
+
+      await fc.assert(
+        fc.asyncProperty(presenceArb, fc.constantFrom(...ZONE_LOGIC), changesArb, async (presence, logic, changes) => {
+          const harness = createZoneHarness({ sensors: presence, settings: { logic } });
+          await harness.init();
+
+          const values = [...presence];
+          let expected = combinePresence(values, logic);
+          const triggers = [];
+
+          for (const change of changes) {
+            const index = change.index % values.length;
+            values[index] = change.presence;
+            await harness.changeSensor(index, { presence: change.presence });
+            await flush();
+
+            const combined = combinePresence(values, logic);
+            if (combined !== expected) {
+              triggers.push(combined ? 'zone_motion_detected' : 'zone_motion_cleared');
+              expected = combined;
+            }
+            expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(expected);
+          }
+
+          expect(harness.homey.flow.getTriggeredIds()).toEqual(triggers);
+          expect(harness.zone.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('defers a clear by the shared clear delay', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 1, max: 600 }), async (clearDelay) => {
+          const harness = createZoneHarness({ sensors: [true, false], settings: { clear_delay: clearDelay } });
+          await harness.init();
+
+          // A detection within the delay cancels the clear
+          await harness.changeSensor(0, { presence: false });
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000 - 1);
+          await harness.changeSensor(1, { presence: true });
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000);
+          expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(true);
+
+          await harness.changeSensor(1, { presence: false });
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000 - 1);
+          expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(true);
+          expect(harness.homey.flow.triggered).toEqual([]);
+
+          await vi.advanceTimersByTimeAsync(1);
+          expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(false);
+          expect(harness.homey.flow.getTriggeredIds()).toEqual(['zone_motion_cleared']);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('leaves out sensors that are unavailable or deleted', async () => {
+      const harness = createZoneHarness({ sensors: [true, false], settings: { logic: 'all' } });
+      await harness.init();
+      expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(false);
+
+      await harness.changeSensor(1, { available: false });
+      await flush();
+      expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(true);
+      expect(harness.homey.flow.getTriggeredIds()).toEqual(['zone_motion_detected']);
+
+      harness.deleteSensor(0);
+      await flush();
+      expect(harness.zone.getAvailable()).toBe(false);
+      expect(harness.zone.unavailableMessage).toBe(harness.homey.__('zone.no_sensors'));
+
+      await harness.changeSensor(1, { available: true });
+      await flush();
+      expect(harness.zone.getAvailable()).toBe(true);
+      expect(harness.zone.getCapabilityValue('alarm_motion')).toBe(false);
+      expect(harness.homey.flow.getTriggeredIds()).toEqual(['zone_motion_detected', 'zone_motion_cleared']);
+
+      await harness.dispose();
+    });
+  });
+});
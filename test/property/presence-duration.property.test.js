@@ -0,0 +1,85 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 12: Presence Duration Tokens**
+ *
+ * *For any* alternating sequence of committed presence transitions, the
+ * "duration" token SHALL equal the length of the state that just ended and
+ * "previous_state_duration" the length of the state before it, in seconds.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  createPresenceTiming,
+  recordPresenceTransition,
+  presenceMinutes,
+  hasBeenClearFor,
+} from '../../lib/presence-duration.js';
+
+describe('Property 12: Presence Duration Tokens', () => {
+  // Generator for state lengths in whole seconds
+  const spansArb = fc.array(fc.integer({ min: 0, max: 86400 }), { minLength: 2, maxLength: 20 });
+
+  it('tokens report the lengths of the last two states', () => {
+    fc.assert(
+      fc.property(fc.boolean(), spansArb, (startDetected, spans) => {
+        let timing = createPresenceTiming();
+        let presence = startDetected;
+        let now = 1700000000000;
+        ({ timing } = recordPresenceTransition(timing, presence, now));
+
+        for (let i = 0; i < spans.length; i++) {
+          now += spans[i] * 1000;
+          presence = !presence;
+          const { timing: next, tokens } = recordPresenceTransition(timing, presence, now);
+          timing = next;
+
+          expect(tokens.duration).toBe(spans[i]);
+          expect(tokens.previous_state_duration).toBe(i === 0 ? 0 : spans[i - 1]);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('reports zero durations when no earlier transition is known', () => {
+    fc.assert(
+      fc.property(fc.boolean(), fc.integer({ min: 0, max: 1e12 }), (presence, now) => {
+        const { tokens } = recordPresenceTransition(createPresenceTiming(), presence, now);
+        return tokens.duration === 0 && tokens.previous_state_duration === 0;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('presenceMinutes counts whole minutes since presence began', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 1e12 }), fc.integer({ min: 0, max: 1e8 }), (start, elapsed) => {
+        const timing = { presenceStartedAt: start, presenceEndedAt: null };
+        return presenceMinutes(timing, start + elapsed) === Math.floor(Math.round(elapsed / 1000) / 60);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('hasBeenClearFor holds iff clear and the end of presence is at least N minutes ago', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 0, max: 1e12 }),
+        fc.integer({ min: 0, max: 1e8 }),
+        fc.integer({ min: 1, max: 1440 }),
+        (endedAt, elapsed, minutes) => {
+          const timing = { presenceStartedAt: null, presenceEndedAt: endedAt };
+          const now = endedAt + elapsed;
+          return hasBeenClearFor(timing, false, minutes, now) === (elapsed >= minutes * 60000) &&
+            hasBeenClearFor(timing, true, minutes, now) === false;
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('counts as clear for any duration when presence never ended', () => {
+    expect(hasBeenClearFor(createPresenceTiming(), false, 60, 0)).toBe(true);
+    expect(hasBeenClearFor(createPresenceTiming(), null, 60, 0)).toBe(true);
+  });
+});
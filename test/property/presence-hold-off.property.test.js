@@ -0,0 +1,173 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 11: Presence Hold-Off**
+ *
+ * *For any* sequence of presence reports, a detection SHALL commit
+ * immediately, a clear SHALL only commit once the clear delay has elapsed
+ * without a new detection, and a new detection SHALL cancel a pending clear.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  createHoldOffState,
+  reportPresence,
+  tickPresence,
+  createPresenceHoldOff,
+} from '../../lib/flow-trigger-logic.js';
+
+describe('Property 11: Presence Hold-Off', () => {
+  const delayArb = fc.integer({ min: 1, max: 600000 });
+
+  // Generator for a timed report: presence plus the time elapsed since the previous report
+  const reportArb = fc.record({
+    presenceDetected: fc.boolean(),
+    elapsed: fc.integer({ min: 0, max: 700000 }),
+  });
+
+  /**
+   * Feeds timed reports through the state machine, ticking before each report
+   * Records every commit and, for clears committed by a tick, the time since the last detection
+   */
+  function simulate(reports, clearDelay) {
+    let state = createHoldOffState(null);
+    let now = 0;
+    let lastDetectionAt = null;
+    const commits = [];
+    const clearedSinceDetection = [];
+
+    for (const { presenceDetected, elapsed } of reports) {
+      now += elapsed;
+      const tick = tickPresence(state, now);
+      state = tick.state;
+      if (tick.commit !== null) commits.push(tick.commit);
+      if (tick.commit === false) clearedSinceDetection.push(now - lastDetectionAt);
+
+      const report = reportPresence(state, presenceDetected, now, clearDelay);
+      state = report.state;
+      if (report.commit !== null) commits.push(report.commit);
+      if (presenceDetected) lastDetectionAt = now;
+    }
+
+    return { state, commits, clearedSinceDetection };
+  }
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('commits a detection immediately', () => {
+    fc.assert(
+      fc.property(fc.oneof(fc.constant(null), fc.boolean()), delayArb, (committed, clearDelay) => {
+        const { state, commit } = reportPresence(createHoldOffState(committed), true, 0, clearDelay);
+        return state.committed === true &&
+          state.pendingClearAt === null &&
+          commit === (committed === true ? null : true);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('defers a clear of a committed detection by the clear delay', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 0, max: 1e9 }), delayArb, (now, clearDelay) => {
+        const { state, commit } = reportPresence(createHoldOffState(true), false, now, clearDelay);
+        return commit === null && state.committed === true && state.pendingClearAt === now + clearDelay;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('does not extend a pending clear on repeated clears', () => {
+    fc.assert(
+      fc.property(delayArb, fc.integer({ min: 0, max: 600000 }), (clearDelay, later) => {
+        const first = reportPresence(createHoldOffState(true), false, 0, clearDelay);
+        const second = reportPresence(first.state, false, later, clearDelay);
+        return second.state.pendingClearAt === clearDelay && second.commit === null;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('commits a pending clear only once its deadline is reached', () => {
+    fc.assert(
+      fc.property(delayArb, fc.integer({ min: 0, max: 1200000 }), (clearDelay, now) => {
+        const { state } = reportPresence(createHoldOffState(true), false, 0, clearDelay);
+        const tick = tickPresence(state, now);
+        return now >= clearDelay
+          ? tick.commit === false && tick.state.committed === false
+          : tick.commit === null && tick.state === state;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('clears immediately when the clear delay is zero', () => {
+    const { state, commit } = reportPresence(createHoldOffState(true), false, 0, 0);
+    expect(commit).toBe(false);
+    expect(state).toEqual({ committed: false, pendingClearAt: null });
+  });
+
+  it('never commits the same value twice in a row', () => {
+    fc.assert(
+      fc.property(fc.array(reportArb, { maxLength: 30 }), delayArb, (reports, clearDelay) => {
+        const { commits } = simulate(reports, clearDelay);
+        return commits.every((value, i) => i === 0 || value !== commits[i - 1]);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('never commits a delayed clear within the clear delay of a detection', () => {
+    fc.assert(
+      fc.property(fc.array(reportArb, { minLength: 1, maxLength: 30 }), delayArb, (reports, clearDelay) => {
+        const { clearedSinceDetection } = simulate(reports, clearDelay);
+        return clearedSinceDetection.every(sinceDetection => sinceDetection >= clearDelay);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('timer driven hold-off commits the clear after the delay with fake timers', async () => {
+    vi.useFakeTimers();
+    const onCommit = vi.fn();
+    const holdOff = createPresenceHoldOff({ clearDelay: 30000, initialState: false, onCommit });
+
+    await holdOff.report(true);
+    expect(onCommit).toHaveBeenLastCalledWith(true);
+
+    await holdOff.report(false);
+    await vi.advanceTimersByTimeAsync(29999);
+    expect(onCommit).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(onCommit).toHaveBeenCalledTimes(2);
+    expect(onCommit).toHaveBeenLastCalledWith(false);
+    expect(holdOff.getState()).toEqual({ committed: false, pendingClearAt: null });
+  });
+
+  it('timer driven hold-off cancels a pending clear on a new detection', async () => {
+    vi.useFakeTimers();
+    const onCommit = vi.fn();
+    const holdOff = createPresenceHoldOff({ clearDelay: 30000, initialState: true, onCommit });
+
+    await holdOff.report(false);
+    await vi.advanceTimersByTimeAsync(20000);
+    await holdOff.report(true);
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(onCommit).not.toHaveBeenCalled();
+    expect(holdOff.getState()).toEqual({ committed: true, pendingClearAt: null });
+  });
+
+  it('dispose cancels a pending clear without committing', async () => {
+    vi.useFakeTimers();
+    const onCommit = vi.fn();
+    const holdOff = createPresenceHoldOff({ clearDelay: 1000, initialState: true, onCommit });
+
+    await holdOff.report(false);
+    holdOff.dispose();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(onCommit).not.toHaveBeenCalled();
+  });
+});
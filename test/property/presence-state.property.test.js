@@ -0,0 +1,90 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 10: Presence State Mapping**
+ *
+ * *For any* radar presence state report or IAS Zone presence change, the
+ * presence state SHALL be one of none/moving/stationary, SHALL be "none"
+ * whenever presence is cleared and only then, and the "presence_state_changed"
+ * trigger SHALL fire if and only if the state changes.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  PRESENCE_STATES,
+  toPresenceState,
+  presenceStateFromAlarm,
+  presenceStateFromRadar,
+  determinePresenceStateTrigger,
+} from '../../lib/presence-state.js';
+
+describe('Property 10: Presence State Mapping', () => {
+  const stateArb = fc.constantFrom(...PRESENCE_STATES);
+  const maybeStateArb = fc.oneof(fc.constant(null), stateArb);
+
+  it('maps radar enum values 0, 1 and 2 to none, stationary and moving', () => {
+    expect(toPresenceState(0)).toBe('none');
+    expect(toPresenceState(1)).toBe('stationary');
+    expect(toPresenceState(2)).toBe('moving');
+  });
+
+  it('returns null for unknown radar enum values', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 3, max: 255 }), (rawState) => {
+        return toPresenceState(rawState) === null;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('is none whenever the zone reports no presence', () => {
+    fc.assert(
+      fc.property(maybeStateArb, (currentState) => {
+        return presenceStateFromAlarm(currentState, false) === 'none';
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('keeps a known movement state and defaults to moving on detection', () => {
+    fc.assert(
+      fc.property(maybeStateArb, (currentState) => {
+        const state = presenceStateFromAlarm(currentState, true);
+        if (currentState === 'moving' || currentState === 'stationary') {
+          return state === currentState;
+        }
+        return state === 'moving';
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('keeps the movement state while presence is held and takes other radar states as reported', () => {
+    fc.assert(
+      fc.property(maybeStateArb, fc.constantFrom(true, false, null), (radarState, presenceDetected) => {
+        const state = presenceStateFromRadar(radarState, presenceDetected);
+        if (radarState === 'none' && presenceDetected === true) {
+          return state === null;
+        }
+        return state === radarState;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('triggers presence_state_changed iff the state changes to a valid state', () => {
+    fc.assert(
+      fc.property(maybeStateArb, stateArb, (previousState, newState) => {
+        const trigger = determinePresenceStateTrigger(previousState, newState);
+        return previousState === newState
+          ? trigger === null
+          : trigger === 'presence_state_changed';
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('does not trigger for invalid states', () => {
+    expect(determinePresenceStateTrigger('none', null)).toBe(null);
+    expect(determinePresenceStateTrigger('none', 'walking')).toBe(null);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 26: Profile Schedules**
+ *
+ * *For any* profile schedule and time of day, the scheduled profile SHALL be
+ * the first enabled profile whose schedule covers the time, or the default
+ * profile outside every schedule. A profile chosen from a flow SHALL stay
+ * active until the schedule selects another profile, and the effective
+ * settings SHALL only differ from the device settings in the profile values,
+ * which SHALL be changed in the profile while it is active.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  DEFAULT_PROFILE,
+  PROFILE_SLOTS,
+  PROFILE_KEYS,
+  parseTimeOfDay,
+  minuteOfDay,
+  isScheduled,
+  getProfiles,
+  getScheduledProfile,
+  updateProfileState,
+  overrideProfile,
+  getEffectiveSettings,
+  diffProfileKeys,
+  toProfileSettings,
+  validateProfiles,
+} from '../../lib/profiles.js';
+
+const DAY_MINUTES = 24 * 60;
+
+/**
+ * Formats minutes after midnight as HH:MM
+ */
+function formatTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+describe('Property 26: Profile Schedules', () => {
+  const minuteArb = fc.integer({ min: 0, max: DAY_MINUTES - 1 });
+
+  // Generator for the settings of one profile slot
+  const profileArb = fc.record({
+    enabled: fc.boolean(),
+    start: minuteArb,
+    end: minuteArb,
+    motion_sensitivity: fc.integer({ min: 0, max: 10 }),
+    static_sensitivity: fc.integer({ min: 0, max: 10 }),
+    min_distance: fc.constantFrom(0, 0.5, 1),
+    max_distance: fc.constantFrom(4, 6, 8),
+    clear_delay: fc.integer({ min: 0, max: 3600 }),
+  });
+
+  // Generator for device settings with every profile slot filled in
+  const settingsArb = fc.tuple(...PROFILE_SLOTS.map(() => profileArb)).map((profiles) => {
+    const settings = {
+      motion_sensitivity: 7,
+      static_sensitivity: 7,
+      min_distance: 0,
+      max_distance: 6,
+      clear_delay: 0,
+      indicator: true,
+    };
+    profiles.forEach(({ start, end, ...values }, i) => {
+      const id = PROFILE_SLOTS[i];
+      settings[`${id}_start`] = formatTime(start);
+      settings[`${id}_end`] = formatTime(end);
+      settings[`${id}_name`] = `Profile ${i + 1}`;
+      for (const [key, value] of Object.entries(values)) {
+        settings[`${id}_${key}`] = value;
+      }
+    });
+    return settings;
+  });
+
+  it('selects the first enabled profile whose schedule covers the time', () => {
+    fc.assert(
+      fc.property(settingsArb, minuteArb, (settings, minute) => {
+        const covering = getProfiles(settings).filter(profile => isScheduled(profile, minute));
+        const expected = covering.length > 0 ? covering[0].id : DEFAULT_PROFILE;
+        return getScheduledProfile(settings, minute) === expected;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('covers exactly the minutes from the start up to the end, past midnight if needed', () => {
+    fc.assert(
+      fc.property(minuteArb, minuteArb, minuteArb, (start, end, minute) => {
+        const profile = { enabled: true, start, end };
+        const length = (end - start + DAY_MINUTES) % DAY_MINUTES;
+        const offset = (minute - start + DAY_MINUTES) % DAY_MINUTES;
+        return isScheduled(profile, minute) === (offset < length);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('keeps a profile chosen from a flow until the schedule selects another profile', () => {
+    fc.assert(
+      fc.property(settingsArb, minuteArb, minuteArb, fc.constantFrom(DEFAULT_PROFILE, ...PROFILE_SLOTS), (settings, now, later, choice) => {
+        const enabled = { ...settings, [`${choice}_enabled`]: true };
+        const state = updateProfileState(null, enabled, now);
+        const overridden = overrideProfile(state, enabled, choice);
+        const next = updateProfileState(overridden, enabled, later);
+
+        if (getScheduledProfile(enabled, later) === state.scheduled) {
+          expect(next.active).toBe(choice);
+        } else {
+          expect(next.active).toBe(getScheduledProfile(enabled, later));
+          expect(next.override).toBeNull();
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('applies only the profile values to the effective settings', () => {
+    fc.assert(
+      fc.property(settingsArb, fc.constantFrom(DEFAULT_PROFILE, ...PROFILE_SLOTS), (settings, profile) => {
+        const effective = getEffectiveSettings(settings, profile);
+
+        for (const key of Object.keys(settings)) {
+          if (profile === DEFAULT_PROFILE || !PROFILE_KEYS.includes(key)) {
+            expect(effective[key]).toBe(settings[key]);
+          } else {
+            expect(effective[key]).toBe(settings[`${profile}_${key}`]);
+          }
+        }
+        expect(diffProfileKeys(settings, getEffectiveSettings(settings, DEFAULT_PROFILE))).toEqual([]);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('puts changed values where the profile takes them from', () => {
+    fc.assert(
+      fc.property(
+        settingsArb,
+        fc.constantFrom(DEFAULT_PROFILE, ...PROFILE_SLOTS),
+        fc.subarray(PROFILE_KEYS, { minLength: 1 }),
+        fc.integer({ min: 0, max: 10 }),
+        (settings, profile, keys, value) => {
+          const values = { ...Object.fromEntries(keys.map(key => [key, value])), indicator: false };
+          const changed = { ...settings, ...toProfileSettings(values, profile) };
+
+          expect(getEffectiveSettings(changed, profile)).toMatchObject(values);
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('parses times of day and rejects invalid ones', () => {
+    expect(parseTimeOfDay('22:00')).toBe(1320);
+    expect(parseTimeOfDay(' 7:05 ')).toBe(425);
+    expect(parseTimeOfDay('')).toBeNull();
+    expect(parseTimeOfDay(undefined)).toBeNull();
+    expect(parseTimeOfDay('24:00')).toBeUndefined();
+    expect(parseTimeOfDay('10pm')).toBeUndefined();
+  });
+
+  it('validates only enabled profiles, with the profile in each error', () => {
+    const settings = {
+      profile1_enabled: true,
+      profile1_start: '25:00',
+      profile1_end: '07:00',
+      profile1_motion_sensitivity: 9,
+      profile1_static_sensitivity: 9,
+      profile1_min_distance: 6,
+      profile1_max_distance: 2,
+      profile1_clear_delay: 60,
+      profile2_enabled: false,
+      profile2_start: 'never',
+    };
+
+    expect(validateProfiles(settings)).toEqual([
+      { key: 'profile_start', code: 'invalid_time', profile: 'profile1' },
+      { key: 'min_distance', code: 'min_not_below_max', profile: 'profile1' },
+    ]);
+  });
+
+  it('does not let a flow switch to a disabled profile', () => {
+    const state = { active: DEFAULT_PROFILE, scheduled: DEFAULT_PROFILE, override: null };
+    expect(() => overrideProfile(state, { profile1_enabled: false }, 'profile1')).toThrow('Profile not available');
+    expect(() => overrideProfile(state, {}, 'profile9')).toThrow('Profile not available');
+  });
+
+  it('uses the local time of day', () => {
+    const time = Date.parse('2024-05-01T20:30:00Z');
+    expect(minuteOfDay(time, 'UTC')).toBe(20 * 60 + 30);
+    expect(minuteOfDay(time, 'Europe/Amsterdam')).toBe(22 * 60 + 30);
+  });
+
+  it('the manifest declares the settings of every profile slot', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../app.json'), 'utf8'));
+    const driver = manifest.drivers.find(({ id }) => id === 'mtd085zb');
+    const ids = driver.settings.flatMap(({ children }) => children.map(({ id }) => id));
+
+    for (const slot of PROFILE_SLOTS) {
+      for (const key of ['enabled', 'name', 'start', 'end', ...PROFILE_KEYS]) {
+        expect(ids).toContain(`${slot}_${key}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 8: Radar Settings Validation and Conversion**
+ *
+ * *For any* radar settings, validation SHALL accept values within each
+ * setting's range with a minimum distance below the maximum distance, and
+ * SHALL reject everything else; valid settings SHALL convert to Tuya
+ * datapoints that are confirmed by an identical report.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  RADAR_SETTINGS,
+  RADAR_SETTING_KEYS,
+  validateRadarSettings,
+  filterRadarSettingKeys,
+  settingsToDatapoints,
+  findUnconfirmedDatapoints,
+} from '../../lib/radar-settings.js';
+import { RADAR_DATAPOINTS, fromDatapoint } from '../../lib/radar-datapoints.js';
+
+describe('Property 8: Radar Settings Validation and Conversion', () => {
+  const sensitivityArb = fc.integer({ min: 0, max: 10 });
+  const distanceArb = fc.integer({ min: 0, max: 100 }).map(value => value / 10);
+  const numberKeys = RADAR_SETTING_KEYS.filter(key => RADAR_SETTINGS[key].type === 'number');
+
+  // Generator for valid radar settings (min distance strictly below max distance)
+  const validSettingsArb = fc.record({
+    motion_sensitivity: sensitivityArb,
+    static_sensitivity: sensitivityArb,
+    min_distance: distanceArb,
+    max_distance: distanceArb,
+    indicator: fc.boolean(),
+  }).filter(settings => settings.min_distance < settings.max_distance);
+
+  it('accepts any settings within range with min distance below max distance', () => {
+    fc.assert(
+      fc.property(validSettingsArb, (settings) => {
+        return validateRadarSettings(settings).length === 0;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects any value outside its range', () => {
+    const outOfRangeArb = fc.tuple(
+      validSettingsArb,
+      fc.constantFrom(...numberKeys),
+      fc.boolean()
+    ).map(([settings, key, below]) => {
+      const { min, max } = RADAR_SETTINGS[key];
+      return { settings: { ...settings, [key]: below ? min - 1 : max + 1 }, key };
+    });
+
+    fc.assert(
+      fc.property(outOfRangeArb, ({ settings, key }) => {
+        const errors = validateRadarSettings(settings);
+        return errors.some(error => error.key === key && error.code === 'out_of_range');
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects non-numeric values and fractional sensitivities', () => {
+    expect(validateRadarSettings({ motion_sensitivity: '5' })).toEqual([
+      { key: 'motion_sensitivity', code: 'invalid_number' },
+    ]);
+    expect(validateRadarSettings({ static_sensitivity: 2.5 })).toEqual([
+      { key: 'static_sensitivity', code: 'invalid_number' },
+    ]);
+    expect(validateRadarSettings({ max_distance: NaN })).toEqual([
+      { key: 'max_distance', code: 'invalid_number' },
+    ]);
+  });
+
+  it('rejects a non-boolean indicator', () => {
+    expect(validateRadarSettings({ indicator: 1 })).toEqual([
+      { key: 'indicator', code: 'invalid_boolean' },
+    ]);
+    expect(validateRadarSettings({ indicator: false })).toEqual([]);
+  });
+
+  it('rejects a minimum distance that is not below the maximum distance', () => {
+    fc.assert(
+      fc.property(distanceArb, distanceArb, (a, b) => {
+        const settings = { min_distance: Math.max(a, b), max_distance: Math.min(a, b) };
+        const errors = validateRadarSettings(settings);
+        return errors.some(error => error.code === 'min_not_below_max');
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('converts settings to datapoints that convert back to the same values', () => {
+    fc.assert(
+      fc.property(validSettingsArb, (settings) => {
+        const datapoints = settingsToDatapoints(settings);
+        expect(datapoints).toHaveLength(RADAR_SETTING_KEYS.length);
+
+        for (const key of RADAR_SETTING_KEYS) {
+          const { dp } = RADAR_DATAPOINTS[RADAR_SETTINGS[key].datapoint];
+          const datapoint = datapoints.find(candidate => candidate.dp === dp);
+          if (RADAR_SETTINGS[key].type === 'boolean') {
+            expect(fromDatapoint(datapoint).value).toBe(settings[key]);
+          } else {
+            expect(fromDatapoint(datapoint).value).toBeCloseTo(settings[key], 5);
+          }
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('only converts the requested radar settings', () => {
+    fc.assert(
+      fc.property(validSettingsArb, fc.subarray(RADAR_SETTING_KEYS), (settings, keys) => {
+        const datapoints = settingsToDatapoints(settings, [...keys, 'unrelated_setting']);
+        return datapoints.length === keys.length;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('filterRadarSettingKeys keeps only radar setting ids', () => {
+    expect(filterRadarSettingKeys(['motion_sensitivity', 'other', 'max_distance']))
+      .toEqual(['motion_sensitivity', 'max_distance']);
+  });
+
+  it('written datapoints are confirmed only by reports with identical values', () => {
+    fc.assert(
+      fc.property(validSettingsArb, (settings) => {
+        const written = settingsToDatapoints(settings);
+        const [first, ...rest] = written;
+        const changed = { ...first, value: first.value + 1 };
+
+        expect(findUnconfirmedDatapoints(written, written)).toEqual([]);
+        expect(findUnconfirmedDatapoints(written, [changed, ...rest])).toEqual([first]);
+        expect(findUnconfirmedDatapoints(written, [])).toEqual(written);
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 17: Repair Step Reporting**
+ *
+ * *For any* set of repair steps that succeed or fail, every step SHALL run in
+ * order regardless of earlier failures, SHALL be reported as running and then
+ * as succeeded or failed, and the repair SHALL succeed if and only if every
+ * step succeeded.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import { REPAIR_STEPS, runRepairSteps } from '../../lib/repair.js';
+import { createDeviceHarness } from '../harness/device-harness.js';
+
+describe('Property 17: Repair Step Reporting', () => {
+  // Generator for step outcomes: a detail string, no detail, or an error message
+  const outcomeArb = fc.oneof(
+    fc.record({ fails: fc.constant(false), detail: fc.option(fc.string(), { nil: undefined }) }),
+    fc.record({ fails: fc.constant(true), detail: fc.string() })
+  );
+
+  function toSteps(outcomes, ran) {
+    return outcomes.map(({ fails, detail }, i) => ({
+      id: REPAIR_STEPS[i],
+      run: async () => {
+        ran.push(REPAIR_STEPS[i]);
+        if (fails) {
+          throw new Error(detail);
+        }
+        return detail;
+      },
+    }));
+  }
+
+  it('runs every step in order and reports its result', async () => {
+    await fc.assert(
+      fc.asyncProperty(
+        fc.array(outcomeArb, { minLength: REPAIR_STEPS.length, maxLength: REPAIR_STEPS.length }),
+        async (outcomes) => {
+          const ran = [];
+          const events = [];
+          const report = await runRepairSteps(toSteps(outcomes, ran), async (step) => {
+            events.push(step);
+          });
+
+          expect(ran).toEqual(REPAIR_STEPS);
+          expect(events).toHaveLength(REPAIR_STEPS.length * 2);
+
+          outcomes.forEach(({ fails, detail }, i) => {
+            const id = REPAIR_STEPS[i];
+            const expected = { id, status: fails ? 'failed' : 'succeeded', detail: detail ?? null };
+            expect(events[i * 2]).toEqual({ id, status: 'running', detail: null });
+            expect(events[i * 2 + 1]).toEqual(expected);
+            expect(report.results[i]).toEqual(expected);
+          });
+
+          expect(report.success).toBe(outcomes.every(({ fails }) => !fails));
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('works without a step callback', async () => {
+    const report = await runRepairSteps([{ id: 'enrollment', run: async () => 'enrolled' }]);
+    expect(report).toEqual({
+      success: true,
+      results: [{ id: 'enrollment', status: 'succeeded', detail: 'enrolled' }],
+    });
+  });
+
+  it('the sensor drivers declare the repair view, which shares the MTD085-ZB script', () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'app.json'), 'utf-8'));
+
+    for (const driverId of ['mtd085zb', 'occupancy_sensor']) {
+      const driver = manifest.drivers.find(({ id }) => id === driverId);
+      const views = driver.repair.map(({ id }) => id);
+      expect(views).toContain('repair');
+
+      const html = fs.readFileSync(path.join(process.cwd(), 'drivers', driverId, 'repair', 'repair.html'), 'utf-8');
+      expect(html).toMatch(/<script [^>]*src="(\.|\.\.\/\.\.\/mtd085zb\/repair)\/repair\.js"/);
+    }
+  });
+
+  describe('device', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('re-enrolls once the background enrollment finished', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+
+      await fc.assert(
+        fc.asyncProperty(fc.constantFrom('request', 'silent'), async (enroll) => {
+          const harness = createDeviceHarness({ firstInit: true, iasZone: { enroll } });
+          await harness.init();
+          expect(harness.device.enrollmentState).toBe('pending');
+
+          const repaired = harness.device.repair();
+          await vi.advanceTimersByTimeAsync(240000);
+          const { results } = await repaired;
+
+          expect(results[0]).toEqual({ id: 'enrollment', status: 'succeeded', detail: 'enrolled' });
+          expect(harness.device.getStoreValue('enrollmentState')).toBe('enrolled');
+          expect(harness.device.errors).toEqual([]);
+
+          await harness.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  it('names every repair step of the devices in the locale', () => {
+    const locale = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'locales', 'en.json'), 'utf-8'));
+
+    for (const driver of ['mtd085zb', 'occupancy_sensor']) {
+      const harness = createDeviceHarness({ driver });
+      for (const { id } of harness.device.getRepairSteps()) {
+        expect(locale.repair.steps[id]).toEqual(expect.any(String));
+      }
+    }
+    expect(createDeviceHarness().device.getRepairSteps().map(({ id }) => id)).toEqual(REPAIR_STEPS);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 19: Retry Backoff and Cancellation**
+ *
+ * *For any* retry configuration, every delay SHALL stay within its backoff
+ * and jitter bounds and never exceed the cap, an operation SHALL not be
+ * retried once shouldRetry rejects its error or the signal is aborted, and an
+ * attempt that exceeds its timeout SHALL fail with a RetryTimeoutError.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  NonRetryableError,
+  RetryTimeoutError,
+  isRetryableError,
+  computeRetryDelay,
+  withRetry,
+} from '../../lib/retry.js';
+
+describe('Property 19: Retry Backoff and Cancellation', () => {
+  const attemptArb = fc.integer({ min: 1, max: 10 });
+  const delayArb = fc.integer({ min: 1, max: 5000 });
+  const maxDelayArb = fc.integer({ min: 1, max: 60000 });
+  const randomArb = fc.double({ min: 0, max: 1, maxExcluded: true, noNaN: true });
+
+  it('keeps a fixed delay without backoff or jitter', () => {
+    fc.assert(
+      fc.property(attemptArb, delayArb, (attempt, delay) => {
+        return computeRetryDelay(attempt, delay, { delay }) === delay;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('doubles the delay per attempt with exponential backoff, up to the cap', () => {
+    fc.assert(
+      fc.property(attemptArb, delayArb, maxDelayArb, (attempt, delay, maxDelay) => {
+        const result = computeRetryDelay(attempt, delay, { delay, maxDelay, backoff: 'exponential' });
+        return result === Math.min(maxDelay, delay * 2 ** (attempt - 1));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('picks a full jitter delay between 0 and the capped backoff delay', () => {
+    fc.assert(
+      fc.property(attemptArb, delayArb, maxDelayArb, randomArb, (attempt, delay, maxDelay, r) => {
+        const capped = Math.min(maxDelay, delay * 2 ** (attempt - 1));
+        const result = computeRetryDelay(attempt, delay, {
+          delay, maxDelay, backoff: 'exponential', jitter: 'full', random: () => r,
+        });
+        return result >= 0 && result <= capped;
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('picks a decorrelated jitter delay between the base delay and three times the previous one', () => {
+    fc.assert(
+      fc.property(attemptArb, delayArb, fc.integer({ min: 0, max: 20000 }), maxDelayArb, randomArb,
+        (attempt, delay, previousDelay, maxDelay, r) => {
+          const result = computeRetryDelay(attempt, previousDelay, {
+            delay, maxDelay, jitter: 'decorrelated', random: () => r,
+          });
+          return result <= maxDelay &&
+            result >= Math.min(maxDelay, delay) &&
+            result <= Math.max(delay, previousDelay * 3);
+        }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('stops retrying when shouldRetry rejects the error', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 5 }), fc.integer({ min: 1, max: 5 }), async (maxRetries, retryable) => {
+        let calls = 0;
+        const result = await withRetry(async () => {
+          calls++;
+          throw new Error(`Attempt ${calls} failed`);
+        }, {
+          maxRetries,
+          delay: 0,
+          shouldRetry: () => calls < retryable,
+        });
+
+        expect(result.success).toBe(false);
+        expect(calls).toBe(Math.min(maxRetries, retryable));
+        expect(result.attempts).toBe(calls);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('never retries a NonRetryableError by default', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      throw new NonRetryableError('IAS Zone cluster not available');
+    }, { maxRetries: 3, delay: 0 });
+
+    expect(calls).toBe(1);
+    expect(result.error).toBeInstanceOf(NonRetryableError);
+    expect(isRetryableError(new Error('timeout'))).toBe(true);
+  });
+
+  it('stops without another attempt once the signal is aborted', async () => {
+    await fc.assert(
+      fc.asyncProperty(fc.integer({ min: 1, max: 4 }), async (abortAfter) => {
+        const controller = new AbortController();
+        let calls = 0;
+        const result = await withRetry(async () => {
+          calls++;
+          if (calls === abortAfter) {
+            controller.abort();
+          }
+          throw new Error('failed');
+        }, { maxRetries: 5, delay: 0, signal: controller.signal });
+
+        expect(result.success).toBe(false);
+        expect(result.aborted).toBe(true);
+        expect(calls).toBe(abortAfter);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('cancels the delay between attempts when aborted', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const pending = withRetry(async () => {
+      throw new Error('failed');
+    }, { maxRetries: 2, delay: 60000, signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 5);
+    const result = await pending;
+
+    expect(result.aborted).toBe(true);
+    expect(result.attempts).toBe(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('fails an attempt that exceeds its timeout', async () => {
+    let calls = 0;
+    const result = await withRetry(() => {
+      calls++;
+      return calls === 1 ? new Promise(() => {}) : Promise.resolve('configured');
+    }, { maxRetries: 2, delay: 0, timeout: 10 });
+
+    expect(result).toEqual({ success: true, attempts: 2, result: 'configured' });
+
+    const timedOut = await withRetry(() => new Promise(() => {}), { maxRetries: 1, timeout: 10 });
+    expect(timedOut.error).toBeInstanceOf(RetryTimeoutError);
+  });
+
+  it('passes the attempt number and delay to the callbacks', async () => {
+    const retries = [];
+    const result = await withRetry(async (attempt) => {
+      if (attempt < 3) {
+        throw new Error(`Attempt ${attempt} failed`);
+      }
+      return attempt;
+    }, {
+      maxRetries: 3,
+      delay: 1,
+      onRetry: (attempt, error, delay) => retries.push({ attempt, message: error.message, delay }),
+    });
+
+    expect(result.result).toBe(3);
+    expect(retries).toEqual([
+      { attempt: 1, message: 'Attempt 1 failed', delay: 1 },
+      { attempt: 2, message: 'Attempt 2 failed', delay: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 22: Sensor Status**
+ *
+ * *For any* diagnostics history, the sensor status SHALL include the most
+ * recent state transitions oldest first, up to the limit, and the counters
+ * SHALL count every recorded entry per type, including entries the ring
+ * buffer dropped. The Web API SHALL only report and reconfigure initialized
+ * sensors, and SHALL NOT reconfigure a sensor while it is enrolling.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import { DIAGNOSTIC_TYPES, createDiagnosticsLog } from '../../lib/diagnostics.js';
+import { createDeviceHarness, loadApp } from '../harness/device-harness.js';
+import { RECENT_TRANSITIONS, getSensorId, buildSensorStatus } from '../../lib/sensor-status.js';
+
+describe('Property 22: Sensor Status', () => {
+  // Generator for recorded events
+  const eventArb = fc.record({
+    type: fc.constantFrom(...DIAGNOSTIC_TYPES),
+    message: fc.string({ maxLength: 20 }),
+  });
+
+  /**
+   * Records events on a log with a clock that advances 1 second per entry
+   */
+  function recordAll(capacity, events) {
+    let time = 0;
+    const log = createDiagnosticsLog({ capacity, now: () => (time += 1000) });
+    for (const { type, message } of events) {
+      log.record(type, message);
+    }
+    return log;
+  }
+
+  /**
+   * Builds a status with fixed device details
+   */
+  function statusOf(diagnostics, limit) {
+    return buildSensorStatus({
+      id: 'sensor',
+      name: 'Living room',
+      available: true,
+      capabilities: { alarm_motion: true, measure_luminance: 120 },
+      enrollmentState: 'enrolled',
+      lastReportAt: 0,
+      diagnostics,
+    }, limit);
+  }
+
+  it('includes the most recent transitions still in the log, oldest first', () => {
+    fc.assert(
+      fc.property(
+        fc.integer({ min: 1, max: 30 }),
+        fc.integer({ min: 0, max: 30 }),
+        fc.array(eventArb, { maxLength: 80 }),
+        (capacity, limit, events) => {
+          const log = recordAll(capacity, events);
+          const expected = log.entries().filter(entry => entry.type === 'state').slice(-limit);
+          const { transitions } = statusOf(log, limit);
+
+          expect(transitions.map(({ message }) => message))
+            .toEqual(limit > 0 ? expected.map(({ message }) => message) : []);
+          transitions.forEach(({ time }, i) => {
+            expect(time).toBe(new Date(expected[i].time).toISOString());
+          });
+        }
+      ),
+      { numRuns: 100 }
+    );
+  });
+
+  it('counts every recorded entry per type, including dropped ones', () => {
+    fc.assert(
+      fc.property(fc.integer({ min: 1, max: 30 }), fc.array(eventArb, { maxLength: 80 }), (capacity, events) => {
+        const log = recordAll(capacity, events);
+        const { counters } = statusOf(log);
+
+        for (const type of DIAGNOSTIC_TYPES) {
+          expect(counters[type]).toBe(events.filter(event => event.type === type).length);
+        }
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('reports the device details and the last report time as ISO', () => {
+    const status = statusOf(createDiagnosticsLog());
+
+    expect(status).toMatchObject({
+      id: 'sensor',
+      name: 'Living room',
+      available: true,
+      presence: true,
+      capabilities: { alarm_motion: true, measure_luminance: 120 },
+      enrollmentState: 'enrolled',
+      lastReportAt: '1970-01-01T00:00:00.000Z',
+      transitions: [],
+      counters: { frame: 0, state: 0, info: 0, error: 0 },
+    });
+    expect(RECENT_TRANSITIONS).toBeGreaterThan(0);
+  });
+
+  it('reports unknown presence and no last report as null', () => {
+    const status = buildSensorStatus({
+      id: 'sensor',
+      name: 'Hallway',
+      available: false,
+      capabilities: {},
+      enrollmentState: 'unenrolled',
+      lastReportAt: null,
+      diagnostics: createDiagnosticsLog(),
+    });
+
+    expect(status.presence).toBeNull();
+    expect(status.lastReportAt).toBeNull();
+  });
+
+  it('resets the counters when the log is cleared', () => {
+    const log = recordAll(2, [{ type: 'frame', message: 'a' }, { type: 'error', message: 'b' }]);
+    log.clear();
+
+    expect(log.counts()).toEqual({ frame: 0, state: 0, info: 0, error: 0 });
+  });
+
+  it('derives the sensor id from the device data', () => {
+    expect(getSensorId({ token: 'abc' })).toBe('abc');
+    expect(getSensorId({ id: 7 })).toBe('7');
+    expect(getSensorId({ ieeeAddress: '00:11' })).toBe('{"ieeeAddress":"00:11"}');
+  });
+
+  describe('Web API', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    function createApp(options) {
+      const App = loadApp();
+      const harness = createDeviceHarness(options);
+      return { ...harness, app: new App({ homey: harness.homey }) };
+    }
+
+    it('only reports and finds initialized sensors', async () => {
+      const { app, device, init, dispose } = createApp();
+
+      expect(app.getSensors()).toEqual([]);
+      expect(() => app.getSensor('sensor-1')).toThrow(expect.objectContaining({
+        name: 'SensorInitializingError',
+        sensorId: 'sensor-1',
+      }));
+      await expect(app.reconfigureSensor('sensor-1')).rejects.toThrow('Sensor is initializing');
+      expect(() => app.getSensor('sensor-2')).toThrow('Sensor not found: sensor-2');
+
+      await init();
+      expect(app.getSensors()).toEqual([device.getStatus()]);
+      expect(app.getSensor('sensor-1').id).toBe('sensor-1');
+
+      await dispose();
+    });
+
+    it('refuses to reconfigure a sensor while it is enrolling', async () => {
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+
+      await fc.assert(
+        fc.asyncProperty(fc.constantFrom('request', 'silent'), async (enroll) => {
+          const { app, device, iasZone, init, dispose } = createApp({ firstInit: true, iasZone: { enroll } });
+          await init();
+          expect(device.isEnrolling()).toBe(true);
+
+          await expect(app.reconfigureSensor('sensor-1')).rejects.toThrow(expect.objectContaining({
+            name: 'SensorEnrollingError',
+            sensorId: 'sensor-1',
+          }));
+          expect(device.enrollmentState).toBe('pending');
+
+          await vi.advanceTimersByTimeAsync(120000);
+          await device.enrollment;
+          expect(device.isEnrolling()).toBe(false);
+          expect(iasZone.callsOf('zoneEnrollResponse')).toHaveLength(1);
+
+          const reconfigured = app.reconfigureSensor('sensor-1');
+          await vi.advanceTimersByTimeAsync(120000);
+          const { results } = await reconfigured;
+          expect(results[0]).toEqual({ id: 'enrollment', status: 'succeeded', detail: 'enrolled' });
+
+          await dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 28: Traffic Capture Replay**
+ *
+ * *For any* sequence of frames received by the device while traffic capture is
+ * enabled, the exported capture SHALL parse back to the same frames, and
+ * replaying it against a fresh device SHALL end with the same capability
+ * values and the same flow cards triggered in the same order. Every capture
+ * under test/captures SHALL replay to its expected result.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as fc from 'fast-check';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CAPTURE_VERSION,
+  CaptureFormatError,
+  createTrafficCapture,
+  formatCapture,
+  parseCapture,
+} from '../../lib/traffic-capture.js';
+import { createDeviceHarness } from '../harness/device-harness.js';
+import { replayCapture, flush } from '../harness/replay.js';
+
+const CAPTURES_DIR = path.resolve(__dirname, '../captures');
+
+const CAPABILITIES = [
+  'alarm_motion',
+  'measure_luminance',
+  'target_distance',
+  'presence_state',
+  'alarm_tamper',
+  'alarm_generic',
+  'alarm_battery',
+];
+
+/**
+ * Gets the capability values compared after a replay
+ */
+function capabilityValues(device) {
+  return Object.fromEntries(CAPABILITIES.map(capability => [capability, device.getCapabilityValue(capability)]));
+}
+
+describe('Property 28: Traffic Capture Replay', () => {
+  // Generator for a JSON payload value, including Buffers
+  const payloadArb = fc.dictionary(
+    fc.string({ minLength: 1, maxLength: 8 }).filter(key => key !== '__proto__'),
+    fc.oneof(
+      fc.integer(),
+      fc.boolean(),
+      fc.string(),
+      fc.uint8Array({ maxLength: 8 }).map(bytes => Buffer.from(bytes))
+    ),
+    { maxKeys: 4 }
+  );
+
+  // Generator for a captured record
+  const recordArb = fc.record({
+    time: fc.integer({ min: 0, max: 4102444800000 }),
+    cluster: fc.constantFrom('iasZone', 'tuya'),
+    frame: fc.oneof(
+      fc.record({ command: fc.constantFrom('zoneStatusChangeNotification', 'readAttributes', 'dataReport') }),
+      fc.record({ attribute: fc.constantFrom('zoneStatus', 'zoneState') })
+    ),
+    payload: payloadArb,
+  }).map(({ time, cluster, frame, payload }) => ({ time, cluster, ...frame, payload }));
+
+  describe('capture format', () => {
+    it('parses a formatted capture back to the same header and records', () => {
+      fc.assert(
+        fc.property(fc.array(recordArb, { maxLength: 20 }), fc.integer({ min: 0, max: 4102444800000 }), (records, startedAt) => {
+          const header = {
+            startedAt,
+            device: { modelId: 'TS0225', manufacturerName: '_TZ321C_fkzihax8' },
+            settings: { clear_delay: 30, capture_traffic: true },
+          };
+
+          const text = formatCapture(header, records);
+          expect(text.split('\n')).toHaveLength(records.length + 2);
+          expect(parseCapture(text)).toEqual({ header, records });
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('reports the line of invalid JSON and incomplete records', () => {
+      fc.assert(
+        fc.property(fc.array(recordArb, { minLength: 1, maxLength: 10 }), fc.nat(), fc.constantFrom(
+          '{not json',
+          '[1,2]',
+          '{"time":"2026-03-02T08:00:00.000Z","payload":{}}',
+          '{"time":"2026-03-02T08:00:00.000Z","cluster":"iasZone","payload":{}}',
+          '{"time":"yesterday","cluster":"iasZone","command":"readAttributes","payload":{}}',
+          '{"time":"2026-03-02T08:00:00.000Z","cluster":"iasZone","command":"readAttributes"}'
+        ), (records, position, invalid) => {
+          const lines = formatCapture({ startedAt: 0, device: {}, settings: {} }, records).trim().split('\n');
+          const index = 1 + (position % records.length);
+          lines.splice(index, 0, invalid);
+
+          let error = null;
+          try {
+            parseCapture(lines.join('\n'));
+          } catch (caught) {
+            error = caught;
+          }
+          expect(error).toBeInstanceOf(CaptureFormatError);
+          expect(error.line).toBe(index + 1);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('rejects a capture without header', () => {
+      expect(() => parseCapture('')).toThrow(CaptureFormatError);
+      expect(() => parseCapture('{"time":"2026-03-02T08:00:00.000Z","cluster":"iasZone","command":"readAttributes","payload":{}}'))
+        .toThrow(CaptureFormatError);
+      expect(() => parseCapture(JSON.stringify({ capture: CAPTURE_VERSION + 1, startedAt: '2026-03-02T08:00:00.000Z' })))
+        .toThrow(CaptureFormatError);
+    });
+
+    it('keeps the most recent frames up to the capacity', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 50 }), fc.integer({ min: 0, max: 200 }), (capacity, count) => {
+          let time = 0;
+          const capture = createTrafficCapture({ capacity, now: () => time });
+
+          for (let i = 0; i < count; i++) {
+            time = i;
+            capture.record({ cluster: 'iasZone', attribute: 'zoneStatus', payload: { zoneStatus: i } });
+          }
+
+          expect(capture.size()).toBe(Math.min(capacity, count));
+          expect(capture.records().map(({ payload }) => payload.zoneStatus))
+            .toEqual(Array.from({ length: Math.min(capacity, count) }, (_, i) => count - Math.min(capacity, count) + i));
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('record and replay', () => {
+    beforeEach(() => {
+      // setImmediate stays real so flush() can wait for the device
+      vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'Date'] });
+      vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // Generator for a frame sent by the sensor, after a pause
+    const frameArb = fc.record({
+      pause: fc.integer({ min: 0, max: 120000 }),
+      frame: fc.oneof(
+        fc.record({ via: fc.constant('notification'), zoneStatus: fc.integer({ min: 0, max: 0xFFFF }) }),
+        fc.record({ via: fc.constant('report'), zoneStatus: fc.integer({ min: 0, max: 0xFFFF }) }),
+        fc.record({
+          via: fc.constant('tuya'),
+          datapoints: fc.subarray([
+            { dp: 1, type: 'enum', value: 0 },
+            { dp: 1, type: 'enum', value: 2 },
+            { dp: 19, type: 'value', value: 120 },
+            { dp: 20, type: 'value', value: 35 },
+            { dp: 20, type: 'value', value: 800 },
+          ], { minLength: 1 }),
+        })
+      ),
+    });
+
+    it('replays a recorded capture to the same capabilities and flow cards', async () => {
+      await fc.assert(
+        fc.asyncProperty(fc.array(frameArb, { maxLength: 15 }), fc.integer({ min: 0, max: 60 }), async (frames, clearDelay) => {
+          vi.setSystemTime(new Date('2026-03-02T08:00:00Z'));
+          const live = createDeviceHarness({ settings: { clear_delay: clearDelay, capture_traffic: true } });
+          await live.init();
+
+          for (const { pause, frame } of frames) {
+            await vi.advanceTimersByTimeAsync(pause);
+            if (frame.via === 'notification') {
+              await live.iasZone.notifyZoneStatus(frame.zoneStatus);
+            } else if (frame.via === 'report') {
+              live.iasZone.reportZoneStatus(frame.zoneStatus);
+            } else {
+              live.tuya.report(frame.datapoints);
+            }
+            await flush();
+          }
+          await vi.advanceTimersByTimeAsync(clearDelay * 1000);
+          await flush();
+
+          const capture = live.device.getCapture();
+          await live.dispose();
+
+          const replay = await replayCapture(capture, { advance: clearDelay * 1000 });
+
+          expect(capabilityValues(replay.device)).toEqual(capabilityValues(live.device));
+          expect(replay.homey.flow.getTriggeredIds()).toEqual(live.homey.flow.getTriggeredIds());
+
+          await replay.dispose();
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('records nothing while traffic capture is disabled', async () => {
+      const harness = createDeviceHarness();
+      await harness.init();
+      await harness.iasZone.notifyZoneStatus(1);
+
+      expect(parseCapture(harness.device.getCapture()).records).toEqual([]);
+
+      await harness.dispose();
+    });
+
+    it('starts a new recording when traffic capture is turned on', async () => {
+      const harness = createDeviceHarness({ settings: { capture_traffic: true }, store: { enrollmentState: 'enrolled' } });
+      await harness.init();
+      await harness.iasZone.notifyZoneStatus(1);
+      expect(parseCapture(harness.device.getCapture()).records).toHaveLength(2);
+
+      const oldSettings = harness.device.getSettings();
+      await harness.device.onSettings({
+        oldSettings: { ...oldSettings, capture_traffic: false },
+        newSettings: oldSettings,
+        changedKeys: ['capture_traffic'],
+      });
+
+      expect(parseCapture(harness.device.getCapture()).records).toEqual([]);
+
+      await harness.dispose();
+    });
+
+    const captures = fs.readdirSync(CAPTURES_DIR).filter(file => file.endsWith('.jsonl'));
+
+    it.each(captures)('replays %s to its expected result', async (file) => {
+      const text = fs.readFileSync(path.join(CAPTURES_DIR, file), 'utf8');
+      const expected = JSON.parse(fs.readFileSync(path.join(CAPTURES_DIR, file.replace(/\.jsonl$/, '.expected.json')), 'utf8'));
+
+      const replay = await replayCapture(text, { advance: expected.advance ?? 0 });
+
+      expect(capabilityValues(replay.device)).toMatchObject(expected.capabilities);
+      expect(replay.homey.flow.getTriggeredIds()).toEqual(expected.triggers);
+      expect(replay.device.errors).toEqual([]);
+
+      await replay.dispose();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 7: Tuya Datapoint Round-Trip**
+ *
+ * *For any* list of valid Tuya datapoints and any 16-bit sequence number,
+ * decoding an encoded frame SHALL yield the same sequence number and
+ * datapoints, and truncated or malformed records SHALL be rejected.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  DATAPOINT_TYPES,
+  encodeDatapoint,
+  encodeDatapoints,
+  decodeDatapoints,
+  encodeFrame,
+  decodeFrame,
+  nextSequenceNumber,
+} from '../../lib/tuya-datapoint.js';
+
+describe('Property 7: Tuya Datapoint Round-Trip', () => {
+  const dpIdArb = fc.integer({ min: 0, max: 255 });
+
+  // Generator for a datapoint of any supported type with a matching value
+  const datapointArb = fc.oneof(
+    fc.record({ dp: dpIdArb, type: fc.constant('bool'), value: fc.boolean() }),
+    fc.record({ dp: dpIdArb, type: fc.constant('value'), value: fc.integer({ min: -0x80000000, max: 0x7FFFFFFF }) }),
+    fc.record({ dp: dpIdArb, type: fc.constant('enum'), value: fc.integer({ min: 0, max: 255 }) }),
+    fc.record({ dp: dpIdArb, type: fc.constant('bitmap'), value: fc.integer({ min: 0, max: 0xFFFFFFFF }) }),
+    fc.record({ dp: dpIdArb, type: fc.constant('string'), value: fc.string({ maxLength: 32 }) }),
+    fc.record({
+      dp: dpIdArb,
+      type: fc.constant('raw'),
+      value: fc.uint8Array({ maxLength: 32 }).map(bytes => Buffer.from(bytes)),
+    }),
+  );
+
+  const seqArb = fc.integer({ min: 0, max: 0xFFFF });
+
+  it('decodeDatapoints(encodeDatapoints(x)) equals x for any datapoint list', () => {
+    fc.assert(
+      fc.property(fc.array(datapointArb, { maxLength: 8 }), (datapoints) => {
+        const decoded = decodeDatapoints(encodeDatapoints(datapoints));
+        expect(decoded).toEqual(datapoints);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('decodeFrame(encodeFrame(x)) preserves the sequence number and datapoints', () => {
+    fc.assert(
+      fc.property(seqArb, fc.array(datapointArb, { maxLength: 8 }), (seq, datapoints) => {
+        const decoded = decodeFrame(encodeFrame({ seq, datapoints }));
+        expect(decoded.seq).toBe(seq);
+        expect(decoded.datapoints).toEqual(datapoints);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('encodes the record header as dp, type and big-endian length', () => {
+    fc.assert(
+      fc.property(datapointArb, (datapoint) => {
+        const encoded = encodeDatapoint(datapoint);
+        return (
+          encoded[0] === datapoint.dp &&
+          encoded[1] === DATAPOINT_TYPES[datapoint.type] &&
+          encoded.readUInt16BE(2) === encoded.length - 4
+        );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects any truncated datapoint record', () => {
+    const truncatedArb = datapointArb
+      .map(encodeDatapoint)
+      .filter(encoded => encoded.length > 4)
+      .chain(encoded => fc.integer({ min: 1, max: encoded.length - 1 })
+        .map(cut => encoded.subarray(0, cut)));
+
+    fc.assert(
+      fc.property(truncatedArb, (truncated) => {
+        expect(() => decodeDatapoints(truncated)).toThrow(RangeError);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects unknown datapoint types', () => {
+    fc.assert(
+      fc.property(dpIdArb, fc.integer({ min: 6, max: 255 }), (dp, typeId) => {
+        const record = Buffer.from([dp, typeId, 0, 0]);
+        expect(() => decodeDatapoints(record)).toThrow(TypeError);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('rejects values that do not fit the datapoint type', () => {
+    expect(() => encodeDatapoint({ dp: 1, type: 'bool', value: 1 })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'value', value: 1.5 })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'enum', value: 256 })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'bitmap', value: -1 })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'string', value: null })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'raw', value: 'abc' })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 256, type: 'bool', value: true })).toThrow(TypeError);
+    expect(() => encodeDatapoint({ dp: 1, type: 'float', value: 1 })).toThrow(TypeError);
+  });
+
+  it('nextSequenceNumber increments and wraps at 16 bits', () => {
+    fc.assert(
+      fc.property(seqArb, (seq) => {
+        const next = nextSequenceNumber(seq);
+        return seq === 0xFFFF ? next === 0 : next === seq + 1;
+      }),
+      { numRuns: 100 }
+    );
+  });
+});
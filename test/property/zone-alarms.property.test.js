@@ -0,0 +1,81 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 13: Zone Status to Alarm Capability Mapping**
+ *
+ * *For any* IAS Zone status value, alarm_tamper SHALL equal bit 2,
+ * alarm_generic SHALL equal bit 6 OR bit 7, and alarm_battery SHALL equal
+ * bit 3; a flow card SHALL be triggered only when an alarm turns on.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  ZONE_ALARMS,
+  ZONE_ALARM_CAPABILITIES,
+  mapZoneAlarms,
+  determineZoneAlarmChanges,
+} from '../../lib/zone-alarms.js';
+
+describe('Property 13: Zone Status to Alarm Capability Mapping', () => {
+  const zoneStatusArb = fc.integer({ min: 0, max: 0xFFFF });
+  const alarmValueArb = fc.oneof(fc.constant(null), fc.boolean());
+  const currentAlarmsArb = fc.record({
+    alarm_tamper: alarmValueArb,
+    alarm_generic: alarmValueArb,
+    alarm_battery: alarmValueArb,
+  });
+
+  it('maps tamper, trouble/AC mains and battery bits to alarm capabilities', () => {
+    fc.assert(
+      fc.property(zoneStatusArb, (zoneStatus) => {
+        const alarms = mapZoneAlarms(zoneStatus);
+        return (
+          alarms.alarm_tamper === ((zoneStatus & 0x0004) !== 0) &&
+          alarms.alarm_generic === ((zoneStatus & 0x00C0) !== 0) &&
+          alarms.alarm_battery === ((zoneStatus & 0x0008) !== 0)
+        );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('alarms are independent of the presence bit', () => {
+    fc.assert(
+      fc.property(zoneStatusArb, (zoneStatus) => {
+        expect(mapZoneAlarms(zoneStatus | 0x0001)).toEqual(mapZoneAlarms(zoneStatus & ~0x0001));
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('reports exactly the alarms whose value changed', () => {
+    fc.assert(
+      fc.property(currentAlarmsArb, zoneStatusArb, (currentAlarms, zoneStatus) => {
+        const newAlarms = mapZoneAlarms(zoneStatus);
+        const changes = determineZoneAlarmChanges(currentAlarms, newAlarms);
+        const expected = ZONE_ALARM_CAPABILITIES.filter(
+          capability => currentAlarms[capability] !== newAlarms[capability]
+        );
+        expect(changes.map(({ capability }) => capability)).toEqual(expected);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('triggers the alarm flow card only when an alarm turns on', () => {
+    fc.assert(
+      fc.property(currentAlarmsArb, zoneStatusArb, (currentAlarms, zoneStatus) => {
+        const changes = determineZoneAlarmChanges(currentAlarms, mapZoneAlarms(zoneStatus));
+        return changes.every(({ capability, value, trigger }) => {
+          const definition = ZONE_ALARMS.find(alarm => alarm.capability === capability);
+          return value ? trigger === definition.trigger : trigger === null;
+        });
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('accepts Homey Bitmap objects', () => {
+    const alarms = mapZoneAlarms({ alarm1: true, tamper: true, battery: false, trouble: false, acMains: true });
+    expect(alarms).toEqual({ alarm_tamper: true, alarm_generic: true, alarm_battery: false });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * **Feature: homey-mtd085-zb-app, Property 14: Full 16-bit Zone Status Decoding**
+ *
+ * *For any* 16-bit zone status value, every representation (number, Buffer,
+ * serialized Buffer, Bitmap object) SHALL decode to the same number, bits
+ * 8-9 and the reserved bits SHALL be decoded, unparseable input SHALL throw
+ * a ZoneStatusParseError in strict mode, and the presence bit SHALL follow
+ * the configured mapping.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { ZCLDataTypes } from 'zigbee-clusters';
+import {
+  ZONE_STATUS_BITS,
+  ZoneStatusParseError,
+  toZoneStatusNumber,
+  parseZoneStatus,
+  isPresenceDetected,
+} from '../../lib/zone-status-parser.js';
+
+// Same field layout as the zoneStatus attribute of the zigbee-clusters IAS Zone cluster
+const ZONE_STATUS_DATA_TYPE = ZCLDataTypes.map16(...Object.keys(ZONE_STATUS_BITS));
+
+describe('Property 14: Full 16-bit Zone Status Decoding', () => {
+  const zoneStatusArb = fc.integer({ min: 0, max: 0xFFFF });
+
+  function toBuffer(status) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(status, 0);
+    return buffer;
+  }
+
+  function toFlags(status) {
+    const flags = { reserved: status & 0xFC00 };
+    for (const [field, mask] of Object.entries(ZONE_STATUS_BITS)) {
+      flags[field] = (status & mask) !== 0;
+    }
+    return flags;
+  }
+
+  function toBitmap(status) {
+    return ZONE_STATUS_DATA_TYPE.fromBuffer(toBuffer(status), 0);
+  }
+
+  // Generator for a zone status together with one of its representations
+  const representationArb = fc.tuple(
+    zoneStatusArb,
+    fc.constantFrom('number', 'buffer', 'serialized', 'flags', 'bitmap')
+  ).map(([status, kind]) => {
+    const representations = {
+      number: () => status,
+      buffer: () => toBuffer(status),
+      serialized: () => toBuffer(status).toJSON(),
+      flags: () => toFlags(status),
+      bitmap: () => toBitmap(status),
+    };
+    return { status, kind, zoneStatus: representations[kind]() };
+  });
+
+  it('every representation round-trips to the same number', () => {
+    fc.assert(
+      fc.property(representationArb, ({ status, zoneStatus }) => {
+        return toZoneStatusNumber(zoneStatus, { strict: true }) === status;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('parses identically regardless of representation', () => {
+    fc.assert(
+      fc.property(representationArb, ({ status, zoneStatus }) => {
+        expect(parseZoneStatus(zoneStatus)).toEqual(parseZoneStatus(status));
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('decodes test mode, battery defect and reserved bits', () => {
+    fc.assert(
+      fc.property(zoneStatusArb, (status) => {
+        const parsed = parseZoneStatus(status);
+        return (
+          parsed.test === ((status & 0x0100) !== 0) &&
+          parsed.batteryDefect === ((status & 0x0200) !== 0) &&
+          parsed.reserved === (status & 0xFC00)
+        );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('strict mode throws ZoneStatusParseError on unparseable input', () => {
+    const invalidArb = fc.oneof(
+      fc.constant(null),
+      fc.constant(undefined),
+      fc.string(),
+      fc.boolean(),
+      fc.constant({}),
+      fc.constant(Buffer.alloc(0)),
+      fc.constant(Buffer.from([1])),
+      fc.integer({ min: 0x10000 }),
+      fc.integer({ max: -1 }),
+      fc.double({ noInteger: true, noNaN: true })
+    );
+
+    fc.assert(
+      fc.property(invalidArb, (zoneStatus) => {
+        expect(() => toZoneStatusNumber(zoneStatus, { strict: true })).toThrow(ZoneStatusParseError);
+        expect(() => isPresenceDetected(zoneStatus, { strict: true })).toThrow(ZoneStatusParseError);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it('non-strict mode keeps returning 0 for unknown inputs', () => {
+    expect(toZoneStatusNumber(null)).toBe(0);
+    expect(toZoneStatusNumber({})).toBe(0);
+    expect(toZoneStatusNumber('abc')).toBe(0);
+  });
+
+  it('ZoneStatusParseError carries the offending input', () => {
+    try {
+      toZoneStatusNumber('garbage', { strict: true });
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe('ZoneStatusParseError');
+      expect(error.zoneStatus).toBe('garbage');
+    }
+  });
+
+  it('presence follows the configured presence bit for every representation', () => {
+    fc.assert(
+      fc.property(representationArb, fc.constantFrom('alarm1', 'alarm2'), ({ status, zoneStatus }, presenceBit) => {
+        const expected = (status & ZONE_STATUS_BITS[presenceBit]) !== 0;
+        return isPresenceDetected(zoneStatus, { presenceBit }) === expected;
+      }),
+      { numRuns: 200 }
+    );
+  });
+
+  it('rejects unsupported presence bits', () => {
+    expect(() => isPresenceDetected(1, { presenceBit: 'tamper' })).toThrow(TypeError);
+  });
+});